@@ -65,7 +65,12 @@ export const router = createBrowserRouter([
           {
             element: <MainLayout />,
             children: [
-              { index: true, element: <FormConversation /> },
+              {
+                // One element for the new-plan page and a trip, so submitting the form
+                // (which moves from "/" to the new trip) keeps the page mounted
+                element: <FormConversation />,
+                children: [{ index: true }, { path: "trips/:sessionId" }],
+              },
               { path: "ui-demo", element: <UIStoreDemo /> },
               { path: "rbac-demo", element: <RBACDemo /> },
               { path: "token-demo", element: <TokenRefreshDemo /> },
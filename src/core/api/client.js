@@ -13,6 +13,7 @@ import {
   getMaxRetries,
   handleErrorActions,
 } from "./errorMapping.js";
+import { readStream } from "./streaming.js";
 import { useAuthStore } from "../../features/auth/stores/authStore.js";
 import { tokenRefreshManager, isTokenExpiredError } from "../../core/auth/tokenRefresh.js";
 import useUIStore from "../../core/stores/uiStore.js";
@@ -475,6 +476,48 @@ class APIClient {
     window.URL.revokeObjectURL(link.href);
   }
 
+  /**
+   * POST request with a streamed response (Server-Sent Events or chunked text)
+   * Goes through the same interceptors as every other request. Not retried.
+   *
+   * @param {string} url - Request URL
+   * @param {Object} data - Request body
+   * @param {Object} options - Request options
+   * @param {Function} options.onChunk - Called with (chunk, textSoFar) as text arrives
+   * @param {AbortSignal} options.signal - Abort the request / stop reading
+   * @returns {Promise} - { streamed: true, text } or, when the server answered with a
+   *  regular JSON body, { streamed: false, data }
+   *
+   * @example
+   * const controller = new AbortController();
+   * const { text } = await api.stream('/chat', { message }, {
+   *   signal: controller.signal,
+   *   onChunk: (chunk, text) => render(text),
+   * });
+   */
+  async stream(url, data, options = {}) {
+    const { onChunk, ...axiosOptions } = options;
+
+    const response = await this.instance.post(url, data, {
+      adapter: "fetch",
+      responseType: "stream",
+      headers: { Accept: "text/event-stream, text/plain, application/json" },
+      ...axiosOptions,
+    });
+
+    const contentType = String(response.headers?.["content-type"] ?? "");
+    // Browsers without streamed fetch bodies hand over the whole body as text
+    const body =
+      response.data instanceof ReadableStream ? response.data : new Response(response.data).body;
+
+    if (contentType.includes("application/json")) {
+      const parsed = JSON.parse(await new Response(body).text());
+      return { streamed: false, data: transformResponse({ data: parsed }) };
+    }
+
+    return { streamed: true, text: await readStream(body, { contentType, onChunk }) };
+  }
+
   /**
    * Convert object to FormData
    *
@@ -7,6 +7,7 @@
  * - Request cancellation
  * - Error mapping and handling
  * - Upload/download support
+ * - Streamed responses (Server-Sent Events or chunked text)
  *
  * @example
  * // Simple GET request
@@ -29,6 +30,9 @@
  *   cancelKey: 'search'
  * });
  * api.cancelRequest('search'); // Cancel if needed
+ *
+ * // Streamed response
+ * const { text } = await api.stream('/chat', { message }, { onChunk, signal });
  */
 
 // Export the enhanced API client
@@ -38,3 +42,4 @@ export { api as default } from "./client.js";
 export { APIClient, axiosInstance } from "./client.js";
 export * from "./transformers.js";
 export * from "./errorMapping.js";
+export { SessionChannel, REALTIME_STATUS, getRealtimeUrl } from "./realtime.js";
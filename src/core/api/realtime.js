@@ -0,0 +1,223 @@
+import { env } from "../config/env.js";
+import { logger } from "../utils/logger.js";
+import { useAuthStore } from "../../features/auth/stores/authStore.js";
+
+/**
+ * Realtime Session Channel
+ *
+ * One WebSocket per planning session that pushes key point and message updates.
+ *
+ * Protocol (JSON frames):
+ * - client -> server: { type: "auth", token, sessionId } right after connecting and
+ *   again whenever the access token is refreshed
+ * - server -> client: { type, sessionId, data }, see `useSessionRealtime` for the types
+ *
+ * The channel is live once the server sends its first frame, or once the socket has
+ * stayed open for `STABLE_AFTER_MS`; only then is the backoff reset. Closes with a
+ * policy or application code (1008, 4000-4999) mean the server rejected the auth
+ * frame and count as failures even when the socket had opened.
+ *
+ * Features:
+ * - Reconnect with exponential backoff and jitter
+ * - Reports "polling" after repeated failures so callers can fall back to polling;
+ *   reconnect attempts continue in the background
+ * - Reconnects right away when the browser comes back online
+ *
+ * @example
+ * const channel = new SessionChannel(sessionId, {
+ *   onEvent: (event) => console.log(event.type, event.data),
+ *   onStatusChange: (status) => console.log(status),
+ * });
+ * channel.connect();
+ * channel.close();
+ */
+
+export const REALTIME_STATUS = {
+  IDLE: "idle",
+  CONNECTING: "connecting",
+  LIVE: "live",
+  RECONNECTING: "reconnecting",
+  POLLING: "polling",
+};
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+const FAILURES_BEFORE_POLLING = 3;
+const STABLE_AFTER_MS = 10000;
+
+const isRejection = (code) => code === 1008 || (code >= 4000 && code <= 4999);
+
+/**
+ * WebSocket URL of the realtime endpoint: VITE_REALTIME_URL, or the API base URL
+ * with a ws(s) scheme and `/realtime` appended
+ */
+export const getRealtimeUrl = () => {
+  if (env.VITE_REALTIME_URL) return env.VITE_REALTIME_URL;
+  const url = new URL(env.VITE_API_BASE_URL);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  url.pathname = `${url.pathname.replace(/\/$/, "")}/realtime`;
+  return url.toString();
+};
+
+const backoffDelay = (attempt) => {
+  const delay = Math.min(BASE_DELAY_MS * Math.pow(2, attempt), MAX_DELAY_MS);
+  // ±25% jitter so clients don't reconnect in lockstep after a server restart
+  return Math.round(delay + delay * 0.25 * (Math.random() - 0.5));
+};
+
+export class SessionChannel {
+  constructor(sessionId, { onEvent, onStatusChange, url = getRealtimeUrl() } = {}) {
+    this.sessionId = sessionId;
+    this.url = url;
+    this.onEvent = onEvent;
+    this.onStatusChange = onStatusChange;
+    this.socket = null;
+    this.status = REALTIME_STATUS.IDLE;
+    this.attempt = 0;
+    this.rejections = 0;
+    this.reconnectTimer = null;
+    this.stableTimer = null;
+    this.closed = false;
+    this.unsubscribeAuth = null;
+    this.handleOnline = () => this.reconnectNow();
+  }
+
+  /**
+   * Open the channel (no-op when already open or connecting)
+   */
+  connect() {
+    this.closed = false;
+    if (this.socket) return;
+
+    if (typeof WebSocket === "undefined") {
+      logger.info("WebSocket unavailable, using polling");
+      this.setStatus(REALTIME_STATUS.POLLING);
+      return;
+    }
+
+    if (!this.unsubscribeAuth) {
+      // Re-authenticate the open socket after a token refresh
+      this.unsubscribeAuth = useAuthStore.subscribe((state, previous) => {
+        if (state.accessToken && state.accessToken !== previous.accessToken) this.authenticate();
+      });
+      window.addEventListener("online", this.handleOnline);
+    }
+
+    if (this.status !== REALTIME_STATUS.POLLING) {
+      this.setStatus(this.attempt ? REALTIME_STATUS.RECONNECTING : REALTIME_STATUS.CONNECTING);
+    }
+
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (error) {
+      logger.warn("Realtime connection failed", { error: error.message });
+      this.scheduleReconnect();
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      logger.info("Realtime channel open", { sessionId: this.sessionId });
+      this.authenticate();
+      // A quiet server never sends a frame; staying open this long counts as accepted
+      this.stableTimer = setTimeout(() => {
+        this.rejections = 0;
+        this.markLive();
+      }, STABLE_AFTER_MS);
+    };
+
+    socket.onmessage = (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch {
+        logger.warn("Ignoring malformed realtime frame");
+        return;
+      }
+      if (event?.sessionId && event.sessionId !== this.sessionId) return;
+      this.markLive();
+      this.onEvent?.(event);
+    };
+
+    socket.onclose = (event) => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      clearTimeout(this.stableTimer);
+      if (this.closed) return;
+      logger.warn("Realtime channel closed", { code: event.code, reason: event.reason });
+      if (isRejection(event.code)) this.rejections += 1;
+      this.scheduleReconnect();
+    };
+
+    // onclose follows every error, reconnecting happens there
+    socket.onerror = () => logger.debug("Realtime channel error", { sessionId: this.sessionId });
+  }
+
+  /**
+   * Send the current access token for this session
+   */
+  authenticate() {
+    if (this.socket?.readyState !== WebSocket.OPEN) return;
+    this.socket.send(
+      JSON.stringify({
+        type: "auth",
+        token: useAuthStore.getState().accessToken,
+        sessionId: this.sessionId,
+      })
+    );
+  }
+
+  /**
+   * The server accepted the connection: report live and reset the backoff
+   */
+  markLive() {
+    clearTimeout(this.stableTimer);
+    if (this.status === REALTIME_STATUS.LIVE) return;
+    this.attempt = 0;
+    this.setStatus(REALTIME_STATUS.LIVE);
+  }
+
+  scheduleReconnect() {
+    clearTimeout(this.reconnectTimer);
+    // Rejected auth frames keep counting even when a frame had reset the backoff
+    this.attempt = Math.max(this.attempt, this.rejections - 1);
+    const delay = backoffDelay(this.attempt);
+    this.attempt += 1;
+    this.setStatus(
+      this.attempt >= FAILURES_BEFORE_POLLING
+        ? REALTIME_STATUS.POLLING
+        : REALTIME_STATUS.RECONNECTING
+    );
+    logger.debug(`Realtime reconnect in ${delay}ms`, { attempt: this.attempt });
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  reconnectNow() {
+    if (this.closed || this.socket) return;
+    clearTimeout(this.reconnectTimer);
+    this.connect();
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.onStatusChange?.(status);
+  }
+
+  /**
+   * Close the channel for good
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.stableTimer);
+    this.unsubscribeAuth?.();
+    this.unsubscribeAuth = null;
+    window.removeEventListener("online", this.handleOnline);
+    const socket = this.socket;
+    this.socket = null;
+    socket?.close(1000, "Channel closed");
+    this.setStatus(REALTIME_STATUS.IDLE);
+  }
+}
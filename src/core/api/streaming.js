@@ -0,0 +1,98 @@
+/**
+ * Streaming response readers
+ *
+ * Turn a response body (ReadableStream) into text chunks. Two formats are understood:
+ * - Server-Sent Events (`text/event-stream`): `data:` payloads, either plain text or JSON
+ *   with a `token`, `delta`, `text` or `content` field. `data: [DONE]` ends the stream and
+ *   an `error` event rejects with its message.
+ * - Anything else is treated as chunked plain text.
+ */
+
+const STREAM_DONE = "[DONE]";
+
+/**
+ * Text of one SSE `data:` payload
+ */
+const eventText = (payload) => {
+  try {
+    const parsed = JSON.parse(payload);
+    if (typeof parsed === "string") return parsed;
+    // Bare numbers, booleans and null are text that happens to parse as JSON
+    if (!parsed || typeof parsed !== "object") return payload;
+    return parsed.token ?? parsed.delta ?? parsed.text ?? parsed.content ?? "";
+  } catch {
+    return payload;
+  }
+};
+
+/**
+ * Parse one SSE event block into { event, data }
+ */
+const parseEvent = (block) => {
+  let event = "message";
+  const data = [];
+  block.split("\n").forEach((line) => {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    // A single leading space after the colon is part of the syntax, not the data
+    if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+  });
+  return { event, data: data.join("\n") };
+};
+
+/**
+ * Read a response body to the end, calling `onChunk` with each piece of text.
+ *
+ * @param {ReadableStream} body - Response body
+ * @param {{ contentType?: string, onChunk?: Function }} options
+ * @returns {Promise<string>} - The complete text
+ */
+export const readStream = async (body, { contentType = "", onChunk } = {}) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const isEventStream = contentType.includes("text/event-stream");
+  let text = "";
+  let buffer = "";
+
+  const append = (chunk) => {
+    if (!chunk) return;
+    text += chunk;
+    onChunk?.(chunk, text);
+  };
+
+  // Returns true once the server signalled the end of the stream
+  const flushEvents = (final = false) => {
+    const blocks = buffer.replace(/\r\n/g, "\n").split("\n\n");
+    buffer = final ? "" : blocks.pop();
+    for (const block of blocks) {
+      if (!block.trim()) continue;
+      const { event, data } = parseEvent(block);
+      if (event === "error") throw new Error(eventText(data) || "The stream failed");
+      if (data === STREAM_DONE) return true;
+      append(eventText(data));
+    }
+    return false;
+  };
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = decoder.decode(value, { stream: true });
+      if (!isEventStream) {
+        append(chunk);
+        continue;
+      }
+      buffer += chunk;
+      if (flushEvents()) return text;
+    }
+    if (isEventStream) {
+      buffer += decoder.decode();
+      flushEvents(true);
+    } else {
+      append(decoder.decode());
+    }
+    return text;
+  } finally {
+    reader.releaseLock();
+  }
+};
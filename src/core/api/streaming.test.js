@@ -0,0 +1,97 @@
+import { describe, expect, it, vi } from "vitest";
+import { readStream } from "./streaming";
+
+const SSE = "text/event-stream";
+
+const bodyOf = (...chunks) => {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    },
+  });
+};
+
+describe("readStream", () => {
+  it("reads plain text chunks as they arrive", async () => {
+    const onChunk = vi.fn();
+    const text = await readStream(bodyOf("Hello ", "world"), { onChunk });
+
+    expect(text).toBe("Hello world");
+    expect(onChunk).toHaveBeenNthCalledWith(1, "Hello ", "Hello ");
+    expect(onChunk).toHaveBeenNthCalledWith(2, "world", "Hello world");
+  });
+
+  it("reads SSE data payloads, plain or JSON", async () => {
+    const body = bodyOf(
+      'data: {"token":"Hel"}\n\n',
+      'data: {"delta":"lo"}\n\n',
+      "data: ,\n\n",
+      'data: "there"\n\n'
+    );
+
+    expect(await readStream(body, { contentType: SSE })).toBe("Hello,there");
+  });
+
+  it("keeps JSON scalars as the text that was sent", async () => {
+    const body = bodyOf("data: 42\n\n", "data: null\n\n", 'data: {"other":1}\n\n');
+
+    expect(await readStream(body, { contentType: SSE })).toBe("42null");
+  });
+
+  it("joins events split across chunks", async () => {
+    const body = bodyOf('data: {"tok', 'en":"Bali"}\n', "\ndata: !", "\n\n");
+
+    expect(await readStream(body, { contentType: SSE })).toBe("Bali!");
+  });
+
+  it("accepts CRLF line endings", async () => {
+    const body = bodyOf("data: one\r\n\r\n", "event: message\r\ndata: two\r\n\r\n");
+
+    expect(await readStream(body, { contentType: `${SSE}; charset=utf-8` })).toBe("onetwo");
+  });
+
+  it("joins multi-line data with newlines", async () => {
+    const body = bodyOf("data: first\ndata: second\n\n");
+
+    expect(await readStream(body, { contentType: SSE })).toBe("first\nsecond");
+  });
+
+  it("stops at [DONE]", async () => {
+    const body = bodyOf("data: kept\n\ndata: [DONE]\n\ndata: ignored\n\n");
+
+    expect(await readStream(body, { contentType: SSE })).toBe("kept");
+  });
+
+  it("reads a last event without a trailing blank line", async () => {
+    const body = bodyOf("data: a\n\ndata: b");
+
+    expect(await readStream(body, { contentType: SSE })).toBe("ab");
+  });
+
+  it("rejects with the message of an error event", async () => {
+    const body = bodyOf("data: partial\n\n", 'event: error\ndata: {"text":"Model overloaded"}\n\n');
+
+    await expect(readStream(body, { contentType: SSE })).rejects.toThrow("Model overloaded");
+  });
+
+  it("rejects with a default message for an empty error event", async () => {
+    const body = bodyOf("event: error\ndata:\n\n");
+
+    await expect(readStream(body, { contentType: SSE })).rejects.toThrow("The stream failed");
+  });
+
+  it("decodes multi-byte characters split across chunks", async () => {
+    const bytes = new TextEncoder().encode("café");
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes.slice(0, 4));
+        controller.enqueue(bytes.slice(4));
+        controller.close();
+      },
+    });
+
+    expect(await readStream(body)).toBe("café");
+  });
+});
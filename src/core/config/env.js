@@ -11,6 +11,13 @@ const envSchema = z.object({
     .url("VITE_API_BASE_URL must be a valid URL")
     .describe("Base URL for API requests"),
 
+  // Optional: Realtime session updates (WebSocket), defaults to <API base>/realtime
+  VITE_REALTIME_URL: z
+    .string()
+    .url("VITE_REALTIME_URL must be a valid URL")
+    .optional()
+    .describe("WebSocket URL for realtime session updates"),
+
   // Environment
   VITE_ENV: z
     .enum(["development", "staging", "production"])
@@ -44,6 +51,7 @@ function validateEnv() {
   try {
     const env = {
       VITE_API_BASE_URL: runtimeEnv.VITE_API_BASE_URL,
+      VITE_REALTIME_URL: runtimeEnv.VITE_REALTIME_URL || undefined,
       VITE_ENV: runtimeEnv.VITE_ENV || runtimeEnv.MODE,
       VITE_ENABLE_DEVTOOLS: runtimeEnv.VITE_ENABLE_DEVTOOLS,
       VITE_LOG_LEVEL: runtimeEnv.VITE_LOG_LEVEL,
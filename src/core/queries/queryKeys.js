@@ -139,6 +139,22 @@ export const analyticsKeys = {
   report: (id) => [...analyticsKeys.reports(), id],
 };
 
+/**
+ * Trip Template Query Keys
+ */
+export const tripTemplateKeys = {
+  all: ["tripTemplates"],
+  lists: () => [...tripTemplateKeys.all, "list"],
+};
+
+/**
+ * Trip Checklist Query Keys (checked items of a planning session)
+ */
+export const checklistKeys = {
+  all: ["checklists"],
+  detail: (sessionId) => [...checklistKeys.all, sessionId],
+};
+
 /**
  * Helper: Create query keys for a generic resource
  * Useful for new features
@@ -177,6 +193,8 @@ export const getAllQueryKeys = () => [
   settingsKeys.all,
   analyticsKeys.all,
   dashboardKeys.all,
+  tripTemplateKeys.all,
+  checklistKeys.all,
 ];
 
 /**
@@ -11,6 +11,7 @@ import { logger } from "../utils/logger";
  * - Global loading states
  * - Toast notifications queue
  * - Theme (light/dark)
+ * - Trip form layout (compact/wizard)
  * - Breadcrumb data
  *
  * Usage:
@@ -223,6 +224,19 @@ const uiStore = (set, get) => ({
     get().setTheme(newTheme);
   },
 
+  // TRIP FORM
+  /**
+   * Trip planning form layout: 'compact' | 'wizard'
+   */
+  tripFormMode: "compact",
+
+  /**
+   * Set trip form layout
+   */
+  setTripFormMode: (mode) => {
+    set({ tripFormMode: mode });
+  },
+
   // BREADCRUMBS
   /**
    * Breadcrumb trail
@@ -271,7 +285,7 @@ const uiStore = (set, get) => ({
       toasts: [],
       breadcrumbs: [],
       pageTitle: "",
-      // Don't reset theme - user preference should persist
+      // Don't reset theme or trip form mode - user preferences should persist
     });
   },
 });
@@ -279,7 +293,7 @@ const uiStore = (set, get) => ({
 /**
  * Create UI store with middleware
  * - devtools: Enable Redux DevTools integration
- * - persist: Persist sidebar and theme preferences to localStorage
+ * - persist: Persist sidebar, theme and trip form preferences to localStorage
  */
 export const useUIStore = create(
   devtools(
@@ -289,6 +303,7 @@ export const useUIStore = create(
       partialize: (state) => ({
         isSidebarCollapsed: state.isSidebarCollapsed,
         theme: state.theme,
+        tripFormMode: state.tripFormMode,
       }),
     }),
     { name: "UIStore" }
@@ -333,6 +348,11 @@ export const useTheme = () => useUIStore((state) => state.theme);
 
 export const useToggleTheme = () => useUIStore((state) => state.toggleTheme);
 
+// Trip form
+export const useTripFormMode = () => useUIStore((state) => state.tripFormMode);
+
+export const useSetTripFormMode = () => useUIStore((state) => state.setTripFormMode);
+
 // Breadcrumbs
 export const useBreadcrumbs = () => useUIStore((state) => state.breadcrumbs);
 
@@ -1,11 +1,13 @@
 import { useMutation } from "@tanstack/react-query";
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
 import { useAuthStore } from "../stores/authStore";
 import { authApi } from "../api";
+import { getRedirectPath } from "../utils/redirect";
 import { useUIStore } from "../../../core/stores/uiStore";
 import logger from "../../../core/utils/logger";
 export const useLogin = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const setAuth = useAuthStore((state) => state.setAuth);
   const showSuccess = useUIStore((state) => state.showSuccess);
   const showError = useUIStore((state) => state.showError);
@@ -17,7 +19,7 @@ export const useLogin = () => {
       setAuth({ user, accessToken });
       showSuccess(`Welcome back, ${user.name || user.email}!`);
       logger.info("user", accessToken);
-      navigate("/");
+      navigate(getRedirectPath(location), { replace: true });
     },
     onError: (error) => {
       logger.warn("Login failed", error);
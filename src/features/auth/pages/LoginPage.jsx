@@ -1,7 +1,7 @@
 import React from "react";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
-import { Link, useNavigate, useNavigation } from "react-router-dom";
+import { Link, useLocation, useNavigate, useNavigation } from "react-router-dom";
 import { useState } from "react";
 import { useAuthStore } from "../stores/authStore";
 import { loginSchema } from "../utils/validation";
@@ -12,6 +12,7 @@ import { Plane } from "lucide-react";
 
 export default function LoginPage() {
   const navigate = useNavigate();
+  const location = useLocation();
   const [serverError, setServerError] = useState("");
   const { mutate: performLogin, isPending, error } = useLogin();
   const {
@@ -70,7 +71,7 @@ export default function LoginPage() {
               >
                 {isPending ? "Logging in..." : "Login"}
               </button>
-              <span className="text-muted-foreground text-sm/6 text-center block mt-4 mb-5">Don't have an account? <span onClick={() => navigate("/register")} className="text-accent hover:cursor-pointer">Sign up</span></span>
+              <span className="text-muted-foreground text-sm/6 text-center block mt-4 mb-5">Don't have an account? <span onClick={() => navigate("/register", { state: location.state })} className="text-accent hover:cursor-pointer">Sign up</span></span>
             </form>
           </div>
           <hr className="my-6 border-border" />
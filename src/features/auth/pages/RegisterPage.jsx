@@ -5,12 +5,13 @@ import { useState } from "react";
 import { registerSchema } from "../utils/validation";
 import { useRegister } from "./../hooks/useRegister";
 import logger from "../../../core/utils/logger";
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
 import { Plane } from "lucide-react";
 
 export default function RegisterPage() {
   const [serverError, setServerError] = useState("");
   const navigate = useNavigate();
+  const location = useLocation();
   const {
     register,
     handleSubmit,
@@ -91,7 +92,7 @@ export default function RegisterPage() {
               {isPending ? "Registering..." : "Register"}
             </button>
           </form>
-          <span className="text-muted-foreground text-sm/6 text-center block mt-4 mb-2">have an account? <span onClick={() => navigate("/login")} className="text-accent hover:cursor-pointer">Sign in</span></span>
+          <span className="text-muted-foreground text-sm/6 text-center block mt-4 mb-2">have an account? <span onClick={() => navigate("/login", { state: location.state })} className="text-accent hover:cursor-pointer">Sign in</span></span>
           <hr className="my-6 border-border" />
           <div className="flex justify-between mt-2 text-blue-200 ">
             <span className="text-primary mx-auto text-center block hover:text-blue-700 cursor-pointer" onClick={() => navigate("/")}>
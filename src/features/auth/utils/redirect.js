@@ -0,0 +1,14 @@
+/**
+ * Where to send the user after signing in.
+ * ProtectedRoute stores the page that required auth (path + query) in `location.state.from`,
+ * auth pages pass that state along so deep links survive the login detour.
+ *
+ * @param {Location} location - Current router location
+ * @param {string} fallback - Path used when no page was remembered
+ * @returns {string}
+ */
+export const getRedirectPath = (location, fallback = "/") => {
+  const from = location?.state?.from;
+  if (!from?.pathname?.startsWith("/")) return fallback;
+  return `${from.pathname}${from.search ?? ""}${from.hash ?? ""}`;
+};
@@ -1,4 +1,5 @@
 import api from "../../../core/api";
+import { buildTripMessage } from "../utils/tripFormat";
 
 export const convoSession = async () => {
   const res = await api.post("/conversations");
@@ -6,14 +7,76 @@ export const convoSession = async () => {
 };
 
 export const createConvo = async (data, sessionId) => {
-  const jsonString = JSON.stringify(data);
+  const jsonString = JSON.stringify(buildTripMessage(data));
   const res = await api.post("/conversations/" + sessionId, { message: jsonString });
   console.log("createConvo", res);
   return res.plainText;
 };
 
-export const getKeyPoint = async () => {
-  const sessionId = localStorage.getItem("sessionId");
+export const getKeyPoint = async (sessionId) => {
   const res = await api.get("/conversations/" + sessionId + "/detail");
   return res;
 };
+
+export const getTripTemplates = async () => {
+  const res = await api.get("/trip-templates", { retry: false });
+  return Array.isArray(res) ? res : (res?.templates ?? []);
+};
+
+export const createTripTemplate = async (template) => {
+  const res = await api.post("/trip-templates", template, { retry: false });
+  return res;
+};
+
+export const renameTripTemplate = async (id, name) => {
+  const res = await api.patch("/trip-templates/" + id, { name }, { retry: false });
+  return res;
+};
+
+export const deleteTripTemplate = async (id) => {
+  const res = await api.delete("/trip-templates/" + id, { retry: false });
+  return res;
+};
+
+// Checked state of checklist items: { [itemId]: boolean }.
+// The server may send that map, { items: map }, or a list of { id, checked }.
+export const getChecklist = async (sessionId) => {
+  const res = await api.get("/conversations/" + sessionId + "/checklist", { retry: false });
+  const items = res?.items ?? res;
+  if (Array.isArray(items)) {
+    return Object.fromEntries(items.map((item) => [item.id, Boolean(item.checked)]));
+  }
+  return items && typeof items === "object" ? items : {};
+};
+
+export const saveChecklistItem = async (sessionId, { id, checked }) => {
+  const res = await api.patch(
+    "/conversations/" + sessionId + "/checklist",
+    { items: { [id]: checked } },
+    { retry: false }
+  );
+  return res;
+};
+
+// The first user message of a session is the JSON trip request posted by `createConvo`.
+export const getConversationRequest = async (sessionId) => {
+  const res = await api.get("/conversations/" + sessionId);
+  const messages = Array.isArray(res) ? res : res?.messages || [];
+  for (const message of messages) {
+    if (message?.role !== "user" || typeof message.text !== "string") continue;
+    try {
+      const parsed = JSON.parse(message.text);
+      if (parsed && typeof parsed === "object" && parsed.from) return parsed;
+    } catch {
+      // not a trip request, keep looking
+    }
+  }
+  return null;
+};
+
+export const downloadTripExport = async (sessionId, format, filename) => {
+  await api.download("/conversations/" + sessionId + "/export", filename, {
+    params: { format },
+    retry: false,
+  });
+};
@@ -0,0 +1,37 @@
+import { FileClock } from "lucide-react";
+
+const DraftPrompt = ({ draft, onResume, onDiscard }) => {
+  if (!draft) return null;
+
+  const savedAt = draft.updatedAt ? new Date(draft.updatedAt).toLocaleString() : null;
+
+  return (
+    <div
+      role="status"
+      className="mb-4 flex flex-wrap items-center gap-3 rounded-md border border-primary/30 bg-primary/5 px-4 py-3"
+    >
+      <FileClock className="h-5 w-5 shrink-0 text-primary" aria-hidden="true" />
+      <p className="flex-1 text-sm text-foreground">
+        You have an unsent trip draft{savedAt ? ` from ${savedAt}` : ""}.
+      </p>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={onDiscard}
+          className="rounded-md border border-border px-3 py-1.5 text-sm text-muted-foreground hover:bg-muted hover:cursor-pointer"
+        >
+          Discard
+        </button>
+        <button
+          type="button"
+          onClick={onResume}
+          className="rounded-md bg-primary px-3 py-1.5 text-sm font-medium text-primary-foreground hover:bg-primary/90 hover:cursor-pointer"
+        >
+          Resume draft
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DraftPrompt;
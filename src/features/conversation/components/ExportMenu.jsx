@@ -0,0 +1,93 @@
+import { useEffect, useRef, useState } from "react";
+import { CalendarDays, ChevronDown, Download, FileText, Printer } from "lucide-react";
+import { useTripExport } from "../hooks/useTripExport";
+
+const ExportMenu = ({ sessionId, keyPoints, summary, isEdited = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+  const { mutate: exportTrip, isPending } = useTripExport({
+    sessionId,
+    keyPoints,
+    summary,
+    isEdited,
+  });
+  const hasItinerary = Boolean(summary?.itinerary?.some((item) => item.type === "daily_plan"));
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const onPointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    const onKeyDown = (e) => e.key === "Escape" && setIsOpen(false);
+    document.addEventListener("mousedown", onPointerDown);
+    document.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", onPointerDown);
+      document.removeEventListener("keydown", onKeyDown);
+    };
+  }, [isOpen]);
+
+  const items = [
+    { id: "pdf", label: "PDF (printable)", icon: <Printer className="size-4" /> },
+    {
+      id: "ics-day",
+      label: "Calendar, one event per day",
+      icon: <CalendarDays className="size-4" />,
+      variables: { format: "ics", granularity: "day" },
+      disabled: !hasItinerary,
+    },
+    {
+      id: "ics-activity",
+      label: "Calendar, one event per activity",
+      icon: <CalendarDays className="size-4" />,
+      variables: { format: "ics", granularity: "activity" },
+      disabled: !hasItinerary,
+    },
+    { id: "md", label: "Markdown (all tabs)", icon: <FileText className="size-4" /> },
+  ];
+
+  const handleSelect = (item) => {
+    setIsOpen(false);
+    exportTrip(item.variables ?? { format: item.id });
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        disabled={isPending}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        className="inline-flex items-center gap-1 rounded-md px-3 py-2 text-sm text-muted-foreground hover:text-foreground hover:cursor-pointer disabled:opacity-50"
+      >
+        <Download className="size-4" />
+        {isPending ? "Exporting..." : "Export"}
+        <ChevronDown className="size-3.5" />
+      </button>
+      {isOpen && (
+        <div
+          role="menu"
+          className="absolute right-0 z-30 mt-1 w-64 rounded-md border border-border bg-card py-1 shadow-lg"
+        >
+          {items.map((item) => (
+            <button
+              key={item.id}
+              type="button"
+              role="menuitem"
+              onClick={() => handleSelect(item)}
+              disabled={item.disabled}
+              title={item.disabled ? "Available once the summary has a day-by-day plan" : undefined}
+              className="flex w-full items-center gap-2 px-3 py-2 text-left text-sm hover:bg-muted hover:cursor-pointer disabled:cursor-not-allowed disabled:opacity-40"
+            >
+              {item.icon}
+              {item.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,39 @@
+import { ListChecks, Rows3 } from "lucide-react";
+import { useSetTripFormMode, useTripFormMode } from "../../../core/stores/uiStore";
+
+const MODES = [
+  { id: "compact", label: "Compact", icon: <Rows3 className="size-3.5" /> },
+  { id: "wizard", label: "Step by step", icon: <ListChecks className="size-3.5" /> },
+];
+
+const FormModeToggle = () => {
+  const mode = useTripFormMode();
+  const setMode = useSetTripFormMode();
+
+  return (
+    <div
+      role="group"
+      aria-label="Form layout"
+      className="inline-flex rounded-md border border-border p-0.5"
+    >
+      {MODES.map(({ id, label, icon }) => (
+        <button
+          key={id}
+          type="button"
+          onClick={() => setMode(id)}
+          aria-pressed={mode === id}
+          className={`inline-flex items-center gap-1 rounded px-3 py-1 text-xs font-medium transition-colors hover:cursor-pointer ${
+            mode === id
+              ? "bg-primary text-primary-foreground"
+              : "text-muted-foreground hover:text-foreground"
+          }`}
+        >
+          {icon}
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default FormModeToggle;
@@ -0,0 +1,60 @@
+import { useMemo } from "react";
+import MarkdownContent from "../../../shared/components/markdown/MarkdownContent";
+import { rehypeHighlight } from "../../../shared/utils/markdownHighlight";
+import { DIFF_BLOCK_CLASS, diffBlocks, diffStats } from "../utils/keyPointDiff";
+
+/**
+ * Markdown detail of a key point tab. When `baseline` is given, paragraphs that
+ * changed since that version are highlighted. Task list items are interactive when a
+ * `checklist` is given (see `MarkdownContent`).
+ *
+ * @param {{ detail: string, baseline?: string|null, query?: string, checklist?, onDismissChanges? }} props
+ */
+const KeyPointDetail = ({ detail, baseline = null, query = "", checklist, onDismissChanges }) => {
+  const rehypePlugins = useMemo(() => [[rehypeHighlight, { query }]], [query]);
+  const diff = useMemo(
+    () => (baseline === null ? null : diffBlocks(baseline, detail)),
+    [baseline, detail]
+  );
+
+  if (!diff) {
+    return (
+      <MarkdownContent rehypePlugins={rehypePlugins} checklist={checklist}>
+        {detail}
+      </MarkdownContent>
+    );
+  }
+
+  const { added } = diffStats(diff);
+  return (
+    <>
+      {added > 0 && (
+        <div className="mb-3 flex items-center justify-between rounded-md bg-emerald-50 px-3 py-2 text-xs text-emerald-800">
+          <span>
+            {added} {added === 1 ? "paragraph" : "paragraphs"} changed since you last read this tab
+          </span>
+          {onDismissChanges && (
+            <button
+              type="button"
+              onClick={onDismissChanges}
+              className="font-medium hover:underline hover:cursor-pointer"
+            >
+              Hide highlights
+            </button>
+          )}
+        </div>
+      )}
+      {diff
+        .filter((block) => block.status !== "removed")
+        .map((block, index) => (
+          <div key={index} className={`${DIFF_BLOCK_CLASS[block.status]} mb-3`}>
+            <MarkdownContent rehypePlugins={rehypePlugins} checklist={checklist}>
+              {block.text}
+            </MarkdownContent>
+          </div>
+        ))}
+    </>
+  );
+};
+
+export default KeyPointDetail;
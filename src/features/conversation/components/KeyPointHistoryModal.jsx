@@ -0,0 +1,114 @@
+import { useState } from "react";
+import MarkdownContent from "../../../shared/components/markdown/MarkdownContent";
+import { useModal } from "../../../core/stores/uiStore";
+import { DIFF_BLOCK_CLASS, diffBlocks, diffStats } from "../utils/keyPointDiff";
+
+export const KEY_POINT_HISTORY_MODAL = "keyPointHistory";
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * Revision history of one key point tab, opened with
+ * `openModal(KEY_POINT_HISTORY_MODAL, { title })`. Each revision is shown as a
+ * diff against the one before it.
+ *
+ * @param {{ history: Object }} props - Tab histories from `useKeyPointHistory`
+ */
+const KeyPointHistoryModal = ({ history }) => {
+  const modal = useModal(KEY_POINT_HISTORY_MODAL);
+  const title = modal.data?.title;
+  const revisions = history[title]?.revisions ?? [];
+  const [selected, setSelected] = useState(null);
+
+  if (!modal.isOpen) return null;
+
+  const close = () => {
+    setSelected(null);
+    modal.close();
+  };
+  const index = selected ?? revisions.length - 1;
+  const diff = diffBlocks(revisions[index - 1]?.detail ?? "", revisions[index]?.detail ?? "");
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center"
+      onKeyDown={(e) => e.key === "Escape" && close()}
+    >
+      <div className="absolute inset-0 bg-black/40" aria-hidden="true" onClick={close} />
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={`${title} history`}
+        className="relative z-10 flex h-[80vh] w-full max-w-4xl flex-col rounded-xl bg-white p-6 shadow-xl"
+      >
+        <div className="mb-4 flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-gray-900">{title}: revision history</h2>
+          <button
+            type="button"
+            onClick={close}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+
+        {revisions.length === 0 ? (
+          <p className="text-sm text-gray-600">No revisions recorded for this tab yet.</p>
+        ) : (
+          <div className="flex min-h-0 flex-1 gap-4">
+            <ol className="w-48 shrink-0 space-y-1 overflow-y-auto">
+              {revisions
+                .map((revision, i) => ({ revision, i }))
+                .reverse()
+                .map(({ revision, i }) => {
+                  const { added, removed } = diffStats(
+                    diffBlocks(revisions[i - 1]?.detail ?? "", revision.detail)
+                  );
+                  return (
+                    <li key={revision.at}>
+                      <button
+                        type="button"
+                        onClick={() => setSelected(i)}
+                        className={`w-full rounded-md px-3 py-2 text-left text-sm hover:cursor-pointer ${
+                          i === index ? "bg-primary/10 text-primary" : "hover:bg-gray-50"
+                        }`}
+                      >
+                        <span className="block font-medium">
+                          {i === 0 ? "First version" : `Revision ${i + 1}`}
+                        </span>
+                        <span className="block text-xs text-gray-500">
+                          {formatTime(revision.at)}
+                        </span>
+                        {i > 0 && (
+                          <span className="block text-xs">
+                            <span className="text-emerald-700">+{added}</span>{" "}
+                            <span className="text-red-600">-{removed}</span>
+                          </span>
+                        )}
+                      </button>
+                    </li>
+                  );
+                })}
+            </ol>
+            <div className="min-w-0 flex-1 space-y-3 overflow-y-auto text-sm">
+              {diff.map((block, i) => (
+                <div key={i} className={DIFF_BLOCK_CLASS[index === 0 ? "same" : block.status]}>
+                  <MarkdownContent>{block.text}</MarkdownContent>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default KeyPointHistoryModal;
@@ -0,0 +1,79 @@
+import { useState } from "react";
+import { Search, X } from "lucide-react";
+import { searchKeyPoints } from "../utils/keyPointTabs";
+
+/**
+ * Search box for the key point tabs, with a result per matching tab.
+ *
+ * @param {{ keyPoints: Array<{ title, detail }>, query: string, onQueryChange, onSelect }} props
+ */
+const KeyPointSearch = ({ keyPoints, query, onQueryChange, onSelect }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const results = searchKeyPoints(keyPoints, query);
+  const hasQuery = Boolean(query.trim());
+
+  return (
+    <div
+      className="relative"
+      onFocus={() => setIsOpen(true)}
+      onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && setIsOpen(false)}
+    >
+      <div className="flex items-center gap-1 rounded-md border border-border bg-card px-2">
+        <Search className="size-4 text-muted-foreground" aria-hidden="true" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") onQueryChange("");
+            if (e.key === "Enter" && results[0]) onSelect(results[0].title);
+          }}
+          placeholder="Search all tabs"
+          aria-label="Search all tabs"
+          className="w-44 bg-transparent py-1.5 text-sm focus:outline-none"
+        />
+        {hasQuery && (
+          <button
+            type="button"
+            onClick={() => onQueryChange("")}
+            aria-label="Clear search"
+            className="rounded p-0.5 text-muted-foreground hover:text-foreground hover:cursor-pointer"
+          >
+            <X className="size-3.5" />
+          </button>
+        )}
+      </div>
+      {isOpen && hasQuery && (
+        <div className="absolute right-0 z-30 mt-1 max-h-80 w-80 overflow-y-auto rounded-md border border-border bg-card py-1 shadow-lg">
+          {results.length === 0 && (
+            <p className="px-3 py-2 text-sm text-muted-foreground">No matches in any tab</p>
+          )}
+          {results.map((result) => (
+            <button
+              key={result.title}
+              type="button"
+              onClick={() => onSelect(result.title)}
+              className="block w-full px-3 py-2 text-left text-sm hover:bg-muted hover:cursor-pointer"
+            >
+              <span className="flex items-center justify-between font-medium">
+                {result.title}
+                <span className="text-xs text-muted-foreground">
+                  {result.count} {result.count === 1 ? "match" : "matches"}
+                </span>
+              </span>
+              {result.snippet && (
+                <span className="mt-0.5 block text-xs text-muted-foreground">
+                  {result.snippet.before}
+                  <mark className="search-match">{result.snippet.match}</mark>
+                  {result.snippet.after}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KeyPointSearch;
@@ -0,0 +1,110 @@
+import { useState } from "react";
+import { Pin, PinOff } from "lucide-react";
+
+const DRAG_TYPE = "application/x-key-point-tab";
+
+/**
+ * Key point tab bar. Tabs can be pinned to the front and dragged into a new order.
+ *
+ * @param {{ tabs: Array<{ title }>, activeTitle: string, pinned: string[],
+ *   matchCounts?: Object<string, number>, changes?: Object<string, "new"|"updated">,
+ *   onSelect, onTogglePin, onMove }} props
+ *  - `onMove(fromTitle, toTitle)` places `fromTitle` before `toTitle` (end of the bar when null)
+ */
+const KeyPointTabs = ({
+  tabs,
+  activeTitle,
+  pinned,
+  matchCounts = {},
+  changes = {},
+  onSelect,
+  onTogglePin,
+  onMove,
+}) => {
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const handleDrop = (e, toTitle) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTarget(null);
+    const fromTitle = e.dataTransfer.getData(DRAG_TYPE);
+    if (fromTitle && fromTitle !== toTitle) onMove(fromTitle, toTitle);
+  };
+
+  return (
+    <div
+      role="tablist"
+      className="flex flex-wrap gap-1"
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => handleDrop(e, null)}
+    >
+      {tabs.map((tab) => {
+        const isActive = tab.title === activeTitle;
+        const isPinned = pinned.includes(tab.title);
+        const matches = matchCounts[tab.title];
+        const change = changes[tab.title];
+        return (
+          <div
+            key={tab.title}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = "move";
+              e.dataTransfer.setData(DRAG_TYPE, tab.title);
+            }}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDropTarget(tab.title);
+            }}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={(e) => handleDrop(e, tab.title)}
+            className={`group flex items-center transition-colors ${
+              isActive
+                ? "border-b-2 border-primary text-primary bg-white"
+                : "text-muted-foreground hover:text-foreground"
+            } ${dropTarget === tab.title ? "border-l-2 border-l-primary" : ""}`}
+          >
+            <button
+              type="button"
+              role="tab"
+              aria-selected={isActive}
+              onClick={() => onSelect(tab.title)}
+              className="flex items-center gap-2 py-2 pl-4 pr-1 text-sm hover:cursor-pointer"
+            >
+              {isPinned && <Pin className="size-3" aria-label="Pinned" />}
+              {tab.title}
+              {change && (
+                <span
+                  className={`rounded-full px-1.5 text-xs font-medium ${
+                    change === "new"
+                      ? "bg-emerald-100 text-emerald-800"
+                      : "bg-blue-100 text-blue-800"
+                  }`}
+                >
+                  {change === "new" ? "New" : "Updated"}
+                </span>
+              )}
+              {matches > 0 && (
+                <span className="rounded-full bg-yellow-200 px-1.5 text-xs text-yellow-900">
+                  {matches}
+                </span>
+              )}
+            </button>
+            <button
+              type="button"
+              onClick={() => onTogglePin(tab.title)}
+              aria-label={isPinned ? `Unpin ${tab.title}` : `Pin ${tab.title}`}
+              title={isPinned ? "Unpin tab" : "Pin tab"}
+              className={`mr-2 rounded p-1 hover:text-foreground hover:cursor-pointer ${
+                isPinned ? "" : "opacity-0 group-hover:opacity-100 focus:opacity-100"
+              }`}
+            >
+              {isPinned ? <PinOff className="size-3.5" /> : <Pin className="size-3.5" />}
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default KeyPointTabs;
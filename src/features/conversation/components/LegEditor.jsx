@@ -0,0 +1,115 @@
+import { useFieldArray, useFormContext } from "react-hook-form";
+import { ArrowDown, ArrowUp, Plus, Trash2 } from "lucide-react";
+import { MAX_STOPS, TRANSPORT_OPTIONS, emptyStop } from "../utils/validation";
+
+const INPUT_CLASS =
+  "w-full rounded-md border border-border p-2 focus:outline-none focus:ring-2 focus:ring-primary";
+const ICON_BUTTON_CLASS =
+  "rounded p-1 text-muted-foreground hover:text-foreground hover:cursor-pointer disabled:opacity-30 disabled:cursor-not-allowed";
+
+const LegEditor = () => {
+  const {
+    control,
+    register,
+    formState: { errors },
+  } = useFormContext();
+  const { fields, append, remove, move } = useFieldArray({ control, name: "stops" });
+
+  return (
+    <div className="space-y-2">
+      {fields.map((field, index) => {
+        const stopErrors = errors.stops?.[index];
+        return (
+          <div key={field.id} className="flex items-start gap-2">
+            <span className="mt-2 w-5 shrink-0 text-center text-sm font-semibold text-primary">
+              {index + 1}
+            </span>
+            <div className="flex-[3]">
+              <input
+                type="text"
+                aria-label={`Stop ${index + 1} destination`}
+                {...register(`stops.${index}.location`)}
+                placeholder={index === 0 ? "Tokyo" : "Kyoto"}
+                className={INPUT_CLASS}
+              />
+              {stopErrors?.location && (
+                <p className="mt-1 text-sm text-red-600">{stopErrors.location.message}</p>
+              )}
+            </div>
+            <div className="flex-1">
+              <input
+                type="number"
+                min={1}
+                inputMode="numeric"
+                aria-label={`Stop ${index + 1} nights`}
+                {...register(`stops.${index}.nights`)}
+                placeholder="nights"
+                className={INPUT_CLASS}
+              />
+              {stopErrors?.nights && (
+                <p className="mt-1 text-sm text-red-600">{stopErrors.nights.message}</p>
+              )}
+            </div>
+            <select
+              aria-label={`Stop ${index + 1} transport`}
+              {...register(`stops.${index}.transport`)}
+              className={`${INPUT_CLASS} flex-1`}
+            >
+              <option value="">Any transport</option>
+              {TRANSPORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <div className="flex shrink-0 items-center pt-1">
+              <button
+                type="button"
+                onClick={() => move(index, index - 1)}
+                disabled={index === 0}
+                className={ICON_BUTTON_CLASS}
+                aria-label="Move stop up"
+              >
+                <ArrowUp className="size-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => move(index, index + 1)}
+                disabled={index === fields.length - 1}
+                className={ICON_BUTTON_CLASS}
+                aria-label="Move stop down"
+              >
+                <ArrowDown className="size-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => remove(index)}
+                disabled={fields.length === 1}
+                className={ICON_BUTTON_CLASS}
+                aria-label="Remove stop"
+              >
+                <Trash2 className="size-4" />
+              </button>
+            </div>
+          </div>
+        );
+      })}
+      {(errors.stops?.root || errors.stops?.message) && (
+        <p className="text-sm text-red-600">
+          {errors.stops?.root?.message ?? errors.stops?.message}
+        </p>
+      )}
+      <button
+        type="button"
+        onClick={() => append({ ...emptyStop })}
+        disabled={fields.length >= MAX_STOPS}
+        className="inline-flex items-center gap-1 text-sm font-medium text-primary hover:underline hover:cursor-pointer disabled:opacity-50"
+      >
+        <Plus className="size-4" />
+        Add stop
+      </button>
+    </div>
+  );
+};
+
+export default LegEditor;
@@ -0,0 +1,155 @@
+import { useState } from "react";
+import { Bookmark, Check, ChevronDown, Pencil, Trash2, X } from "lucide-react";
+import {
+  useDeleteTripTemplate,
+  useRenameTripTemplate,
+  useSaveTripTemplate,
+  useTripTemplates,
+} from "../hooks/useTripTemplates";
+
+const INPUT_CLASS =
+  "w-full rounded-md border border-border p-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-primary";
+const ICON_BUTTON_CLASS =
+  "rounded p-1 text-muted-foreground hover:text-foreground hover:cursor-pointer disabled:opacity-40";
+
+const TemplateRow = ({ template, onApply }) => {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [name, setName] = useState(template.name);
+  const { mutate: renameTemplate } = useRenameTripTemplate();
+  const { mutate: deleteTemplate, isPending: isDeleting } = useDeleteTripTemplate();
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (trimmed && trimmed !== template.name) {
+      renameTemplate({ id: template.id, name: trimmed, local: template.local });
+    }
+    setIsRenaming(false);
+  };
+
+  if (isRenaming) {
+    return (
+      <form onSubmit={submitRename} className="flex items-center gap-1">
+        <input
+          autoFocus
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          aria-label="Template name"
+          className={INPUT_CLASS}
+        />
+        <button type="submit" className={ICON_BUTTON_CLASS} aria-label="Save name">
+          <Check className="size-4" />
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setName(template.name);
+            setIsRenaming(false);
+          }}
+          className={ICON_BUTTON_CLASS}
+          aria-label="Cancel rename"
+        >
+          <X className="size-4" />
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-1">
+      <button
+        type="button"
+        onClick={() => onApply(template.values)}
+        className="flex-1 truncate rounded px-2 py-1 text-left text-sm hover:bg-muted hover:cursor-pointer"
+        title="Use this template"
+      >
+        {template.name}
+        {template.local && (
+          <span className="ml-2 text-xs text-muted-foreground">(this device)</span>
+        )}
+      </button>
+      <button
+        type="button"
+        onClick={() => setIsRenaming(true)}
+        className={ICON_BUTTON_CLASS}
+        aria-label={`Rename ${template.name}`}
+      >
+        <Pencil className="size-4" />
+      </button>
+      <button
+        type="button"
+        onClick={() => deleteTemplate({ id: template.id, local: template.local })}
+        disabled={isDeleting}
+        className={ICON_BUTTON_CLASS}
+        aria-label={`Delete ${template.name}`}
+      >
+        <Trash2 className="size-4" />
+      </button>
+    </div>
+  );
+};
+
+const TemplateManager = ({ getValues, onApply }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState("");
+  const { templates, isLoading } = useTripTemplates({ enabled: isOpen });
+  const { mutate: saveTemplate, isPending: isSaving } = useSaveTripTemplate();
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    saveTemplate({ name: trimmed, values: getValues() }, { onSuccess: () => setName("") });
+  };
+
+  return (
+    <div className="mb-4 rounded-md border border-border">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        aria-expanded={isOpen}
+        className="flex w-full items-center gap-2 px-3 py-2 text-sm font-medium text-muted-foreground hover:text-foreground hover:cursor-pointer"
+      >
+        <Bookmark className="size-4" />
+        Trip templates
+        <ChevronDown
+          className={`ml-auto size-4 transition-transform ${isOpen ? "rotate-180" : ""}`}
+        />
+      </button>
+      {isOpen && (
+        <div className="space-y-3 border-t border-border p-3">
+          <form onSubmit={handleSave} className="flex gap-2">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Family beach weekend"
+              aria-label="New template name"
+              maxLength={80}
+              className={INPUT_CLASS}
+            />
+            <button
+              type="submit"
+              disabled={isSaving || !name.trim()}
+              className="shrink-0 rounded-md bg-primary px-3 py-1.5 text-sm font-medium text-primary-foreground hover:bg-primary/90 hover:cursor-pointer disabled:opacity-50"
+            >
+              Save current
+            </button>
+          </form>
+          {isLoading ? (
+            <p className="text-sm text-muted-foreground">Loading templates...</p>
+          ) : templates.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No templates yet.</p>
+          ) : (
+            <div className="max-h-48 space-y-1 overflow-y-auto">
+              {templates.map((template) => (
+                <TemplateRow key={template.id} template={template} onApply={onApply} />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TemplateManager;
@@ -0,0 +1,226 @@
+import { useFormContext } from "react-hook-form";
+import LegEditor from "./LegEditor";
+import { CURRENCIES, DURATION_UNITS, TRANSPORT_OPTIONS } from "../utils/validation";
+
+const INPUT_CLASS =
+  "w-full rounded-md border border-border p-2 focus:outline-none focus:ring-2 focus:ring-primary";
+const LABEL_CLASS = "block text-sm font-medium mb-1 text-muted-foreground";
+
+const FieldError = ({ error }) =>
+  error?.message ? <p className="mt-1 text-sm text-red-600">{error.message}</p> : null;
+
+const FlexibleToggle = ({ name }) => {
+  const { register } = useFormContext();
+  return (
+    <label className="inline-flex items-center gap-1 text-xs text-muted-foreground hover:cursor-pointer">
+      <input type="checkbox" {...register(`${name}.flexible`)} className="accent-primary" />
+      Flexible / not sure
+    </label>
+  );
+};
+
+const FieldHeader = ({ label, name }) => (
+  <div className="flex items-center justify-between mb-1">
+    <span className="block text-sm font-medium text-muted-foreground">{label}</span>
+    <FlexibleToggle name={name} />
+  </div>
+);
+
+const useIsFlexible = (name) => {
+  const { watch } = useFormContext();
+  return Boolean(watch(`${name}.flexible`));
+};
+
+export const WhereFields = () => {
+  const {
+    register,
+    formState: { errors },
+  } = useFormContext();
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className={LABEL_CLASS}>From</label>
+        <input type="text" {...register("from")} placeholder="Jakarta" className={INPUT_CLASS} />
+        <FieldError error={errors.from} />
+      </div>
+      <div>
+        <span className={LABEL_CLASS}>Stops</span>
+        <LegEditor />
+      </div>
+      <label className="inline-flex items-center gap-2 text-sm text-muted-foreground hover:cursor-pointer">
+        <input type="checkbox" {...register("returnToOrigin")} className="accent-primary" />
+        Return to origin at the end of the trip
+      </label>
+    </div>
+  );
+};
+
+export const WhenFields = () => {
+  const {
+    register,
+    formState: { errors },
+  } = useFormContext();
+  const whenFlexible = useIsFlexible("when");
+  const durationFlexible = useIsFlexible("duration");
+  return (
+    <div className="flex gap-4">
+      <div className="flex-1">
+        <FieldHeader label="When" name="when" />
+        <div className={`flex gap-2 ${whenFlexible ? "opacity-50" : ""}`}>
+          <div className="flex-1">
+            <input
+              type="date"
+              aria-label="Departure date"
+              {...register("when.startDate")}
+              className={INPUT_CLASS}
+            />
+            <FieldError error={errors.when?.startDate} />
+          </div>
+          <div className="flex-1">
+            <input
+              type="date"
+              aria-label="Return date"
+              {...register("when.endDate")}
+              className={INPUT_CLASS}
+            />
+            <FieldError error={errors.when?.endDate} />
+          </div>
+        </div>
+      </div>
+      <div className="flex-1">
+        <FieldHeader label="Duration" name="duration" />
+        <div className={`flex gap-2 ${durationFlexible ? "opacity-50" : ""}`}>
+          <input
+            type="number"
+            min={1}
+            inputMode="numeric"
+            {...register("duration.value")}
+            placeholder="7"
+            className={INPUT_CLASS}
+          />
+          <select {...register("duration.unit")} className={`${INPUT_CLASS} max-w-28`}>
+            {DURATION_UNITS.map((unit) => (
+              <option key={unit} value={unit}>
+                {unit}
+              </option>
+            ))}
+          </select>
+        </div>
+        <FieldError error={errors.duration?.value} />
+      </div>
+    </div>
+  );
+};
+
+export const WhoFields = () => {
+  const {
+    register,
+    formState: { errors },
+  } = useFormContext();
+  const flexible = useIsFlexible("party");
+  const counters = [
+    { name: "adults", label: "Adults", min: 1 },
+    { name: "children", label: "Children (2-11)", min: 0 },
+    { name: "infants", label: "Infants (<2)", min: 0 },
+  ];
+  return (
+    <div>
+      <FieldHeader label="Number of People" name="party" />
+      <div className={`flex gap-2 ${flexible ? "opacity-50" : ""}`}>
+        {counters.map((counter) => (
+          <div key={counter.name} className="flex-1">
+            <span className="block text-xs text-muted-foreground mb-1">{counter.label}</span>
+            <input
+              type="number"
+              min={counter.min}
+              inputMode="numeric"
+              {...register(`party.${counter.name}`)}
+              className={INPUT_CLASS}
+            />
+            <FieldError error={errors.party?.[counter.name]} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export const HowFields = () => {
+  const {
+    register,
+    formState: { errors },
+  } = useFormContext();
+  const flexible = useIsFlexible("transportation");
+  return (
+    <div>
+      <FieldHeader label="Transportation" name="transportation" />
+      <div className={`flex flex-wrap gap-2 ${flexible ? "opacity-50" : ""}`}>
+        {TRANSPORT_OPTIONS.map((option) => (
+          <label
+            key={option.value}
+            className="inline-flex items-center gap-2 rounded-md border border-border px-3 py-1.5 text-sm hover:cursor-pointer has-[:checked]:border-primary has-[:checked]:text-primary"
+          >
+            <input
+              type="checkbox"
+              value={option.value}
+              {...register("transportation.modes")}
+              className="accent-primary"
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+      <FieldError error={errors.transportation?.modes} />
+    </div>
+  );
+};
+
+export const BudgetFields = () => {
+  const {
+    register,
+    formState: { errors },
+  } = useFormContext();
+  const flexible = useIsFlexible("budget");
+  return (
+    <div>
+      <FieldHeader label="Estimated Budget" name="budget" />
+      <div className={`flex gap-2 ${flexible ? "opacity-50" : ""}`}>
+        <select {...register("budget.currency")} className={`${INPUT_CLASS} max-w-24`}>
+          {CURRENCIES.map((currency) => (
+            <option key={currency} value={currency}>
+              {currency}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min={0}
+          inputMode="decimal"
+          {...register("budget.amount")}
+          placeholder="10000000"
+          className={INPUT_CLASS}
+        />
+      </div>
+      <FieldError error={errors.budget?.amount} />
+    </div>
+  );
+};
+
+export const PreferenceField = () => {
+  const {
+    register,
+    formState: { errors },
+  } = useFormContext();
+  return (
+    <div>
+      <label className={LABEL_CLASS}>Holiday Preference</label>
+      <input
+        type="text"
+        {...register("preference")}
+        placeholder="sea and land tourism"
+        className={INPUT_CLASS}
+      />
+      <FieldError error={errors.preference} />
+    </div>
+  );
+};
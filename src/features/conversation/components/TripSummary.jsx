@@ -1,95 +1,133 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
 import { Calendar, Users, MapPin, Ship, Wallet } from 'lucide-react';
+import { groupItineraryByLeg } from '../utils/itinerary';
+import { collectLocations, costCategory, moneyText, summarizeBudget } from '../utils/summary';
+import BudgetGauge from './summary/BudgetGauge';
+import SpendCharts from './summary/SpendCharts';
+import DayTimeline from './summary/DayTimeline';
+import LocationList from './summary/LocationList';
+import SummaryIssues from './summary/SummaryIssues';
+import ItineraryToolbar from './summary/ItineraryToolbar';
+import { itineraryToMessage } from '../utils/itineraryEdits';
+import MarkdownContent from '../../../shared/components/markdown/MarkdownContent';
 
-const TripSummary = ({ summaryData }) => {
-    if (!summaryData) {
+// Only render primitives, the AI sometimes nests objects where text is expected
+const text = (value) => (typeof value === 'string' || typeof value === 'number' ? value : null);
+
+const ICON_CLASS = 'w-4 h-4 mr-2 text-gray-500';
+
+const DetailRow = ({ icon, label, children }) => (
+    <div className="flex items-center">
+        {icon}
+        <span><strong>{label}:</strong> {children ?? '-'}</span>
+    </div>
+);
+
+/**
+ * Parsed summary with its itinerary editor. The editor (`useItineraryEditor`) is owned by the
+ * page so exports include edits that were not sent yet.
+ */
+const TripSummary = ({ editor, stops = [], issues = [], onSendItinerary, isSending = false }) => {
+    const summary = editor.summary;
+    const [isEditing, setIsEditing] = useState(false);
+    const budget = useMemo(() => summarizeBudget(summary), [summary]);
+    const locations = useMemo(() => collectLocations(summary, stops ?? []), [summary, stops]);
+    const { fixedCosts, legs } = useMemo(
+        () => groupItineraryByLeg(summary?.itinerary, stops ?? []),
+        [summary, stops]
+    );
+
+    if (!summary) {
         return null;
     }
 
-    const {
-        trip_summary,
-        planning_details,
-        itinerary,
-        remaining_budget
-    } = summaryData;
+    const planning = summary.planning_details && typeof summary.planning_details === 'object'
+        ? summary.planning_details
+        : {};
+    const duration = text(planning.duration_days);
+
+    const sendItinerary = () => {
+        onSendItinerary?.(itineraryToMessage(editor.itinerary));
+        setIsEditing(false);
+    };
 
     return (
-        <div className="rounded-lg">
-            <h2 className="text-2xl font-bold text-gray-800 mb-4">Trip Summary</h2>
-            <p className="text-gray-600 mb-6">{trip_summary}</p>
+        <div className="rounded-lg space-y-8">
+            <div>
+                <h2 className="text-2xl font-bold text-gray-800 mb-4">Trip Summary</h2>
+                {text(summary.trip_summary) && (
+                    <div className="text-gray-600">
+                        <MarkdownContent>{String(summary.trip_summary)}</MarkdownContent>
+                    </div>
+                )}
+            </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <SummaryIssues issues={issues} />
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 <div className="bg-gray-50 p-4 rounded-lg">
                     <h3 className="text-lg font-semibold text-gray-700 mb-2">Planning Details</h3>
                     <div className="space-y-2 text-sm">
-                        <div className="flex items-center">
-                            <MapPin className="w-4 h-4 mr-2 text-gray-500" />
-                            <span><strong>From:</strong> {planning_details?.departure_location}</span>
-                        </div>
-                        <div className="flex items-center">
-                            <MapPin className="w-4 h-4 mr-2 text-gray-500" />
-                            <span><strong>To:</strong> {planning_details?.destination_location}</span>
-                        </div>
-                        <div className="flex items-center">
-                            <Calendar className="w-4 h-4 mr-2 text-gray-500" />
-                            <span><strong>Date:</strong> {planning_details?.departure_date} ({planning_details.duration_days} days)</span>
-                        </div>
-                        <div className="flex items-center">
-                            <Users className="w-4 h-4 mr-2 text-gray-500" />
-                            <span><strong>People:</strong> {planning_details?.number_of_people}</span>
-                        </div>
-                        <div className="flex items-center">
-                            <Wallet className="w-4 h-4 mr-2 text-gray-500" />
-                            <span><strong>Total Budget:</strong> {planning_details?.total_budget}</span>
-                        </div>
+                        <DetailRow icon={<MapPin className={ICON_CLASS} />} label="From">{text(planning.departure_location)}</DetailRow>
+                        <DetailRow icon={<MapPin className={ICON_CLASS} />} label="To">{text(planning.destination_location)}</DetailRow>
+                        <DetailRow icon={<Calendar className={ICON_CLASS} />} label="Date">
+                            {text(planning.departure_date)}
+                            {duration && ` (${duration} days)`}
+                        </DetailRow>
+                        <DetailRow icon={<Users className={ICON_CLASS} />} label="People">{text(planning.number_of_people)}</DetailRow>
+                        <DetailRow icon={<Wallet className={ICON_CLASS} />} label="Total Budget">{moneyText(planning.total_budget) || null}</DetailRow>
                     </div>
                 </div>
                 <div className="bg-green-50 p-4 rounded-lg">
                     <h3 className="text-lg font-semibold text-green-700 mb-2">Budget Overview</h3>
-                    <div className="space-y-2 text-sm">
-                        <div className="flex items-center">
-                            <Wallet className="w-4 h-4 mr-2 text-green-500" />
-                            <span><strong>Total Budget:</strong> {planning_details?.total_budget}</span>
-                        </div>
-                        <div className="flex items-center">
-                            <Wallet className="w-4 h-4 mr-2 text-red-500" />
-                            <span><strong>Remaining:</strong> {remaining_budget}</span>
-                        </div>
-                    </div>
+                    <BudgetGauge {...budget} />
                 </div>
             </div>
 
             <div>
-                <h3 className="text-xl font-bold text-gray-800 mb-4">Itinerary</h3>
-                <div className="space-y-4">
-                    {itinerary.map((item, index) => (
-                        <div key={index} className="p-4 rounded-lg border border-gray-200">
-                            {item.type === 'fixed_cost' && (
+                <h3 className="text-xl font-bold text-gray-800 mb-4">Spending Breakdown</h3>
+                <SpendCharts byCategory={budget.byCategory} byDay={budget.byDay} currency={budget.currency} />
+            </div>
+
+            <div>
+                <h3 className="text-xl font-bold text-gray-800 mb-4">Places</h3>
+                <LocationList locations={locations} />
+            </div>
+
+            <div>
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                    <h3 className="text-xl font-bold text-gray-800">Itinerary</h3>
+                    <ItineraryToolbar
+                        editor={editor}
+                        isEditing={isEditing}
+                        onToggleEditing={() => setIsEditing((editing) => !editing)}
+                        onSend={onSendItinerary && sendItinerary}
+                        isSending={isSending}
+                    />
+                </div>
+                {fixedCosts.length > 0 && (
+                    <div className="space-y-4 mb-6">
+                        {fixedCosts.map((item, index) => (
+                            <div key={index} className="p-4 rounded-lg border border-gray-200">
                                 <div className="flex items-center">
                                     <Ship className="w-5 h-5 mr-3 text-blue-500" />
                                     <div>
-                                        <p className="font-semibold">{item.description}</p>
-                                        <p className="text-sm text-gray-600">{item.budget}</p>
+                                        <p className="font-semibold">{text(item.description) ?? costCategory(item)}</p>
+                                        <p className="text-sm text-gray-600">{moneyText(item.budget)}</p>
                                     </div>
                                 </div>
-                            )}
-                            {item.type === 'daily_plan' && (
-                                <div>
-                                    <h4 className="font-bold text-gray-700">{item.day} - {item.date}</h4>
-                                    <ul className="list-disc list-inside mt-2 ml-4 text-sm text-gray-600 space-y-1">
-                                        {item.activities.map((activity, i) => (
-                                            <li key={i}>{activity}</li>
-                                        ))}
-                                    </ul>
-                                    <p className="text-sm text-gray-500 mt-2"><strong>Budget:</strong> {item.budget}</p>
-                                </div>
-                            )}
-                        </div>
-                    ))}
-                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+                <DayTimeline
+                    legs={legs}
+                    itinerary={editor.itinerary}
+                    onEdit={isEditing ? editor.edit : undefined}
+                />
             </div>
         </div>
     );
 };
 
-export default TripSummary;
\ No newline at end of file
+export default TripSummary;
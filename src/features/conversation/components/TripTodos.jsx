@@ -0,0 +1,104 @@
+import { useMemo } from "react";
+import { daysUntil, dueLabel, REMINDER_WINDOW_DAYS } from "../utils/checklists";
+
+const formatDue = (date) =>
+  date.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+
+const DueBadge = ({ date }) => {
+  const days = daysUntil(date);
+  const tone =
+    days < 0
+      ? "bg-red-100 text-red-700"
+      : days <= REMINDER_WINDOW_DAYS
+        ? "bg-amber-100 text-amber-800"
+        : "bg-muted text-muted-foreground";
+  return (
+    <span className={`shrink-0 rounded px-1.5 py-0.5 text-xs ${tone}`} title={formatDue(date)}>
+      {dueLabel(date)}
+    </span>
+  );
+};
+
+/**
+ * "Trip To-Dos" tab: every checklist item of the plan grouped by the tab it came from,
+ * with overall progress and due dates counted back from departure.
+ *
+ * @param {{ items: Array, isDone: (item) => boolean, onToggle: (id, checked) => void,
+ *  progress: { done: number, total: number }, departure?: string }} props
+ */
+const TripTodos = ({ items, isDone, onToggle, progress, departure }) => {
+  const groups = useMemo(() => {
+    const byTab = new Map();
+    items.forEach((item) => byTab.set(item.tab, [...(byTab.get(item.tab) ?? []), item]));
+    return [...byTab.entries()];
+  }, [items]);
+  const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Trip To-Dos</h2>
+        <div className="flex items-center gap-3">
+          <div
+            className="h-2 flex-1 overflow-hidden rounded-full bg-muted"
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={progress.total}
+            aria-valuenow={progress.done}
+          >
+            <div className="h-full bg-primary transition-all" style={{ width: `${percent}%` }} />
+          </div>
+          <span className="text-sm text-muted-foreground">
+            {progress.done} of {progress.total} done
+          </span>
+        </div>
+        {!departure && (
+          <p className="mt-2 text-xs text-muted-foreground">
+            Without a departure date, tasks due &quot;before the trip&quot; get no reminders.
+          </p>
+        )}
+      </div>
+
+      {groups.map(([tab, tabItems]) => {
+        const done = tabItems.filter(isDone).length;
+        return (
+          <section key={tab}>
+            <h3 className="mb-2 flex items-center justify-between text-lg font-semibold text-gray-700">
+              {tab}
+              <span className="text-xs font-normal text-muted-foreground">
+                {done}/{tabItems.length}
+              </span>
+            </h3>
+            <ul className="space-y-1">
+              {tabItems.map((item) => {
+                const checked = isDone(item);
+                return (
+                  <li key={item.id} className="flex items-start gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      id={`todo-${item.id}`}
+                      checked={checked}
+                      onChange={(e) => onToggle(item.id, e.target.checked)}
+                      className="mt-1 hover:cursor-pointer"
+                    />
+                    <label
+                      htmlFor={`todo-${item.id}`}
+                      className={`flex-1 hover:cursor-pointer ${
+                        checked ? "text-muted-foreground line-through" : "text-foreground"
+                      }`}
+                    >
+                      {item.text}
+                    </label>
+                    {item.due && !checked && <DueBadge date={item.due} />}
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TripTodos;
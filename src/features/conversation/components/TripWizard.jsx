@@ -0,0 +1,159 @@
+import { useState } from "react";
+import { useFormContext } from "react-hook-form";
+import { ArrowLeft, ArrowRight, Check } from "lucide-react";
+import {
+  BudgetFields,
+  HowFields,
+  PreferenceField,
+  WhenFields,
+  WhereFields,
+  WhoFields,
+} from "./TripFormFields";
+import { conversationSchema, conversationSteps } from "../utils/validation";
+import {
+  describeBudget,
+  describeDuration,
+  describeParty,
+  describeRoute,
+  describeTransportation,
+  describeWhen,
+} from "../utils/tripFormat";
+
+const STEP_CONTENT = {
+  where: <WhereFields />,
+  when: <WhenFields />,
+  who: <WhoFields />,
+  how: <HowFields />,
+  budget: (
+    <div className="space-y-4">
+      <BudgetFields />
+      <PreferenceField />
+    </div>
+  ),
+};
+
+const TripReview = ({ onEdit }) => {
+  const { getValues } = useFormContext();
+  const result = conversationSchema.safeParse(getValues());
+  if (!result.success) {
+    return <p className="text-sm text-red-600">Some details are still missing, please go back.</p>;
+  }
+
+  const data = result.data;
+  const rows = [
+    { step: "where", label: "Route", value: describeRoute(data) },
+    { step: "when", label: "When", value: describeWhen(data.when) },
+    { step: "when", label: "Duration", value: describeDuration(data.duration) },
+    { step: "who", label: "Travellers", value: describeParty(data.party) },
+    { step: "how", label: "Transportation", value: describeTransportation(data.transportation) },
+    { step: "budget", label: "Budget", value: describeBudget(data.budget) },
+    { step: "budget", label: "Preference", value: data.preference },
+  ];
+
+  return (
+    <dl className="divide-y divide-border rounded-md border border-border">
+      {rows.map((row) => (
+        <div key={row.label} className="flex items-start gap-4 px-4 py-3 text-sm">
+          <dt className="w-32 shrink-0 font-medium text-muted-foreground">{row.label}</dt>
+          <dd className="flex-1 text-foreground">{row.value}</dd>
+          <button
+            type="button"
+            onClick={() => onEdit(row.step)}
+            className="text-xs font-medium text-primary hover:underline hover:cursor-pointer"
+          >
+            Edit
+          </button>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+const TripWizard = ({ isSubmitting }) => {
+  const { trigger } = useFormContext();
+  const [stepIndex, setStepIndex] = useState(0);
+  const [furthestIndex, setFurthestIndex] = useState(0);
+  const step = conversationSteps[stepIndex];
+  const isReview = step.id === "review";
+
+  const goTo = (index) => {
+    setStepIndex(index);
+    setFurthestIndex((furthest) => Math.max(furthest, index));
+  };
+
+  // Only the current step's slice of the schema has to pass before moving on.
+  const goNext = async () => {
+    const valid = step.fields.length === 0 || (await trigger(step.fields));
+    if (valid) goTo(Math.min(stepIndex + 1, conversationSteps.length - 1));
+  };
+
+  const goBack = () => setStepIndex((index) => Math.max(index - 1, 0));
+
+  const editStep = (id) => setStepIndex(conversationSteps.findIndex((s) => s.id === id));
+
+  const handleKeyDown = (e) => {
+    if (e.key !== "Enter" || isReview || e.target.tagName === "BUTTON") return;
+    e.preventDefault();
+    goNext();
+  };
+
+  return (
+    <div className="space-y-6" onKeyDown={handleKeyDown}>
+      <ol className="flex flex-wrap gap-2">
+        {conversationSteps.map((s, index) => (
+          <li key={s.id}>
+            <button
+              type="button"
+              onClick={() => setStepIndex(index)}
+              disabled={index > furthestIndex}
+              aria-current={index === stepIndex ? "step" : undefined}
+              className={`inline-flex items-center gap-2 rounded-full px-3 py-1 text-xs font-medium transition-colors disabled:cursor-not-allowed disabled:opacity-50 ${
+                index === stepIndex
+                  ? "bg-primary text-primary-foreground"
+                  : "bg-muted text-muted-foreground hover:text-foreground hover:cursor-pointer"
+              }`}
+            >
+              <span>{index + 1}</span>
+              {s.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div>{isReview ? <TripReview onEdit={editStep} /> : STEP_CONTENT[step.id]}</div>
+
+      <div className="flex justify-between gap-2">
+        <button
+          type="button"
+          onClick={goBack}
+          disabled={stepIndex === 0}
+          className="inline-flex items-center gap-1 rounded-md border border-border px-4 py-2 text-sm hover:bg-muted hover:cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <ArrowLeft className="size-4" />
+          Back
+        </button>
+        {isReview ? (
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="inline-flex items-center gap-1 rounded-md bg-primary px-4 py-2 text-sm font-semibold text-primary-foreground hover:bg-primary/90 hover:cursor-pointer disabled:opacity-60"
+          >
+            <Check className="size-4" />
+            Start planning
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={goNext}
+            className="inline-flex items-center gap-1 rounded-md bg-primary px-4 py-2 text-sm font-semibold text-primary-foreground hover:bg-primary/90 hover:cursor-pointer"
+          >
+            Next
+            <ArrowRight className="size-4" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TripWizard;
@@ -0,0 +1,74 @@
+import { Cell, Pie, PieChart, ResponsiveContainer } from "recharts";
+import { formatAmount } from "../../utils/summary";
+
+const SPENT_COLOR = "#6366F1";
+const REMAINING_COLOR = "#34D399";
+const OVER_COLOR = "#FB7185";
+
+const BudgetGauge = ({ total, spent, remaining, currency }) => {
+  if (total === null || total <= 0 || remaining === null) {
+    return (
+      <p className="text-sm text-muted-foreground">Not enough budget details for a breakdown.</p>
+    );
+  }
+
+  const isOver = remaining < 0;
+  const data = isOver
+    ? [{ name: "Over budget", value: 1 }]
+    : [
+        { name: "Planned", value: Math.max(spent, 0) },
+        { name: "Remaining", value: remaining },
+      ];
+  const colors = isOver ? [OVER_COLOR] : [SPENT_COLOR, REMAINING_COLOR];
+  const percentLeft = Math.round((remaining / total) * 100);
+
+  return (
+    <div>
+      <div className="relative h-32">
+        <ResponsiveContainer width="100%" height="100%">
+          <PieChart>
+            <Pie
+              data={data}
+              dataKey="value"
+              startAngle={180}
+              endAngle={0}
+              cy="100%"
+              innerRadius={70}
+              outerRadius={100}
+              stroke="none"
+              isAnimationActive={false}
+            >
+              {data.map((entry, index) => (
+                <Cell key={entry.name} fill={colors[index]} />
+              ))}
+            </Pie>
+          </PieChart>
+        </ResponsiveContainer>
+        <div className="absolute inset-x-0 bottom-0 text-center">
+          <p className={`text-2xl font-bold ${isOver ? "text-red-600" : "text-green-700"}`}>
+            {isOver ? "Over" : `${percentLeft}%`}
+          </p>
+          <p className="text-xs text-muted-foreground">{isOver ? "budget" : "left"}</p>
+        </div>
+      </div>
+      <dl className="mt-3 grid grid-cols-3 gap-2 text-center text-xs">
+        <div>
+          <dt className="text-muted-foreground">Budget</dt>
+          <dd className="font-semibold">{formatAmount(total, currency)}</dd>
+        </div>
+        <div>
+          <dt className="text-muted-foreground">Planned</dt>
+          <dd className="font-semibold">{formatAmount(spent, currency)}</dd>
+        </div>
+        <div>
+          <dt className="text-muted-foreground">{isOver ? "Over by" : "Remaining"}</dt>
+          <dd className={`font-semibold ${isOver ? "text-red-600" : "text-green-700"}`}>
+            {formatAmount(Math.abs(remaining), currency)}
+          </dd>
+        </div>
+      </dl>
+    </div>
+  );
+};
+
+export default BudgetGauge;
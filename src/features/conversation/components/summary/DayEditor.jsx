@@ -0,0 +1,178 @@
+import { useState } from "react";
+import { GripVertical, Plus, X } from "lucide-react";
+import { activityText, parseAmount } from "../../utils/summary";
+
+const INPUT_CLASS =
+  "w-full rounded-md border border-border p-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-primary";
+const ICON_BUTTON_CLASS =
+  "rounded p-1 text-muted-foreground hover:text-foreground hover:cursor-pointer disabled:opacity-40";
+const DRAG_TYPE = "application/x-trip-activity";
+
+const readDragSource = (e) => {
+  try {
+    return JSON.parse(e.dataTransfer.getData(DRAG_TYPE));
+  } catch {
+    return null;
+  }
+};
+
+// Commits on blur / Enter so a whole word edit is one undo step, not one per keystroke.
+const ActivityRow = ({ activity, dayIndex, activityIndex, onEdit, onDropAt }) => {
+  const [text, setText] = useState(activityText(activity));
+  const [isOver, setIsOver] = useState(false);
+
+  const commit = () => {
+    const trimmed = text.trim();
+    if (!trimmed) {
+      onEdit({ type: "removeActivity", dayIndex, activityIndex });
+    } else if (trimmed !== activityText(activity)) {
+      onEdit({ type: "updateActivity", dayIndex, activityIndex, text: trimmed });
+    }
+  };
+
+  return (
+    <li
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData(DRAG_TYPE, JSON.stringify({ dayIndex, activityIndex }));
+      }}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsOver(true);
+      }}
+      onDragLeave={() => setIsOver(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setIsOver(false);
+        onDropAt(readDragSource(e), activityIndex);
+      }}
+      className={`flex items-center gap-1 rounded ${isOver ? "border-t-2 border-primary" : ""}`}
+    >
+      <GripVertical className="size-4 shrink-0 cursor-grab text-gray-400" aria-hidden="true" />
+      <input
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+        aria-label={`Activity ${activityIndex + 1}`}
+        className={INPUT_CLASS}
+      />
+      <button
+        type="button"
+        onClick={() => onEdit({ type: "removeActivity", dayIndex, activityIndex })}
+        className={ICON_BUTTON_CLASS}
+        aria-label={`Remove activity ${activityIndex + 1}`}
+      >
+        <X className="size-4" />
+      </button>
+    </li>
+  );
+};
+
+// Keyed by the current amount so undo/redo refreshes the field.
+const DayBudgetInput = ({ item, dayIndex, onEdit }) => {
+  const [budget, setBudget] = useState(parseAmount(item.budget) ?? "");
+
+  const commitBudget = () => {
+    const amount = budget === "" ? null : Number(budget);
+    if (amount !== null && (!Number.isFinite(amount) || amount < 0)) return;
+    if (amount === parseAmount(item.budget)) return;
+    onEdit({ type: "setDayBudget", dayIndex, amount });
+  };
+
+  return (
+    <label className="flex items-center gap-2 pl-5 text-sm text-gray-600">
+      <span className="shrink-0 font-medium">Day budget</span>
+      <input
+        type="number"
+        min={0}
+        inputMode="decimal"
+        value={budget}
+        onChange={(e) => setBudget(e.target.value)}
+        onBlur={commitBudget}
+        onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+        className={`${INPUT_CLASS} max-w-48`}
+      />
+      {item.budget?.currency && <span className="text-xs">{item.budget.currency}</span>}
+    </label>
+  );
+};
+
+const DayEditor = ({ item, dayIndex, onEdit }) => {
+  const activities = Array.isArray(item.activities) ? item.activities : [];
+  const [newActivity, setNewActivity] = useState("");
+
+  const moveTo = (source, activityIndex) => {
+    if (!Number.isInteger(source?.dayIndex) || !Number.isInteger(source?.activityIndex)) return;
+    const sameDay = source.dayIndex === dayIndex;
+    // Dropping below its own position in the same day shifts the target up by one
+    const target =
+      sameDay && source.activityIndex < activityIndex ? activityIndex - 1 : activityIndex;
+    if (sameDay && source.activityIndex === target) return;
+    onEdit({ type: "moveActivity", from: source, to: { dayIndex, activityIndex: target } });
+  };
+
+  const addActivity = () => {
+    const trimmed = newActivity.trim();
+    if (!trimmed) return;
+    onEdit({ type: "addActivity", dayIndex, text: trimmed });
+    setNewActivity("");
+  };
+
+  return (
+    <div
+      className="space-y-3 border-t border-gray-200 px-4 py-3"
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => {
+        e.preventDefault();
+        moveTo(readDragSource(e), activities.length);
+      }}
+    >
+      <ul className="space-y-2">
+        {activities.map((activity, activityIndex) => (
+          <ActivityRow
+            key={`${activityIndex}-${activityText(activity)}`}
+            activity={activity}
+            dayIndex={dayIndex}
+            activityIndex={activityIndex}
+            onEdit={onEdit}
+            onDropAt={moveTo}
+          />
+        ))}
+      </ul>
+      <div className="flex items-center gap-1 pl-5">
+        <input
+          value={newActivity}
+          onChange={(e) => setNewActivity(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key !== "Enter") return;
+            e.preventDefault();
+            addActivity();
+          }}
+          placeholder="Add an activity"
+          aria-label="New activity"
+          className={INPUT_CLASS}
+        />
+        <button
+          type="button"
+          onClick={addActivity}
+          disabled={!newActivity.trim()}
+          className={ICON_BUTTON_CLASS}
+          aria-label="Add activity"
+        >
+          <Plus className="size-4" />
+        </button>
+      </div>
+      <DayBudgetInput
+        key={parseAmount(item.budget) ?? "none"}
+        item={item}
+        dayIndex={dayIndex}
+        onEdit={onEdit}
+      />
+    </div>
+  );
+};
+
+export default DayEditor;
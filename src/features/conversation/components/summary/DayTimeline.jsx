@@ -0,0 +1,128 @@
+import { useState } from "react";
+import { ChevronDown, MapPin } from "lucide-react";
+import { activityText, asText, moneyText } from "../../utils/summary";
+import { transportLabel } from "../../utils/tripFormat";
+import DayEditor from "./DayEditor";
+
+const dayKey = (legIndex, dayIndex) => `${legIndex}-${dayIndex}`;
+
+const DayCard = ({ item, isOpen, onToggle, dayIndex, onEdit }) => {
+  const budget = moneyText(item.budget);
+  const date = asText(item.date);
+  const activities = (Array.isArray(item.activities) ? item.activities : [])
+    .map(activityText)
+    .filter(Boolean);
+
+  return (
+    <li className="relative pl-8">
+      <span className="absolute left-0 top-3 size-3 rounded-full border-2 border-primary bg-white" />
+      <div className="rounded-lg border border-gray-200">
+        <button
+          type="button"
+          onClick={onToggle}
+          aria-expanded={isOpen}
+          className="flex w-full items-center gap-2 px-4 py-3 text-left hover:cursor-pointer"
+        >
+          <span className="font-bold text-gray-700">{asText(item.day) || "Day"}</span>
+          {date && <span className="text-sm text-gray-500">{date}</span>}
+          {budget && <span className="ml-auto text-sm text-gray-500">{budget}</span>}
+          <ChevronDown
+            className={`size-4 shrink-0 text-gray-400 transition-transform ${
+              budget ? "" : "ml-auto"
+            } ${isOpen ? "rotate-180" : ""}`}
+          />
+        </button>
+        {isOpen && onEdit && <DayEditor item={item} dayIndex={dayIndex} onEdit={onEdit} />}
+        {isOpen && !onEdit && (
+          <div className="border-t border-gray-200 px-4 py-3">
+            {activities.length ? (
+              <ul className="ml-4 list-inside list-disc space-y-1 text-sm text-gray-600">
+                {activities.map((activity, index) => (
+                  <li key={index}>{activity}</li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-muted-foreground">No activities listed.</p>
+            )}
+          </div>
+        )}
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Day-by-day plan grouped by leg. Passing `onEdit` (with the full `itinerary`
+ * the days come from) turns every day into an inline editor.
+ */
+const DayTimeline = ({ legs, itinerary = [], onEdit }) => {
+  const [openDays, setOpenDays] = useState(() => new Set([dayKey(0, 0)]));
+  const allKeys = legs.flatMap((leg, legIndex) =>
+    leg.days.map((_, dayIndex) => dayKey(legIndex, dayIndex))
+  );
+  const allOpen = allKeys.length > 0 && allKeys.every((key) => openDays.has(key));
+
+  const toggleDay = (key) =>
+    setOpenDays((current) => {
+      const next = new Set(current);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+
+  if (!allKeys.length) {
+    return <p className="text-sm text-muted-foreground">No day-by-day plan in this summary.</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={() => setOpenDays(new Set(allOpen ? [] : allKeys))}
+          className="text-xs font-medium text-primary hover:underline hover:cursor-pointer"
+        >
+          {allOpen ? "Collapse all" : "Expand all"}
+        </button>
+      </div>
+      {legs.map((leg, legIndex) => (
+        <section key={leg.key}>
+          {leg.location && (
+            <h4 className="mb-3 flex items-center gap-2 text-lg font-semibold text-primary">
+              <MapPin className="size-4" />
+              {legs.length > 1 && <span>Leg {legIndex + 1}:</span>}
+              <span>{leg.location}</span>
+              {(leg.nights || leg.transport) && (
+                <span className="text-sm font-normal text-gray-500">
+                  {[
+                    leg.nights && `${leg.nights} night${Number(leg.nights) === 1 ? "" : "s"}`,
+                    leg.transport && `by ${transportLabel(leg.transport)}`,
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </span>
+              )}
+            </h4>
+          )}
+          <ol className="relative space-y-4 before:absolute before:bottom-2 before:left-[5px] before:top-2 before:w-0.5 before:bg-gray-200">
+            {leg.days.map((item, dayIndex) => {
+              const key = dayKey(legIndex, dayIndex);
+              return (
+                <DayCard
+                  key={key}
+                  item={item}
+                  isOpen={openDays.has(key)}
+                  onToggle={() => toggleDay(key)}
+                  dayIndex={itinerary.indexOf(item)}
+                  onEdit={onEdit}
+                />
+              );
+            })}
+          </ol>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default DayTimeline;
@@ -0,0 +1,64 @@
+import { Check, Pencil, Redo2, RotateCcw, Send, Undo2 } from "lucide-react";
+
+const BUTTON_CLASS =
+  "inline-flex items-center gap-1 rounded-md border border-border px-3 py-1.5 text-sm hover:bg-muted hover:cursor-pointer disabled:cursor-not-allowed disabled:opacity-40";
+
+const ItineraryToolbar = ({ editor, isEditing, onToggleEditing, onSend, isSending }) => {
+  if (!isEditing) {
+    return (
+      <button type="button" onClick={onToggleEditing} className={BUTTON_CLASS}>
+        <Pencil className="size-4" />
+        Edit itinerary
+      </button>
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <button
+        type="button"
+        onClick={editor.undo}
+        disabled={!editor.canUndo}
+        className={BUTTON_CLASS}
+        aria-label="Undo"
+      >
+        <Undo2 className="size-4" />
+      </button>
+      <button
+        type="button"
+        onClick={editor.redo}
+        disabled={!editor.canRedo}
+        className={BUTTON_CLASS}
+        aria-label="Redo"
+      >
+        <Redo2 className="size-4" />
+      </button>
+      <button
+        type="button"
+        onClick={editor.reset}
+        disabled={!editor.isEdited}
+        className={BUTTON_CLASS}
+      >
+        <RotateCcw className="size-4" />
+        Reset
+      </button>
+      {onSend && (
+        <button
+          type="button"
+          onClick={onSend}
+          disabled={!editor.isEdited || isSending}
+          className={`${BUTTON_CLASS} border-primary bg-primary text-primary-foreground hover:bg-primary/90`}
+        >
+          <Send className="size-4" />
+          Ask AI to re-plan
+        </button>
+      )}
+      <button type="button" onClick={onToggleEditing} className={BUTTON_CLASS}>
+        <Check className="size-4" />
+        Done
+      </button>
+    </div>
+  );
+};
+
+export default ItineraryToolbar;
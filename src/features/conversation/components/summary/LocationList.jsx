@@ -0,0 +1,23 @@
+import { MapPin } from "lucide-react";
+
+const LocationList = ({ locations }) => {
+  if (!locations.length) {
+    return <p className="text-sm text-muted-foreground">No places mentioned yet.</p>;
+  }
+
+  return (
+    <ul className="flex flex-wrap gap-2">
+      {locations.map((location) => (
+        <li
+          key={location}
+          className="inline-flex items-center gap-1 rounded-full bg-primary/10 px-3 py-1 text-sm text-primary"
+        >
+          <MapPin className="size-3.5" />
+          {location}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default LocationList;
@@ -0,0 +1,86 @@
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { formatAmount } from "../../utils/summary";
+
+const COLORS = ["#6366F1", "#22D3EE", "#FB7185", "#F59E0B", "#34D399"];
+
+const compactNumber = (value) =>
+  new Intl.NumberFormat("en-US", { notation: "compact", maximumFractionDigits: 1 }).format(value);
+
+const SpendCharts = ({ byCategory, byDay, currency }) => {
+  if (!byCategory.length && !byDay.length) {
+    return (
+      <p className="text-sm text-muted-foreground">No costs could be read from this summary.</p>
+    );
+  }
+
+  const formatTooltip = (value) => formatAmount(value, currency);
+
+  return (
+    <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+      {byCategory.length > 0 && (
+        <div>
+          <h4 className="mb-2 text-sm font-semibold text-gray-700">By category</h4>
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <PieChart>
+                <Pie
+                  data={byCategory}
+                  dataKey="value"
+                  nameKey="name"
+                  innerRadius={45}
+                  outerRadius={80}
+                  paddingAngle={2}
+                >
+                  {byCategory.map((entry, index) => (
+                    <Cell key={entry.name} fill={COLORS[index % COLORS.length]} />
+                  ))}
+                </Pie>
+                <Tooltip formatter={formatTooltip} />
+              </PieChart>
+            </ResponsiveContainer>
+          </div>
+          <ul className="mt-2 flex flex-wrap gap-3 text-xs text-gray-600">
+            {byCategory.map((entry, index) => (
+              <li key={entry.name} className="flex items-center gap-1">
+                <span
+                  className="inline-block size-2.5 rounded-full"
+                  style={{ backgroundColor: COLORS[index % COLORS.length] }}
+                />
+                {entry.name}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {byDay.length > 0 && (
+        <div>
+          <h4 className="mb-2 text-sm font-semibold text-gray-700">By day</h4>
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={byDay} margin={{ top: 10, left: 0, right: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                <XAxis dataKey="name" stroke="#9CA3AF" tick={{ fontSize: 12 }} />
+                <YAxis stroke="#9CA3AF" tickFormatter={compactNumber} tick={{ fontSize: 12 }} />
+                <Tooltip formatter={formatTooltip} />
+                <Bar dataKey="value" name="Spend" fill={COLORS[0]} radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SpendCharts;
@@ -0,0 +1,35 @@
+import { useState } from "react";
+import { AlertTriangle, ChevronDown } from "lucide-react";
+
+const SummaryIssues = ({ issues }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  if (!issues?.length) return null;
+
+  return (
+    <div className="rounded-md border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        aria-expanded={isOpen}
+        className="flex w-full items-center gap-2 text-left hover:cursor-pointer"
+      >
+        <AlertTriangle className="size-4 shrink-0" />
+        <span className="flex-1">
+          Some parts of this summary could not be understood and are not shown ({issues.length}).
+        </span>
+        <ChevronDown className={`size-4 transition-transform ${isOpen ? "rotate-180" : ""}`} />
+      </button>
+      {isOpen && (
+        <ul className="mt-2 ml-6 list-disc space-y-1">
+          {issues.map((issue, index) => (
+            <li key={index}>
+              <strong>{issue.section}:</strong> {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SummaryIssues;
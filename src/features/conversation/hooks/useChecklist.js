@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useMemo } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { getChecklist, saveChecklistItem } from "../api";
+import { checklistKeys } from "../../../core/queries/queryKeys";
+import { useUpdateMutation } from "../../../core/queries/mutationHelpers";
+import { useUIStore } from "../../../core/stores/uiStore";
+import { logger } from "../../../core/utils/logger";
+import { useChecklistStore, useLocalChecklist } from "../stores/checklistStore";
+import { checklistItemId, dueLabel, dueReminders, extractChecklist } from "../utils/checklists";
+
+const EMPTY_STATE = {};
+
+// Local calendar day, YYYY-MM-DD
+const today = () => new Date().toLocaleDateString("sv-SE");
+
+/**
+ * Save one item's checked state. Saved on this device when the checklist API is unavailable.
+ */
+export const useToggleChecklistItem = (sessionId, options = {}) => {
+  return useUpdateMutation({
+    mutationFn: async ({ id, checked }) => {
+      const { setItem, clearItem } = useChecklistStore.getState();
+      try {
+        const res = await saveChecklistItem(sessionId, { id, checked });
+        clearItem(sessionId, id);
+        return res;
+      } catch (error) {
+        logger.warn("Saving checklist item on the server failed, saving locally", { error });
+        setItem(sessionId, id, checked);
+        return null;
+      }
+    },
+    queryKey: checklistKeys.detail(sessionId),
+    updateCache: (old, { id, checked }) => ({ ...old, [id]: checked }),
+    showSuccessToast: false,
+    errorMessage: "Failed to update the checklist",
+    ...options,
+  });
+};
+
+/**
+ * The checklist items of a session's key points with their checked state.
+ * State comes from this device when it has unsynced changes, else the server,
+ * else whatever the AI ticked in the Markdown.
+ *
+ * @param {{ sessionId: string, keyPoints: Array, departure?: string }} source
+ * @returns {{ items, isDone: (item) => boolean, isChecked: (tabTitle, text) => boolean|undefined,
+ *  toggle: (id, checked) => void, progress: { done: number, total: number } }}
+ */
+export const useChecklist = ({ sessionId, keyPoints = [], departure }) => {
+  const local = useLocalChecklist(sessionId);
+  const { data: server = EMPTY_STATE } = useQuery({
+    queryKey: checklistKeys.detail(sessionId),
+    queryFn: async () => {
+      try {
+        return await getChecklist(sessionId);
+      } catch (error) {
+        logger.warn("Checklist API unavailable, using local checklist", { error });
+        return {};
+      }
+    },
+    enabled: Boolean(sessionId),
+    staleTime: 1000 * 60, // 1 minute
+  });
+  const { mutate } = useToggleChecklistItem(sessionId);
+
+  const items = useMemo(() => extractChecklist(keyPoints, { departure }), [keyPoints, departure]);
+  const stateOf = useCallback((id) => local.items[id] ?? server[id], [local.items, server]);
+  const isDone = useCallback((item) => stateOf(item.id) ?? item.done, [stateOf]);
+  const isChecked = useCallback(
+    (tabTitle, text) => stateOf(checklistItemId(tabTitle, text)),
+    [stateOf]
+  );
+  const toggle = useCallback((id, checked) => mutate({ id, checked }), [mutate]);
+  const progress = useMemo(
+    () => ({ done: items.filter(isDone).length, total: items.length }),
+    [items, isDone]
+  );
+
+  return { items, isDone, isChecked, toggle, progress };
+};
+
+/**
+ * Remind about open items due soon (or overdue), at most once a day per item.
+ */
+export const useChecklistReminders = (sessionId, { items, isDone }) => {
+  const showWarning = useUIStore((state) => state.showWarning);
+  const { reminded } = useLocalChecklist(sessionId);
+  const markReminded = useChecklistStore((state) => state.markReminded);
+
+  useEffect(() => {
+    const day = today();
+    const due = dueReminders(items, isDone).filter((item) => reminded[item.id] !== day);
+    if (!due.length) return;
+
+    const [first] = due;
+    const more = due.length > 1 ? ` (+${due.length - 1} more)` : "";
+    showWarning(`${dueLabel(first.due)}: ${first.text}${more}`, 8000);
+    markReminded(
+      sessionId,
+      due.map((item) => item.id),
+      day
+    );
+  }, [sessionId, items, isDone, reminded, showWarning, markReminded]);
+};
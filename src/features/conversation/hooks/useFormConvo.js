@@ -1,6 +1,7 @@
-import { keepPreviousData, useQuery } from "@tanstack/react-query";
+import { keepPreviousData, useQuery, useQueryClient } from "@tanstack/react-query";
 import { convoSession, createConvo, getKeyPoint } from "../api";
 import { useCreateMutation } from "../../../core/queries/mutationHelpers";
+import { addSessionToLists } from "../../../shared/hooks/useSidebar";
 
 export const useConvo = () => {
   return useCreateMutation({
@@ -11,20 +12,20 @@ export const useConvo = () => {
 };
 
 export const useFormSession = () => {
+  const queryClient = useQueryClient();
   return useCreateMutation({
     queryKey: ["convoSession"],
     showSuccessToast: false,
     mutationFn: () => convoSession(),
+    onSuccess: (session) => addSessionToLists(queryClient, session),
   });
 };
 
 export const useKeyPoint = (options = {}) => {
-  const { enabled = true, sessionId: sessionIdOpt, refetchInterval, ...rest } = options;
-  const sessionId =
-    sessionIdOpt ?? (typeof window !== "undefined" ? localStorage.getItem("sessionId") : undefined);
+  const { enabled = true, sessionId, refetchInterval, ...rest } = options;
   return useQuery({
     queryKey: ["keyPoint", sessionId],
-    queryFn: () => getKeyPoint(),
+    queryFn: () => getKeyPoint(sessionId),
     showSuccessToast: false,
     placeholderData: keepPreviousData,
     refetchInterval: refetchInterval && enabled && !!sessionId ? refetchInterval : false,
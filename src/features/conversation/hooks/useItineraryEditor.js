@@ -0,0 +1,85 @@
+import { useCallback, useMemo, useReducer } from "react";
+import { applyItineraryEdit, withEditedItinerary } from "../utils/itineraryEdits";
+
+const HISTORY_LIMIT = 50;
+
+const initHistory = (summary) => {
+  const itinerary = Array.isArray(summary?.itinerary) ? summary.itinerary : [];
+  return { source: summary, original: itinerary, past: [], present: itinerary, future: [] };
+};
+
+const historyReducer = (state, action) => {
+  switch (action.type) {
+    case "edit": {
+      const next = applyItineraryEdit(state.present, action.edit);
+      if (next === state.present) return state;
+      return {
+        ...state,
+        past: [...state.past, state.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+      };
+    }
+    case "undo":
+      if (!state.past.length) return state;
+      return {
+        ...state,
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+      };
+    case "redo":
+      if (!state.future.length) return state;
+      return {
+        ...state,
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+      };
+    case "reset":
+      return initHistory(action.summary);
+    default:
+      return state;
+  }
+};
+
+/**
+ * Local, undoable edits of a parsed summary's itinerary.
+ * Edits are dropped when the assistant sends a new summary.
+ *
+ * @param {Object|null} summary - Parsed summary from `parseSummary`
+ * @returns {{ summary, itinerary, isEdited, canUndo, canRedo, edit, undo, redo, reset }}
+ *  - `summary` has the edited itinerary and a recomputed remaining budget
+ */
+export const useItineraryEditor = (summary) => {
+  const [history, dispatch] = useReducer(historyReducer, summary, initHistory);
+
+  // A new summary from the assistant replaces whatever was being edited
+  if (history.source !== summary) {
+    dispatch({ type: "reset", summary });
+  }
+
+  const edit = useCallback((change) => dispatch({ type: "edit", edit: change }), []);
+  const undo = useCallback(() => dispatch({ type: "undo" }), []);
+  const redo = useCallback(() => dispatch({ type: "redo" }), []);
+  const reset = useCallback(() => dispatch({ type: "reset", summary }), [summary]);
+
+  const editedSummary = useMemo(
+    () => withEditedItinerary(summary, history.present),
+    [summary, history.present]
+  );
+
+  return {
+    summary: editedSummary,
+    itinerary: history.present,
+    isEdited: history.present !== history.original,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    edit,
+    undo,
+    redo,
+    reset,
+  };
+};
+
+export default useItineraryEditor;
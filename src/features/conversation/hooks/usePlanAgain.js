@@ -0,0 +1,41 @@
+import { useCallback } from "react";
+import { getConversationRequest } from "../api";
+import { useSetTripPrefill, useTripStore } from "../stores/tripStore";
+import { toFormValues } from "../utils/validation";
+import { useUIStore } from "../../../core/stores/uiStore";
+import { logger } from "../../../core/utils/logger";
+
+/**
+ * Prefill the trip form with the inputs an earlier session was started with.
+ * Uses the inputs remembered on this device, else reads them from the transcript.
+ *
+ * @returns {(sessionId: string) => Promise<boolean>} - resolves false when no inputs were found
+ */
+export const usePlanAgain = () => {
+  const setPrefill = useSetTripPrefill();
+  const showError = useUIStore((state) => state.showError);
+
+  return useCallback(
+    async (sessionId) => {
+      let inputs = useTripStore.getState().requests[sessionId] ?? null;
+      if (!inputs) {
+        try {
+          inputs = await getConversationRequest(sessionId);
+        } catch (error) {
+          logger.warn("Could not load original trip inputs", { sessionId, error });
+        }
+      }
+
+      if (!inputs) {
+        showError("The original trip details of this conversation are not available.");
+        return false;
+      }
+
+      setPrefill(toFormValues(inputs));
+      return true;
+    },
+    [setPrefill, showError]
+  );
+};
+
+export default usePlanAgain;
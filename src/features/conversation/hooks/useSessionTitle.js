@@ -0,0 +1,55 @@
+import { useCallback, useEffect } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { renameConvo } from "../../../shared/api/index.js";
+import { findCachedConversation } from "../../../shared/hooks/useSidebar";
+import { DEFAULT_SESSION_NAME } from "../../../shared/utils/conversationList";
+import { useGenericMutation } from "../../../core/queries/mutationHelpers";
+import { useTripStore } from "../stores/tripStore";
+import { summaryDetails, titleFromSummary } from "../utils/sessionTitle";
+
+/**
+ * Name a session on the server, in the background. The name is kept on this device
+ * too, so the sidebar shows it even when the rename call fails.
+ *
+ * @returns {({ sessionId, name }) => void}
+ */
+export const useNameSession = () => {
+  const saveTitle = useTripStore((state) => state.saveTitle);
+  const { mutate } = useGenericMutation({
+    mutationFn: renameConvo,
+    invalidateKeys: [["dataConvo"]],
+    showSuccessToast: false,
+    showErrorToast: false,
+  });
+
+  return useCallback(
+    ({ sessionId, name }) => {
+      if (!sessionId || !name) return;
+      saveTitle(sessionId, name);
+      mutate({ sessionId, name });
+    },
+    [saveTitle, mutate]
+  );
+};
+
+/**
+ * Remember the destination and dates of a session's summary for the sidebar, and name
+ * the session after it when nothing else did: no trip form behind it, no name given on
+ * this device, and still the server's default name.
+ */
+export const useSummarySessionDetails = (sessionId, summary) => {
+  const queryClient = useQueryClient();
+  const saveSummary = useTripStore((state) => state.saveSummary);
+  const nameSession = useNameSession();
+
+  useEffect(() => {
+    if (!sessionId || !summary) return;
+    saveSummary(sessionId, summaryDetails(summary));
+
+    const { requests, titles } = useTripStore.getState();
+    if (requests[sessionId] || titles[sessionId]) return;
+    const conversation = findCachedConversation(queryClient, sessionId);
+    if (conversation?.name !== DEFAULT_SESSION_NAME) return;
+    nameSession({ sessionId, name: titleFromSummary(summary) });
+  }, [sessionId, summary, queryClient, saveSummary, nameSession]);
+};
@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuthStore } from "../../auth/stores/authStore";
+import { useTripDraftEntry, useTripStore } from "../stores/tripStore";
+import { conversationDefaultValues } from "../utils/validation";
+
+const DRAFT_SAVE_DELAY_MS = 800;
+
+const isPristine = (values) =>
+  JSON.stringify(values) === JSON.stringify(conversationDefaultValues);
+
+/**
+ * Autosave the trip form as a per-user draft and offer to restore it.
+ *
+ * A draft found on mount is exposed as `pendingDraft` and is not overwritten
+ * until the user resumes or discards it. `clearDraft` both discards a pending
+ * draft and drops the saved one after submit.
+ *
+ * @param {UseFormReturn} methods - react-hook-form methods of the trip form
+ * @returns {{ pendingDraft, resumeDraft, clearDraft }}
+ */
+export const useTripDraft = (methods, { delay = DRAFT_SAVE_DELAY_MS } = {}) => {
+  const userKey = useAuthStore((state) => state.user?.id ?? state.user?.email ?? "anonymous");
+  const storedDraft = useTripDraftEntry(userKey);
+  const saveDraft = useTripStore((state) => state.saveDraft);
+  const removeDraft = useTripStore((state) => state.clearDraft);
+  const [pendingDraft, setPendingDraft] = useState(storedDraft);
+  const { watch, reset } = methods;
+
+  useEffect(() => {
+    if (pendingDraft) return;
+
+    let timeoutId;
+    const subscription = watch((values) => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        if (isPristine(values)) {
+          removeDraft(userKey);
+        } else {
+          saveDraft(userKey, values);
+        }
+      }, delay);
+    });
+
+    return () => {
+      clearTimeout(timeoutId);
+      subscription.unsubscribe();
+    };
+  }, [watch, pendingDraft, userKey, delay, saveDraft, removeDraft]);
+
+  const resumeDraft = useCallback(() => {
+    if (!pendingDraft) return;
+    reset({ ...conversationDefaultValues, ...pendingDraft.values });
+    setPendingDraft(null);
+  }, [pendingDraft, reset]);
+
+  const clearDraft = useCallback(() => {
+    removeDraft(userKey);
+    setPendingDraft(null);
+  }, [removeDraft, userKey]);
+
+  return { pendingDraft, resumeDraft, clearDraft };
+};
+
+export default useTripDraft;
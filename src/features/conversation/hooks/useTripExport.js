@@ -0,0 +1,108 @@
+import { createElement } from "react";
+import { createRoot } from "react-dom/client";
+import { flushSync } from "react-dom";
+import { downloadTripExport } from "../api";
+import MarkdownContent from "../../../shared/components/markdown/MarkdownContent";
+import { useGenericMutation } from "../../../core/queries/mutationHelpers";
+import { useUIStore } from "../../../core/stores/uiStore";
+import { logger } from "../../../core/utils/logger";
+import { buildIcs, exportFileName, keyPointsToMarkdown, saveFile } from "../utils/tripExport";
+
+const PRINT_STYLES = `
+  body { font-family: system-ui, sans-serif; color: #111827; margin: 2rem; line-height: 1.5; }
+  h1 { font-size: 1.75rem; margin-bottom: 1rem; }
+  h2 { font-size: 1.35rem; margin-top: 2rem; border-bottom: 1px solid #E5E7EB; padding-bottom: .25rem; }
+  h2, h3 { break-after: avoid; }
+  ul { padding-left: 1.25rem; }
+  table { border-collapse: collapse; }
+  td, th { border: 1px solid #E5E7EB; padding: .25rem .5rem; }
+  button { display: none; }
+`;
+
+// Render the plan into a hidden iframe and open the browser's print dialog ("Save as PDF").
+const printMarkdown = (markdown, title) => {
+  const frame = document.createElement("iframe");
+  frame.setAttribute("aria-hidden", "true");
+  frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0;";
+  document.body.appendChild(frame);
+
+  const doc = frame.contentDocument;
+  doc.title = title;
+  const style = doc.createElement("style");
+  style.textContent = PRINT_STYLES;
+  doc.head.appendChild(style);
+
+  const container = doc.createElement("main");
+  doc.body.appendChild(container);
+  const root = createRoot(container);
+  flushSync(() => root.render(createElement(MarkdownContent, null, markdown)));
+
+  const cleanUp = () => {
+    root.unmount();
+    frame.remove();
+  };
+  frame.contentWindow.addEventListener("afterprint", cleanUp, { once: true });
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+};
+
+/**
+ * Export the current plan as PDF, iCalendar or Markdown.
+ *
+ * PDF is rendered by the server when it can be (`/conversations/:id/export`),
+ * otherwise printed from the browser. Calendar and Markdown files are built
+ * client-side from the key points and the parsed summary. With unsent itinerary
+ * edits (`isEdited`) the PDF is printed from the browser too, since the server
+ * only knows the assistant's version.
+ *
+ * @param {{ sessionId: string, keyPoints: Array, summary: Object|null, isEdited?: boolean }} source
+ * @returns {UseMutationResult} - `mutate({ format: "pdf"|"ics"|"md", granularity? })`
+ */
+export const useTripExport = ({ sessionId, keyPoints = [], summary = null, isEdited = false }) => {
+  const showWarning = useUIStore((state) => state.showWarning);
+  const showError = useUIStore((state) => state.showError);
+  const baseName = exportFileName(summary);
+  const title = summary?.planning_details?.destination_location
+    ? `Trip to ${summary.planning_details.destination_location}`
+    : "Trip plan";
+
+  return useGenericMutation({
+    mutationFn: async ({ format, granularity = "day" }) => {
+      if (format === "pdf") {
+        if (isEdited) {
+          printMarkdown(keyPointsToMarkdown(keyPoints, { title, summary }), title);
+          return;
+        }
+        try {
+          await downloadTripExport(sessionId, "pdf", `${baseName}.pdf`);
+        } catch (error) {
+          logger.info("Server PDF export unavailable, printing in the browser", { error });
+          printMarkdown(keyPointsToMarkdown(keyPoints, { title, summary }), title);
+        }
+        return;
+      }
+
+      if (format === "ics") {
+        const { content, eventCount, skipped } = buildIcs(summary, {
+          granularity,
+          uidPrefix: sessionId ?? "trip",
+        });
+        if (!eventCount) throw new Error("The itinerary has no dated days to export");
+        if (skipped) showWarning(`${skipped} day(s) without a date were left out of the calendar`);
+        saveFile(content, `${baseName}.ics`, "text/calendar;charset=utf-8");
+        return;
+      }
+
+      saveFile(
+        keyPointsToMarkdown(keyPoints, { title, summary }),
+        `${baseName}.md`,
+        "text/markdown;charset=utf-8"
+      );
+    },
+    showSuccessToast: false,
+    showErrorToast: false,
+    onError: (error) => showError(error?.message || "Could not export the trip plan"),
+  });
+};
+
+export default useTripExport;
@@ -0,0 +1,93 @@
+import { useMemo } from "react";
+import { useQuery } from "@tanstack/react-query";
+import {
+  createTripTemplate,
+  deleteTripTemplate,
+  getTripTemplates,
+  renameTripTemplate,
+} from "../api";
+import { tripTemplateKeys } from "../../../core/queries/queryKeys";
+import {
+  useCreateMutation,
+  useDeleteMutation,
+  useUpdateMutation,
+} from "../../../core/queries/mutationHelpers";
+import { logger } from "../../../core/utils/logger";
+import { useLocalTripTemplates, useTripStore } from "../stores/tripStore";
+
+/**
+ * Server templates merged with the ones saved on this device.
+ * A failing templates endpoint is treated as "no server templates".
+ */
+export const useTripTemplates = (options = {}) => {
+  const localTemplates = useLocalTripTemplates();
+  const query = useQuery({
+    queryKey: tripTemplateKeys.lists(),
+    queryFn: async () => {
+      try {
+        return await getTripTemplates();
+      } catch (error) {
+        logger.warn("Trip templates API unavailable, using local templates", { error });
+        return [];
+      }
+    },
+    staleTime: 1000 * 60 * 5, // 5 minutes
+    ...options,
+  });
+
+  const templates = useMemo(
+    () => [...(query.data ?? []), ...localTemplates],
+    [query.data, localTemplates]
+  );
+
+  return { ...query, templates };
+};
+
+export const useSaveTripTemplate = (options = {}) => {
+  return useCreateMutation({
+    mutationFn: async ({ name, values }) => {
+      try {
+        return await createTripTemplate({ name, values });
+      } catch (error) {
+        logger.warn("Saving template on the server failed, saving locally", { error });
+        return useTripStore.getState().addTemplate({ name, values });
+      }
+    },
+    invalidateKeys: [tripTemplateKeys.all],
+    successMessage: "Template saved",
+    errorMessage: "Failed to save template",
+    ...options,
+  });
+};
+
+export const useRenameTripTemplate = (options = {}) => {
+  return useUpdateMutation({
+    mutationFn: async ({ id, name, local }) => {
+      if (local) return useTripStore.getState().renameTemplate(id, name);
+      return renameTripTemplate(id, name);
+    },
+    queryKey: tripTemplateKeys.lists(),
+    updateCache: (old, { id, name }) =>
+      Array.isArray(old)
+        ? old.map((template) => (template.id === id ? { ...template, name } : template))
+        : old,
+    successMessage: "Template renamed",
+    errorMessage: "Failed to rename template",
+    ...options,
+  });
+};
+
+export const useDeleteTripTemplate = (options = {}) => {
+  return useDeleteMutation({
+    mutationFn: async ({ id, local }) => {
+      if (local) return useTripStore.getState().removeTemplate(id);
+      return deleteTripTemplate(id);
+    },
+    queryKey: tripTemplateKeys.lists(),
+    removeFromCache: (old, { id }) =>
+      Array.isArray(old) ? old.filter((template) => template.id !== id) : old,
+    successMessage: "Template deleted",
+    errorMessage: "Failed to delete template",
+    ...options,
+  });
+};
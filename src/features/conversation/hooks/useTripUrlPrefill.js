@@ -0,0 +1,51 @@
+import { useEffect, useRef } from "react";
+import { useSearchParams } from "react-router-dom";
+import { useStoreConvo } from "../../../shared/components/store/convoStore";
+import { useOpenSession } from "../../../shared/hooks/useActiveSession";
+import { useUIStore } from "../../../core/stores/uiStore";
+import { logger } from "../../../core/utils/logger";
+import { TRIP_PARAM_KEYS, hasTripParams, parseTripParams } from "../utils/tripParams";
+
+/**
+ * Prefill the trip form from URL query parameters (deep links from the landing
+ * page, marketing or partners) and start a fresh plan for them.
+ *
+ * The parameters are removed from the URL once applied so a reload doesn't
+ * apply them again, and a link to an open trip moves to the new-plan page.
+ * With `autosubmit=1` and every required field present the form is submitted
+ * straight away.
+ *
+ * @param {UseFormReturn} methods - react-hook-form methods of the trip form
+ * @param {Function} onSubmit - Submit handler of the trip form
+ */
+export const useTripUrlPrefill = (methods, onSubmit) => {
+  const [searchParams] = useSearchParams();
+  const openSession = useOpenSession();
+  const setMessages = useStoreConvo((state) => state.setMessages);
+  const showWarning = useUIStore((state) => state.showWarning);
+  const appliedRef = useRef(null);
+  const { reset, handleSubmit } = methods;
+
+  useEffect(() => {
+    const search = searchParams.toString();
+    if (!hasTripParams(searchParams) || appliedRef.current === search) return;
+    appliedRef.current = search;
+
+    const { values, rejected, complete, autoSubmit } = parseTripParams(searchParams);
+    if (rejected.length) {
+      logger.warn("Ignoring invalid trip link parameters", { rejected, search });
+      showWarning(`Some trip details from the link were not valid: ${rejected.join(", ")}`);
+    }
+
+    setMessages([]);
+    reset(values);
+
+    const nextParams = new URLSearchParams(searchParams);
+    TRIP_PARAM_KEYS.forEach((key) => nextParams.delete(key));
+    openSession(null, { replace: true, search: nextParams.toString() });
+
+    if (autoSubmit && complete) handleSubmit(onSubmit)();
+  }, [searchParams, openSession, reset, handleSubmit, onSubmit, setMessages, showWarning]);
+};
+
+export default useTripUrlPrefill;
@@ -1,95 +1,215 @@
-import { Plane, Loader2 } from "lucide-react";
+import { History, Plane, Loader2, RefreshCw } from "lucide-react";
 import { useStoreConvo } from "../../../shared/components/store/convoStore";
 import { useConvo, useFormSession, useKeyPoint } from "../hooks/useFormConvo";
-import { useForm } from "react-hook-form";
+import { FormProvider, useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
-import { conversationSchema } from "../utils/validation";
-import { useState, useEffect } from "react";
-import Markdown from "react-markdown";
+import { conversationDefaultValues, conversationSchema, toFormValues } from "../utils/validation";
+import { useState, useEffect, useMemo } from "react";
+import MarkdownContent from "../../../shared/components/markdown/MarkdownContent";
 import TripSummary from "../components/TripSummary";
+import SummaryIssues from "../components/summary/SummaryIssues";
+import ExportMenu from "../components/ExportMenu";
+import KeyPointTabs from "../components/KeyPointTabs";
+import KeyPointSearch from "../components/KeyPointSearch";
+import KeyPointDetail from "../components/KeyPointDetail";
+import KeyPointHistoryModal, { KEY_POINT_HISTORY_MODAL } from "../components/KeyPointHistoryModal";
+import TripTodos from "../components/TripTodos";
+import { useChecklist, useChecklistReminders } from "../hooks/useChecklist";
+import { useNameSession, useSummarySessionDetails } from "../hooks/useSessionTitle";
+import { titleFromRequest } from "../utils/sessionTitle";
+import { TRIP_TODOS_TITLE, checklistItemId, checklistToMarkdown } from "../utils/checklists";
+import {
+  tabChangeStatus,
+  useKeyPointHistory,
+  useKeyPointHistoryStore,
+} from "../stores/keyPointHistoryStore";
+import {
+  moveTab,
+  orderKeyPoints,
+  regenerateTabMessage,
+  searchKeyPoints,
+} from "../utils/keyPointTabs";
+import { summaryToMarkdown } from "../utils/tripExport";
+import { parseSummary } from "../utils/summarySchema";
+import DraftPrompt from "../components/DraftPrompt";
+import { useTripDraft } from "../hooks/useTripDraft";
+import { useItineraryEditor } from "../hooks/useItineraryEditor";
+import { useTripUrlPrefill } from "../hooks/useTripUrlPrefill";
+import TemplateManager from "../components/TemplateManager";
+import TripWizard from "../components/TripWizard";
+import FormModeToggle from "../components/FormModeToggle";
+import { useTripFormMode, useUIStore } from "../../../core/stores/uiStore";
+import { useTabLayout, useTripPrefill, useTripRequest, useTripStore } from "../stores/tripStore";
+import {
+  BudgetFields,
+  HowFields,
+  PreferenceField,
+  WhenFields,
+  WhereFields,
+  WhoFields,
+} from "../components/TripFormFields";
 import { useQueryClient } from "@tanstack/react-query";
 import { usePushMessage } from "../../../shared/hooks/useAiAssistant";
+import { useActiveSessionId, useOpenSession } from "../../../shared/hooks/useActiveSession";
+const NO_KEY_POINTS = [];
+
 export const FormConversation = () => {
-  const {
-    messages,
-    setConversationAi: setConversationAi,
-    addMessage: addMessage,
-    setMessages,
-  } = useStoreConvo();
-  const conversationAi = useStoreConvo((state) => state.conversations);
-  const { mutateAsync: startSession } = useFormSession();
+  const { messages, addMessage: addMessage, setMessages } = useStoreConvo();
+  const { mutateAsync: startSession, isPending: isStartingSession } = useFormSession();
   const { mutateAsync: submitConvo, isPending } = useConvo();
-  const [hasSessionId, setHasSessionId] = useState(Boolean(localStorage.getItem("sessionId")));
-  const [sessionId, setSessionId] = useState(localStorage.getItem("sessionId") || null);
+  const sessionId = useActiveSessionId();
+  const hasSessionId = Boolean(sessionId);
+  const openSession = useOpenSession();
   const {
     data: keyPointList,
     isPending: isPendingKeyPoint,
+    isPlaceholderData: isPreviousKeyPoint,
     refetch: refetchKeyPoint,
   } = useKeyPoint({ enabled: !!sessionId, sessionId });
-  const [keyPoint, setKeyPoint] = useState(keyPointList || []);
-  const [activeTabIndex, setActiveTabIndex] = useState(0);
-  const handleTabClick = (idx) => setActiveTabIndex(idx);
+  const saveTripRequest = useTripStore((state) => state.saveRequest);
+  const nameSession = useNameSession();
+  const tripRequest = useTripRequest(sessionId);
+  const tabLayout = useTabLayout(sessionId);
+  const togglePinnedTab = useTripStore((state) => state.togglePinnedTab);
+  const setTabOrder = useTripStore((state) => state.setTabOrder);
+  const summaryDetail = keyPointList?.find((item) => item.title === "Summary")?.detail;
+  const parsedSummary = useMemo(
+    () => (summaryDetail ? parseSummary(summaryDetail) : null),
+    [summaryDetail]
+  );
+  // Placeholder key points still belong to the previous session
+  useSummarySessionDetails(sessionId, isPreviousKeyPoint ? null : parsedSummary?.summary);
+  const itineraryEditor = useItineraryEditor(parsedSummary?.summary ?? null);
+  const departure =
+    tripRequest?.when?.startDate || parsedSummary?.summary?.planning_details?.departure_date;
+  const checklist = useChecklist({
+    sessionId,
+    // No reminders from the previous session's key points while this one loads
+    keyPoints: (!isPreviousKeyPoint && keyPointList) || NO_KEY_POINTS,
+    departure,
+  });
+  useChecklistReminders(sessionId, checklist);
+  // Checklist items of every tab are gathered in a "Trip To-Dos" tab of their own
+  const keyPoint = useMemo(() => {
+    const tabs = keyPointList || [];
+    const todos = checklist.items.length
+      ? [
+          {
+            title: TRIP_TODOS_TITLE,
+            detail: checklistToMarkdown(checklist.items, checklist.isDone),
+          },
+        ]
+      : [];
+    return orderKeyPoints([...tabs, ...todos], tabLayout);
+  }, [keyPointList, tabLayout, checklist.items, checklist.isDone]);
+  const [activeTabTitle, setActiveTabTitle] = useState(null);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [regeneratingTitle, setRegeneratingTitle] = useState(null);
   const queryClient = useQueryClient();
-  const currentTab = keyPoint?.[activeTabIndex];
+  // Fall back to the first tab when the selected one is gone (new session, renamed by the AI)
+  const currentTab = keyPoint.find((tab) => tab.title === activeTabTitle) ?? keyPoint[0];
+  // A parsed Summary renders as the trip overview, so it is searched as text instead of JSON
+  const searchableKeyPoints = useMemo(
+    () =>
+      keyPoint.map((tab) =>
+        tab.title === "Summary" && parsedSummary?.summary
+          ? { ...tab, detail: summaryToMarkdown(parsedSummary.summary) }
+          : tab
+      ),
+    [keyPoint, parsedSummary]
+  );
+  const matchCounts = useMemo(
+    () =>
+      Object.fromEntries(
+        searchKeyPoints(searchableKeyPoints, searchQuery).map(({ title, count }) => [title, count])
+      ),
+    [searchableKeyPoints, searchQuery]
+  );
+  const keyPointHistory = useKeyPointHistory(sessionId);
+  const recordKeyPoints = useKeyPointHistoryStore((state) => state.recordSnapshot);
+  const markKeyPointSeen = useKeyPointHistoryStore((state) => state.markSeen);
+  const openModal = useUIStore((state) => state.openModal);
+  // Version of the active tab to highlight changes against: { title, detail }
+  const [changeBaseline, setChangeBaseline] = useState(null);
+  const tabChanges = useMemo(
+    () =>
+      Object.fromEntries(
+        keyPoint.map((tab) => [tab.title, tabChangeStatus(keyPointHistory[tab.title])])
+      ),
+    [keyPoint, keyPointHistory]
+  );
+  const { isChecked: isChecklistItemChecked, toggle: toggleChecklistItem } = checklist;
+  const currentTitle = currentTab?.title;
+  const tabChecklist = useMemo(
+    () =>
+      currentTitle && {
+        isChecked: (text) => isChecklistItemChecked(currentTitle, text),
+        onToggle: (text, checked) =>
+          toggleChecklistItem(checklistItemId(currentTitle, text), checked),
+      },
+    [currentTitle, isChecklistItemChecked, toggleChecklistItem]
+  );
   const {
     mutate: pushMessage,
     data: summaryResult = [],
     isPending: isPendingSummary,
-  } = usePushMessage();
+  } = usePushMessage(sessionId);
 
-  useEffect(() => {
-    if (keyPointList) {
-      const summaryIndex = keyPointList.findIndex((item) => item.title === "Summary");
-      if (summaryIndex > 0) {
-        const summaryItem = keyPointList[summaryIndex];
-        const newList = [
-          summaryItem,
-          ...keyPointList.slice(0, summaryIndex),
-          ...keyPointList.slice(summaryIndex + 1),
-        ];
-        setKeyPoint(newList);
-      } else {
-        setKeyPoint(keyPointList);
-      }
-    }
-  }, [keyPointList]);
-
-  const {
-    register,
-    handleSubmit,
-    formState: { errors, isSubmitting },
-    reset,
-  } = useForm({
+  const methods = useForm({
     resolver: zodResolver(conversationSchema),
     mode: "onChange",
-    defaultValues: {
-      from: "",
-      to: "",
-      when: "",
-      duration: "",
-      transportation: "",
-      preference: "",
-      numberOfPeople: "",
-      estimatedBudget: "",
-    },
+    defaultValues: conversationDefaultValues,
   });
+  const {
+    handleSubmit,
+    formState: { isSubmitting },
+    reset,
+  } = methods;
+  const { pendingDraft, resumeDraft, clearDraft } = useTripDraft(methods);
+  const formMode = useTripFormMode();
+  const prefill = useTripPrefill();
+  const clearPrefill = useTripStore((state) => state.clearPrefill);
+
+  useEffect(() => {
+    if (!prefill) return;
+    reset(prefill);
+    clearPrefill();
+  }, [prefill, reset, clearPrefill]);
+
+  // Placeholder data still belongs to the previous session
+  useEffect(() => {
+    if (!keyPointList || isPreviousKeyPoint) return;
+    recordKeyPoints(sessionId, keyPointList);
+  }, [keyPointList, isPreviousKeyPoint, sessionId, recordKeyPoints]);
+
+  // Opening a tab with unseen changes highlights them against the last version that was read
+  const currentTabHistory = keyPointHistory[currentTab?.title];
+  useEffect(() => {
+    if (!currentTabHistory || !tabChangeStatus(currentTabHistory)) return;
+    setChangeBaseline({
+      title: currentTab.title,
+      detail: currentTabHistory.revisions[currentTabHistory.seen - 1]?.detail ?? null,
+    });
+    markKeyPointSeen(sessionId, currentTab.title);
+  }, [currentTabHistory, currentTab?.title, sessionId, markKeyPointSeen]);
+
+  const applyTemplate = (values) => reset(toFormValues(values));
 
   const onSubmit = async (data) => {
     console.log(data);
     const session = await startSession();
-    localStorage.setItem("sessionId", session?.sessionId);
-    setHasSessionId(Boolean(session?.sessionId));
-    setSessionId(session?.sessionId || null);
-    setConversationAi(true);
+    saveTripRequest(session?.sessionId, data);
+    nameSession({ sessionId: session?.sessionId, name: titleFromRequest(data) });
+    openSession(session?.sessionId);
     addMessage({ role: "user", text: `hai`, id: Date.now().toString(), author: "user" });
     addMessage({ role: "loading", text: "...", id: "loading", author: "model" });
 
-    await handlePushConvo(data);
+    await handlePushConvo(data, session?.sessionId);
+    clearDraft();
     reset();
   };
 
-  const handlePushConvo = async (data) => {
-    const sessionId = localStorage.getItem("sessionId");
+  const handlePushConvo = async (data, sessionId) => {
     const response = await submitConvo({ data, sessionId });
     console.log("response from handlepushconvo", response);
     await queryClient.invalidateQueries({
@@ -102,15 +222,7 @@ export const FormConversation = () => {
     ]);
   };
 
-  useEffect(() => {
-    const onSessionIdChanged = (evt) => {
-      const sid = localStorage.getItem("sessionId");
-      setHasSessionId(Boolean(sid));
-      setSessionId(sid || null);
-    };
-    window.addEventListener("sessionId:changed", onSessionIdChanged);
-    return () => window.removeEventListener("sessionId:changed", onSessionIdChanged);
-  }, [refetchKeyPoint]);
+  useTripUrlPrefill(methods, onSubmit);
 
   useEffect(() => {
     if (sessionId) {
@@ -131,24 +243,45 @@ export const FormConversation = () => {
     addMessage({ role: "model", text: nextText, id: Date.now().toString(), author: "model" });
   }, [isPendingSummary, summaryResult, addMessage]);
 
-  const handleClickSummary = () => {
+  const sendChatMessage = (text, options) => {
     if (!hasSessionId || !sessionId || isPendingSummary) return;
-    const summaryPrompt = "please summarize the whole conversation";
     addMessage({
       role: "user",
-      text: summaryPrompt,
+      text,
       id: Date.now().toString(),
       author: "user",
     });
     addMessage({ role: "loading", text: "...", id: "loading", author: "model" });
-    pushMessage(summaryPrompt);
+    pushMessage(text, options);
+  };
+
+  const handleClickSummary = () => sendChatMessage("please summarize the whole conversation");
+
+  const handleRegenerateTab = (title) => {
+    setRegeneratingTitle(title);
+    sendChatMessage(regenerateTabMessage(title), {
+      onSettled: () => {
+        setRegeneratingTitle(null);
+        queryClient.invalidateQueries({ queryKey: ["keyPoint", sessionId] });
+      },
+    });
+  };
+
+  const handleSelectTab = (title) => {
+    setActiveTabTitle(title);
+    setChangeBaseline(null);
+  };
+
+  const handleMoveTab = (fromTitle, toTitle) => {
+    const titles = keyPoint.map((tab) => tab.title);
+    setTabOrder(sessionId, moveTab(titles, fromTitle, toTitle));
   };
 
   return (
     <>
-      {!isPending && !conversationAi && (
+      {!isPending && !hasSessionId && (
         <div
-          className="relative w-full mx-auto p-6 bg-card rounded-lg shadow h-screen"
+          className="relative w-full mx-auto p-6 bg-card rounded-lg shadow h-screen overflow-y-auto"
           aria-busy={isPending}
         >
           <div className="text-center">
@@ -163,127 +296,50 @@ export const FormConversation = () => {
               The more information you provide, the better travel plan we can create for you!
             </p>
           </div>
-          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
-            <div className="flex gap-4">
-              <div className="flex-1">
-                <label className="block text-sm font-medium mb-1 text-muted-foreground">From</label>
-                <input
-                  type="text"
-                  {...register("from")}
-                  placeholder="Jakarta"
-                  className="w-full rounded-md border border-border p-2 focus:outline-none focus:ring-2 focus:ring-primary"
-                />
-                {errors.from && <p className="mt-1 text-sm text-red-600">{errors.from.message}</p>}
-              </div>
-              <div className="flex-1">
-                <label className="block text-sm font-medium mb-1 text-muted-foreground">To</label>
-                <input
-                  type="text"
-                  {...register("to")}
-                  placeholder="the most beautiful place in Tokyo"
-                  className="w-full rounded-md border border-border p-2 focus:outline-none focus:ring-2 focus:ring-primary"
-                />
-                {errors.to && <p className="mt-1 text-sm text-red-600">{errors.to.message}</p>}
-              </div>
-            </div>
-            <div className="flex gap-4">
-              <div className="flex-1">
-                <label className="block text-sm font-medium mb-1 text-muted-foreground">When</label>
-                <input
-                  type="text"
-                  {...register("when")}
-                  placeholder="around November next year"
-                  className="w-full rounded-md border border-border p-2 focus:outline-none focus:ring-2 focus:ring-primary"
-                />
-                {errors.when && <p className="mt-1 text-sm text-red-600">{errors.when.message}</p>}
-              </div>
-              <div className="flex-1">
-                <label className="block text-sm font-medium mb-1 text-muted-foreground">
-                  Duration
-                </label>
-                <input
-                  type="text"
-                  {...register("duration")}
-                  placeholder="7 days"
-                  className="w-full rounded-md border border-border p-2 focus:outline-none focus:ring-2 focus:ring-primary"
-                />
-                {errors.duration && (
-                  <p className="mt-1 text-sm text-red-600">{errors.duration.message}</p>
-                )}
-              </div>
-            </div>
-            <div className="flex gap-4">
-              <div className="flex-1">
-                <label className="block text-sm font-medium mb-1 text-muted-foreground">
-                  Holiday Preference
-                </label>
-                <input
-                  type="text"
-                  {...register("preference")}
-                  placeholder="sea and land tourism"
-                  className="w-full rounded-md border border-border p-2 focus:outline-none focus:ring-2 focus:ring-primary"
-                />
-                {errors.preference && (
-                  <p className="mt-1 text-sm text-red-600">{errors.preference.message}</p>
-                )}
-              </div>
-              <div className="flex-1">
-                <label className="block text-sm font-medium mb-1 text-muted-foreground">
-                  Number of People
-                </label>
-                <input
-                  type="text"
-                  {...register("numberOfPeople")}
-                  placeholder="just me"
-                  className="w-full rounded-md border border-border p-2 focus:outline-none focus:ring-2 focus:ring-primary"
-                />
-                {errors.numberOfPeople && (
-                  <p className="mt-1 text-sm text-red-600">{errors.numberOfPeople.message}</p>
-                )}
-              </div>
-            </div>
-            <div className="flex gap-4">
-              <div className="flex-1">
-                <label className="block text-sm font-medium mb-1 text-muted-foreground">
-                  Transportation
-                </label>
-                <input
-                  type="text"
-                  {...register("transportation")}
-                  placeholder="any land vehicle"
-                  className="w-full rounded-md border border-border p-2 focus:outline-none focus:ring-2 focus:ring-primary"
-                />
-                {errors.transportation && (
-                  <p className="mt-1 text-sm text-red-600">{errors.transportation.message}</p>
-                )}
-              </div>
-              <div className="flex-1">
-                <label className="block text-sm font-medium mb-1 text-muted-foreground">
-                  Estimated Budget
-                </label>
-                <input
-                  type="text"
-                  {...register("estimatedBudget")}
-                  placeholder="10000000"
-                  className="w-full rounded-md border border-border p-2 focus:outline-none focus:ring-2 focus:ring-primary"
-                />
-                {errors.estimatedBudget && (
-                  <p className="mt-1 text-sm text-red-600">{errors.estimatedBudget.message}</p>
-                )}
-              </div>
-            </div>
-            <button
-              type="submit"
-              disabled={isSubmitting}
-              className="w-full mt-4 py-2 rounded-md bg-primary hover:bg-primary/90 hover:cursor-pointer disabled:opacity-60 text-primary-foreground font-semibold transition"
-            >
-              Submit
-            </button>
-          </form>
+          <div className="flex justify-end mb-4">
+            <FormModeToggle />
+          </div>
+          <DraftPrompt draft={pendingDraft} onResume={resumeDraft} onDiscard={clearDraft} />
+          <TemplateManager getValues={methods.getValues} onApply={applyTemplate} />
+          <FormProvider {...methods}>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              {formMode === "wizard" ? (
+                <TripWizard isSubmitting={isSubmitting} />
+              ) : (
+                <>
+                  <WhereFields />
+                  <WhenFields />
+                  <div className="flex gap-4">
+                    <div className="flex-1">
+                      <PreferenceField />
+                    </div>
+                    <div className="flex-1">
+                      <WhoFields />
+                    </div>
+                  </div>
+                  <div className="flex gap-4">
+                    <div className="flex-1">
+                      <HowFields />
+                    </div>
+                    <div className="flex-1">
+                      <BudgetFields />
+                    </div>
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="w-full mt-4 py-2 rounded-md bg-primary hover:bg-primary/90 hover:cursor-pointer disabled:opacity-60 text-primary-foreground font-semibold transition"
+                  >
+                    Submit
+                  </button>
+                </>
+              )}
+            </form>
+          </FormProvider>
         </div>
       )}
 
-      {conversationAi && hasSessionId && keyPointList?.length <= 0 && (
+      {hasSessionId && keyPointList?.length <= 0 && (
         <div className="flex flex-col items-center justify-center min-h-screen text-center mx-auto">
           {/* Animasi Icon/Spinner */}
           <div className="relative flex h-16 w-16 mb-4">
@@ -314,8 +370,8 @@ export const FormConversation = () => {
           </p>
         </div>
       )}
-      {/* penanda saat belum ada sessionId meski conversationAi aktif */}
-      {conversationAi && !hasSessionId && (
+      {/* penanda saat sesi AI sedang dibuat */}
+      {isStartingSession && (
         <div
           className="flex items-center gap-3 px-4 py-3 rounded-md bg-card shadow w-full mt-2"
           role="status"
@@ -327,7 +383,7 @@ export const FormConversation = () => {
       )}
 
       {/* loading saat keyPoint sedang diambil setelah ada sessionId */}
-      {conversationAi && hasSessionId && isPendingKeyPoint && (
+      {hasSessionId && isPendingKeyPoint && (
         <div
           className="flex items-center gap-3 px-4 py-3 rounded-md bg-card shadow w-full mt-2"
           role="status"
@@ -338,25 +394,34 @@ export const FormConversation = () => {
         </div>
       )}
 
-      {!isPending && !isPendingKeyPoint && conversationAi && hasSessionId && (
+      {!isPending && !isPendingKeyPoint && hasSessionId && (
         <>
           <div className="mt-1 h-full min-h-0 flex flex-col overflow-x-auto w-full  min-w-0">
             <div className="flex bg-sidebar-background flex-wrap gap-2 border-sidebar-border shrink-0 max-w-full border-b">
-              {keyPoint?.map((tab, idx) => (
-                <button
-                  key={tab.title}
-                  type="button"
-                  onClick={() => handleTabClick(idx)}
-                  className={`flex items-center gap-2 px-4 py-2  transition-colors text-sm
-                                        ${
-                                          activeTabIndex === idx
-                                            ? "border-b-2 border-primary text-primary bg-white"
-                                            : "text-muted-foreground hover:text-foreground"
-                                        }`}
-                >
-                  {tab.title}
-                </button>
-              ))}
+              <KeyPointTabs
+                tabs={keyPoint}
+                activeTitle={currentTab?.title}
+                pinned={tabLayout.pinned}
+                matchCounts={matchCounts}
+                changes={tabChanges}
+                onSelect={handleSelectTab}
+                onTogglePin={(title) => togglePinnedTab(sessionId, title)}
+                onMove={handleMoveTab}
+              />
+              <div className="ml-auto flex items-center gap-2 py-1">
+                <KeyPointSearch
+                  keyPoints={searchableKeyPoints}
+                  query={searchQuery}
+                  onQueryChange={setSearchQuery}
+                  onSelect={handleSelectTab}
+                />
+                <ExportMenu
+                  sessionId={sessionId}
+                  keyPoints={keyPoint}
+                  summary={itineraryEditor.summary}
+                  isEdited={itineraryEditor.isEdited}
+                />
+              </div>
             </div>
             {/* 
             <div className="relative mt-4 p-4 rounded-md bg-card overflow-y-auto min-h-0 flex-1 scroll-smooth">
@@ -394,23 +459,83 @@ export const FormConversation = () => {
               {/* scrollable content */}
               <div className="p-4 rounded-md bg-card overflow-y-auto min-h-0 h-full scroll-smooth">
                 {(() => {
-                  if (!keyPoint || !keyPoint[activeTabIndex]) return null;
-                  const tab = keyPoint[activeTabIndex];
+                  if (!currentTab) return null;
+                  const tab = currentTab;
 
                   if (tab.title === "Summary") {
-                    try {
-                      const summary = JSON.parse(tab.detail);
-                      return <TripSummary summaryData={summary.details} />;
-                    } catch {
-                      return <Markdown>{tab.detail}</Markdown>;
+                    if (!parsedSummary?.summary) {
+                      return (
+                        <>
+                          <SummaryIssues issues={parsedSummary?.issues} />
+                          <MarkdownContent>{tab.detail}</MarkdownContent>
+                        </>
+                      );
                     }
+                    return (
+                      <TripSummary
+                        editor={itineraryEditor}
+                        issues={parsedSummary.issues}
+                        stops={tripRequest?.stops}
+                        onSendItinerary={sendChatMessage}
+                        isSending={isPendingSummary}
+                      />
+                    );
+                  }
+
+                  if (tab.title === TRIP_TODOS_TITLE) {
+                    return (
+                      <TripTodos
+                        items={checklist.items}
+                        isDone={checklist.isDone}
+                        onToggle={toggleChecklistItem}
+                        progress={checklist.progress}
+                        departure={departure}
+                      />
+                    );
                   }
 
                   return (
                     <>
-                      <h2 className="text-2xl font-bold text-gray-800 mb-4">{tab.title}</h2>
+                      <div className="flex items-start justify-between gap-4 mb-4">
+                        <h2 className="text-2xl font-bold text-gray-800">{tab.title}</h2>
+                        <div className="flex shrink-0 items-center gap-2">
+                          {keyPointHistory[tab.title]?.revisions.length > 1 && (
+                            <button
+                              type="button"
+                              onClick={() =>
+                                openModal(KEY_POINT_HISTORY_MODAL, { title: tab.title })
+                              }
+                              className="inline-flex items-center gap-1 rounded-md border border-border px-3 py-1.5 text-sm text-muted-foreground hover:text-foreground hover:cursor-pointer"
+                            >
+                              <History className="size-4" />
+                              History ({keyPointHistory[tab.title].revisions.length})
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => handleRegenerateTab(tab.title)}
+                            disabled={isPendingSummary}
+                            className="inline-flex shrink-0 items-center gap-1 rounded-md border border-border px-3 py-1.5 text-sm text-muted-foreground hover:text-foreground hover:cursor-pointer disabled:opacity-50"
+                          >
+                            <RefreshCw
+                              className={`size-4 ${regeneratingTitle === tab.title ? "animate-spin" : ""}`}
+                            />
+                            {regeneratingTitle === tab.title
+                              ? "Regenerating..."
+                              : "Regenerate this section"}
+                          </button>
+                        </div>
+                      </div>
                       <div className="text-sm text-foreground whitespace-pre-line">
-                        <Markdown>{tab.detail}</Markdown>
+                        <KeyPointDetail
+                          detail={tab.detail}
+                          baseline={
+                            changeBaseline?.title === tab.title ? changeBaseline.detail : null
+                          }
+                          query={searchQuery}
+                          checklist={tabChecklist}
+                          onDismissChanges={() => setChangeBaseline(null)}
+                        />
                       </div>
                     </>
                   );
@@ -430,6 +555,7 @@ export const FormConversation = () => {
               )}
             </div>
           </div>
+          <KeyPointHistoryModal history={keyPointHistory} />
         </>
       )}
     </>
@@ -0,0 +1,82 @@
+import { create } from "zustand";
+import { devtools, persist } from "zustand/middleware";
+import { logger } from "../../../core/utils/logger";
+
+/**
+ * Checklist Store - Local side of the trip checklists
+ *
+ * Responsibilities:
+ * - Checked state of items whose save to `/conversations/:id/checklist` failed
+ *   (overlaid on the server state until a later save goes through)
+ * - The day each item was last reminded about, so reminders show once a day
+ *
+ * Usage:
+ * const { items, reminded } = useLocalChecklist(sessionId);
+ */
+
+const EMPTY_SESSION = { items: {}, reminded: {} };
+
+const updateSession = (state, sessionId, update) => {
+  const session = state.sessions[sessionId] ?? EMPTY_SESSION;
+  return { sessions: { ...state.sessions, [sessionId]: { ...session, ...update(session) } } };
+};
+
+const checklistStore = (set) => ({
+  /**
+   * Checklists by sessionId
+   * { [sessionId]: { items: { [itemId]: checked }, reminded: { [itemId]: "YYYY-MM-DD" } } }
+   */
+  sessions: {},
+
+  /**
+   * Keep an item's checked state on this device
+   */
+  setItem: (sessionId, id, checked) => {
+    if (!sessionId) return;
+    logger.debug("Saving checklist item locally", { sessionId, id });
+    set((state) =>
+      updateSession(state, sessionId, (session) => ({
+        items: { ...session.items, [id]: checked },
+      }))
+    );
+  },
+
+  /**
+   * Drop an item's local state once the server has it
+   */
+  clearItem: (sessionId, id) => {
+    set((state) => {
+      if (state.sessions[sessionId]?.items?.[id] === undefined) return state;
+      return updateSession(state, sessionId, (session) => {
+        const { [id]: _removed, ...items } = session.items;
+        return { items };
+      });
+    });
+  },
+
+  /**
+   * Remember that these items were reminded about on `day`
+   */
+  markReminded: (sessionId, ids, day) => {
+    if (!sessionId || !ids.length) return;
+    set((state) =>
+      updateSession(state, sessionId, (session) => ({
+        reminded: { ...session.reminded, ...Object.fromEntries(ids.map((id) => [id, day])) },
+      }))
+    );
+  },
+});
+
+/**
+ * Create checklist store with middleware
+ * - devtools: Enable Redux DevTools integration
+ * - persist: Persist local checklist state to localStorage
+ */
+export const useChecklistStore = create(
+  devtools(persist(checklistStore, { name: "trip-checklists" }), { name: "ChecklistStore" })
+);
+
+export const useLocalChecklist = (sessionId) =>
+  useChecklistStore((state) => (sessionId ? state.sessions[sessionId] : null) ?? EMPTY_SESSION);
+
+export default useChecklistStore;
@@ -0,0 +1,125 @@
+import { create } from "zustand";
+import { devtools, persist } from "zustand/middleware";
+import { logger } from "../../../core/utils/logger";
+
+const MAX_REVISIONS = 15;
+const MAX_SESSIONS = 5;
+
+/**
+ * Key Point History Store - Revisions of each key point tab as the conversation goes on
+ *
+ * Responsibilities:
+ * - Record every version of a tab's detail seen while polling `/conversations/:id/detail`
+ * - Track which revision of each tab the user has looked at ("what's new" badges)
+ *
+ * Only the most recent sessions are kept, and a bounded number of revisions per tab,
+ * so localStorage doesn't fill up.
+ *
+ * Usage:
+ * const history = useKeyPointHistory(sessionId);
+ * const { revisions, seen } = history[title];
+ */
+
+const keyPointHistoryStore = (set) => ({
+  /**
+   * History by sessionId
+   * { [sessionId]: { updatedAt, tabs: { [title]: { revisions: [{ detail, at }], seen } } } }
+   *  - `seen` is the number of revisions the user has seen
+   */
+  sessions: {},
+
+  /**
+   * Record the key points of a fetch. Tabs whose detail changed get a new revision.
+   * The first snapshot of a session counts as seen.
+   */
+  recordSnapshot: (sessionId, keyPoints) => {
+    if (!sessionId || !Array.isArray(keyPoints)) return;
+    set((state) => {
+      const session = state.sessions[sessionId];
+      const tabs = { ...session?.tabs };
+      const now = Date.now();
+      let changed = false;
+
+      keyPoints.forEach(({ title, detail }) => {
+        const tab = tabs[title] ?? { revisions: [], seen: 0 };
+        const latest = tab.revisions[tab.revisions.length - 1];
+        if (latest?.detail === detail) return;
+
+        const revisions = [...tab.revisions, { detail, at: now }].slice(-MAX_REVISIONS);
+        // Dropping old revisions shifts the seen count down with them
+        const dropped = tab.revisions.length + 1 - revisions.length;
+        const seen = session ? Math.max(0, tab.seen - dropped) : revisions.length;
+        tabs[title] = { revisions, seen };
+        changed = true;
+      });
+
+      if (!changed) return state;
+      logger.debug("Key points changed", { sessionId });
+
+      const sessions = { ...state.sessions, [sessionId]: { updatedAt: now, tabs } };
+      const kept = Object.entries(sessions)
+        .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+        .slice(0, MAX_SESSIONS);
+      return { sessions: Object.fromEntries(kept) };
+    });
+  },
+
+  /**
+   * Mark every revision of a tab as seen
+   */
+  markSeen: (sessionId, title) => {
+    set((state) => {
+      const tab = state.sessions[sessionId]?.tabs[title];
+      if (!tab || tab.seen === tab.revisions.length) return state;
+      const session = state.sessions[sessionId];
+      return {
+        sessions: {
+          ...state.sessions,
+          [sessionId]: {
+            ...session,
+            tabs: { ...session.tabs, [title]: { ...tab, seen: tab.revisions.length } },
+          },
+        },
+      };
+    });
+  },
+
+  /**
+   * Forget the history of a session
+   */
+  clearHistory: (sessionId) => {
+    set((state) => {
+      const { [sessionId]: _removed, ...sessions } = state.sessions;
+      return { sessions };
+    });
+  },
+});
+
+/**
+ * Create key point history store with middleware
+ * - devtools: Enable Redux DevTools integration
+ * - persist: Persist revisions to localStorage
+ */
+export const useKeyPointHistoryStore = create(
+  devtools(persist(keyPointHistoryStore, { name: "key-point-history" }), {
+    name: "KeyPointHistoryStore",
+  })
+);
+
+const EMPTY_HISTORY = {};
+
+export const useKeyPointHistory = (sessionId) =>
+  useKeyPointHistoryStore(
+    (state) => (sessionId ? state.sessions[sessionId]?.tabs : null) ?? EMPTY_HISTORY
+  );
+
+/**
+ * "new" for a tab that appeared since the user last looked, "updated" for changed content,
+ * null when everything has been seen.
+ */
+export const tabChangeStatus = (tabHistory) => {
+  if (!tabHistory || tabHistory.seen >= tabHistory.revisions.length) return null;
+  return tabHistory.seen === 0 ? "new" : "updated";
+};
+
+export default useKeyPointHistoryStore;
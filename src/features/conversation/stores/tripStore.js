@@ -0,0 +1,259 @@
+import { create } from "zustand";
+import { devtools, persist } from "zustand/middleware";
+import { logger } from "../../../core/utils/logger";
+
+/**
+ * Trip Store - Remembers the trip form inputs behind each planning session
+ *
+ * Responsibilities:
+ * - Submitted trip requests keyed by sessionId (route legs, dates, party, ...)
+ * - Names given to sessions automatically, and destination/dates read from their summaries
+ * - Unsent form drafts keyed by user, so a refresh doesn't lose typed input
+ * - Locally saved templates (fallback when the templates API is unavailable)
+ * - One-shot prefill values handed to the trip form ("plan again", templates)
+ * - Pinned tabs and tab order of each session's key points
+ *
+ * Usage:
+ * const request = useTripRequest(sessionId);
+ * const draft = useTripDraftEntry(userKey);
+ */
+
+const tripStore = (set) => ({
+  // SUBMITTED REQUESTS
+  /**
+   * Validated form values by sessionId
+   * { [sessionId]: { from, stops, when, ... } }
+   */
+  requests: {},
+
+  /**
+   * Remember the inputs a session was started with
+   */
+  saveRequest: (sessionId, data) => {
+    if (!sessionId) return;
+    logger.debug("Saving trip request", { sessionId });
+    set((state) => ({ requests: { ...state.requests, [sessionId]: data } }));
+  },
+
+  /**
+   * Forget the inputs of a session
+   */
+  removeRequest: (sessionId) => {
+    set((state) => {
+      const { [sessionId]: _removed, ...requests } = state.requests;
+      return { requests };
+    });
+  },
+
+  // SESSION DETAILS
+  /**
+   * Names this device gave sessions automatically, by sessionId
+   * Shown until the server returns the name (or when renaming it there failed)
+   */
+  titles: {},
+
+  /**
+   * Remember the name given to a session
+   */
+  saveTitle: (sessionId, title) => {
+    if (!sessionId || !title) return;
+    set((state) => ({ titles: { ...state.titles, [sessionId]: title } }));
+  },
+
+  /**
+   * Destination and dates read from each session's Summary key point
+   * { [sessionId]: { destination, startDate, endDate } }
+   */
+  summaries: {},
+
+  /**
+   * Remember what a session's summary says
+   */
+  saveSummary: (sessionId, details) => {
+    if (!sessionId) return;
+    set((state) => ({ summaries: { ...state.summaries, [sessionId]: details } }));
+  },
+
+  /**
+   * Forget everything remembered about a deleted session
+   */
+  forgetSession: (sessionId) => {
+    logger.debug("Forgetting session", { sessionId });
+    set((state) => {
+      const { [sessionId]: _request, ...requests } = state.requests;
+      const { [sessionId]: _title, ...titles } = state.titles;
+      const { [sessionId]: _summary, ...summaries } = state.summaries;
+      const { [sessionId]: _layout, ...tabLayouts } = state.tabLayouts;
+      return { requests, titles, summaries, tabLayouts };
+    });
+  },
+
+  // DRAFTS
+  /**
+   * Unsent form values by user
+   * { [userKey]: { values, updatedAt } }
+   */
+  drafts: {},
+
+  /**
+   * Save the current form values as the user's draft
+   */
+  saveDraft: (userKey, values) => {
+    set((state) => ({
+      drafts: { ...state.drafts, [userKey]: { values, updatedAt: Date.now() } },
+    }));
+  },
+
+  /**
+   * Drop the user's draft (after submit or discard)
+   */
+  clearDraft: (userKey) => {
+    logger.debug("Clearing trip draft", { userKey });
+    set((state) => {
+      const { [userKey]: _removed, ...drafts } = state.drafts;
+      return { drafts };
+    });
+  },
+
+  // LOCAL TEMPLATES
+  /**
+   * Templates saved on this device
+   * [{ id, name, values, createdAt, local: true }, ...]
+   */
+  templates: [],
+
+  /**
+   * Save a template locally and return it
+   */
+  addTemplate: ({ name, values }) => {
+    const template = {
+      id: `local-${Date.now()}`,
+      name,
+      values,
+      createdAt: new Date().toISOString(),
+      local: true,
+    };
+    set((state) => ({ templates: [template, ...state.templates] }));
+    return template;
+  },
+
+  /**
+   * Rename a local template
+   */
+  renameTemplate: (id, name) => {
+    set((state) => ({
+      templates: state.templates.map((template) =>
+        template.id === id ? { ...template, name } : template
+      ),
+    }));
+  },
+
+  /**
+   * Delete a local template
+   */
+  removeTemplate: (id) => {
+    set((state) => ({ templates: state.templates.filter((template) => template.id !== id) }));
+  },
+
+  // KEY POINT TABS
+  /**
+   * Tab layout by sessionId, tabs are identified by title
+   * { [sessionId]: { pinned: [title, ...], order: [title, ...] } }
+   */
+  tabLayouts: {},
+
+  /**
+   * Pin a tab to the front, or unpin it
+   */
+  togglePinnedTab: (sessionId, title) => {
+    if (!sessionId) return;
+    set((state) => {
+      const layout = state.tabLayouts[sessionId] ?? { pinned: [], order: [] };
+      const pinned = layout.pinned.includes(title)
+        ? layout.pinned.filter((t) => t !== title)
+        : [...layout.pinned, title];
+      return { tabLayouts: { ...state.tabLayouts, [sessionId]: { ...layout, pinned } } };
+    });
+  },
+
+  /**
+   * Save the tab order the user arranged
+   */
+  setTabOrder: (sessionId, order) => {
+    if (!sessionId) return;
+    set((state) => {
+      const layout = state.tabLayouts[sessionId] ?? { pinned: [], order: [] };
+      return { tabLayouts: { ...state.tabLayouts, [sessionId]: { ...layout, order } } };
+    });
+  },
+
+  // PREFILL
+  /**
+   * Values the trip form should load next time it is shown (not persisted)
+   */
+  prefill: null,
+
+  /**
+   * Ask the trip form to load these values
+   */
+  setPrefill: (values) => {
+    set({ prefill: values });
+  },
+
+  /**
+   * Called by the form once the prefill has been applied
+   */
+  clearPrefill: () => {
+    set({ prefill: null });
+  },
+});
+
+/**
+ * Create trip store with middleware
+ * - devtools: Enable Redux DevTools integration
+ * - persist: Persist requests, session details, drafts, local templates and tab layouts
+ */
+export const useTripStore = create(
+  devtools(
+    persist(tripStore, {
+      name: "trip-storage",
+      partialize: (state) => ({
+        requests: state.requests,
+        titles: state.titles,
+        summaries: state.summaries,
+        drafts: state.drafts,
+        templates: state.templates,
+        tabLayouts: state.tabLayouts,
+      }),
+    }),
+    { name: "TripStore" }
+  )
+);
+
+// Requests
+export const useTripRequest = (sessionId) =>
+  useTripStore((state) => (sessionId ? state.requests[sessionId] : null) ?? null);
+
+// Session details
+export const useSessionTitle = (sessionId) =>
+  useTripStore((state) => (sessionId ? state.titles[sessionId] : null) ?? null);
+
+// Drafts
+export const useTripDraftEntry = (userKey) =>
+  useTripStore((state) => state.drafts[userKey] ?? null);
+
+// Templates
+export const useLocalTripTemplates = () => useTripStore((state) => state.templates);
+
+// Key point tabs
+const EMPTY_TAB_LAYOUT = { pinned: [], order: [] };
+
+export const useTabLayout = (sessionId) =>
+  useTripStore((state) => (sessionId ? state.tabLayouts[sessionId] : null) ?? EMPTY_TAB_LAYOUT);
+
+// Prefill
+export const useTripPrefill = () => useTripStore((state) => state.prefill);
+
+export const useSetTripPrefill = () => useTripStore((state) => state.setPrefill);
+
+export default useTripStore;
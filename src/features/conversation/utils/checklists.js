@@ -0,0 +1,125 @@
+import { addDays, toDate } from "./tripExport";
+
+export const TRIP_TODOS_TITLE = "Trip To-Dos";
+
+// Unchecked items due within this many days (or overdue) get a reminder
+export const REMINDER_WINDOW_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TASK_LINE = /^\s*(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.+?)\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+const UNIT_DAYS = { day: 1, week: 7, month: 30 };
+
+/**
+ * Markdown of a task item as plain text: link targets, emphasis and code marks dropped.
+ */
+export const plainTaskText = (markdown) =>
+  String(markdown)
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[*_~`]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Identity of a checklist item: its tab and its text, ignoring case and punctuation,
+ * so the state survives the AI rewording the markup around it.
+ */
+export const checklistItemId = (tabTitle, text) =>
+  `${tabTitle}::${plainTaskText(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()}`;
+
+/**
+ * When an item is due, read from its text:
+ * - "2 weeks before departure", "3 days before", "the day before" (counted back from `departure`)
+ * - "by 2026-11-02", "due 2026-11-02"
+ *
+ * @returns {Date|null}
+ */
+export const dueDateOf = (text, departure) => {
+  const explicit = text.match(/\b(?:by|due|before)\s+(\d{4}-\d{2}-\d{2})\b/i);
+  if (explicit) return toDate(explicit[1]);
+
+  const start = toDate(departure);
+  if (!start) return null;
+  if (/\bthe day before\b/i.test(text)) return addDays(start, -1);
+  const relative = text.match(/\b(\d+|a|an|one)\s+(day|week|month)s?\s+(?:before|prior)\b/i);
+  if (!relative) return null;
+  const amount = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+  return addDays(start, -amount * UNIT_DAYS[relative[2].toLowerCase()]);
+};
+
+/**
+ * Task list items (`- [ ] ...`) of every key point tab, skipping code blocks.
+ *
+ * @param {Array<{ title, detail }>} keyPoints
+ * @param {{ departure?: string }} options - Departure date, for "N weeks before" items
+ * @returns {Array<{ id, tab, text, done, due: Date|null }>} - `done` as written by the AI
+ */
+export const extractChecklist = (keyPoints = [], { departure } = {}) => {
+  const items = new Map();
+  keyPoints.forEach((tab) => {
+    if (tab.title === "Summary" || tab.title === TRIP_TODOS_TITLE) return;
+    let inFence = false;
+    String(tab.detail ?? "")
+      .split("\n")
+      .forEach((line) => {
+        if (FENCE.test(line)) inFence = !inFence;
+        const match = !inFence && line.match(TASK_LINE);
+        if (!match) return;
+        const text = plainTaskText(match[2]);
+        const id = checklistItemId(tab.title, text);
+        if (!text || items.has(id)) return;
+        items.set(id, {
+          id,
+          tab: tab.title,
+          text,
+          done: match[1] !== " ",
+          due: dueDateOf(text, departure),
+        });
+      });
+  });
+  return [...items.values()];
+};
+
+/**
+ * Whole days from `now` until `date` (negative when overdue).
+ */
+export const daysUntil = (date, now = new Date()) =>
+  Math.round((addDays(date, 0) - addDays(now, 0)) / DAY_MS);
+
+/**
+ * Items still open and due within the reminder window, soonest first.
+ */
+export const dueReminders = (items, isDone, now = new Date()) =>
+  items
+    .filter((item) => item.due && !isDone(item))
+    .filter((item) => daysUntil(item.due, now) <= REMINDER_WINDOW_DAYS)
+    .sort((a, b) => a.due - b.due);
+
+/**
+ * "Overdue by 2 days", "Due today", "Due in 5 days"
+ */
+export const dueLabel = (date, now = new Date()) => {
+  const days = daysUntil(date, now);
+  const plural = (n) => `${n} ${n === 1 ? "day" : "days"}`;
+  if (days < 0) return `Overdue by ${plural(-days)}`;
+  if (days === 0) return "Due today";
+  return `Due in ${plural(days)}`;
+};
+
+/**
+ * The consolidated list as Markdown, so the To-Dos tab can be searched and exported.
+ */
+export const checklistToMarkdown = (items, isDone) => {
+  const tabs = [...new Set(items.map((item) => item.tab))];
+  return tabs
+    .map((tab) => {
+      const lines = items
+        .filter((item) => item.tab === tab)
+        .map((item) => `- [${isDone(item) ? "x" : " "}] ${item.text}`);
+      return [`### ${tab}`, ...lines].join("\n");
+    })
+    .join("\n\n");
+};
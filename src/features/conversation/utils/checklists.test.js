@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { dueDateOf } from "./checklists";
+
+const day = (date) => date && date.toDateString();
+
+describe("dueDateOf", () => {
+  const departure = "2026-12-20";
+
+  it("reads an explicit date", () => {
+    expect(day(dueDateOf("Apply for the visa by 2026-11-02", departure))).toBe(
+      new Date(2026, 10, 2).toDateString()
+    );
+    expect(day(dueDateOf("Insurance due 2026-12-01", null))).toBe(
+      new Date(2026, 11, 1).toDateString()
+    );
+  });
+
+  it.each([
+    ["Book the ferry 3 days before departure", new Date(2026, 11, 17)],
+    ["Exchange money 2 weeks before", new Date(2026, 11, 6)],
+    ["Renew the passport a month before", new Date(2026, 10, 20)],
+    ["Pack the day before", new Date(2026, 11, 19)],
+    ["Check in one day prior", new Date(2026, 11, 19)],
+  ])("counts %j back from the departure date", (text, due) => {
+    expect(day(dueDateOf(text, departure))).toBe(due.toDateString());
+  });
+
+  it("needs a departure date for relative deadlines", () => {
+    expect(dueDateOf("Pack 2 days before", null)).toBeNull();
+  });
+
+  it("returns null for items without a deadline", () => {
+    expect(dueDateOf("Buy sunscreen", departure)).toBeNull();
+  });
+});
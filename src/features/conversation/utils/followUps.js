@@ -0,0 +1,81 @@
+import { activityText, costCategory, summarizeBudget } from "./summary";
+
+const MAX_SUGGESTIONS = 6;
+const MAX_TAB_SUGGESTIONS = 3;
+
+const dedupe = (prompts) => {
+  const seen = new Set();
+  return prompts.filter((prompt) => {
+    const key = prompt.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Suggestions the backend attached to a reply or conversation, as plain strings.
+ * Accepts `["..."]` or `[{ text|prompt|label }]`.
+ */
+export const serverSuggestions = (...sources) =>
+  sources
+    .flatMap((source) => (Array.isArray(source?.suggestions) ? source.suggestions : []))
+    .map((item) => (typeof item === "string" ? item : (item?.text ?? item?.prompt ?? item?.label)))
+    .filter((text) => typeof text === "string" && text.trim())
+    .map((text) => text.trim());
+
+/**
+ * Prompts for what the summary is missing: no place to stay, no day plan, over budget.
+ */
+export const summaryGapPrompts = (summary) => {
+  if (!summary) return [];
+  const itinerary = Array.isArray(summary.itinerary) ? summary.itinerary : [];
+  const prompts = [];
+
+  if (summarizeBudget(summary).remaining < 0) {
+    prompts.push("How can I cut costs to stay within my budget?");
+  }
+  const isStay = (item) => costCategory(item) === "Accommodation";
+  const hasStay = itinerary.some((item) =>
+    item.type === "daily_plan"
+      ? (item.activities ?? []).some((activity) => isStay({ description: activityText(activity) }))
+      : isStay(item)
+  );
+  if (!hasStay) {
+    prompts.push("Recommend a hotel for my stay");
+  }
+  if (!itinerary.some((item) => item.type === "daily_plan")) {
+    prompts.push("Make a day-by-day itinerary");
+  }
+  return prompts;
+};
+
+/**
+ * Quick replies for the assistant: backend suggestions first, then gaps in the summary,
+ * then "Tell me more about ..." for tabs the user hasn't asked about yet.
+ *
+ * @param {{ keyPoints?: Array<{ title, detail }>, summary?: Object|null, messages?: Array,
+ *   suggestions?: string[] }} context - `summary` as parsed by `parseSummary`
+ * @returns {string[]}
+ */
+export const buildFollowUps = ({
+  keyPoints = [],
+  summary = null,
+  messages = [],
+  suggestions = [],
+}) => {
+  const asked = messages
+    .filter((message) => message.role === "user" && typeof message.text === "string")
+    .map((message) => message.text.toLowerCase());
+  const tabPrompts = keyPoints
+    .map((tab) => tab.title)
+    .filter((title) => title && title !== "Summary")
+    .filter((title) => !asked.some((text) => text.includes(title.toLowerCase())))
+    .slice(0, MAX_TAB_SUGGESTIONS)
+    .map((title) => `Tell me more about ${title}`);
+
+  return dedupe([...suggestions, ...summaryGapPrompts(summary), ...tabPrompts]).slice(
+    0,
+    MAX_SUGGESTIONS
+  );
+};
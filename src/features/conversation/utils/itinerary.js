@@ -0,0 +1,69 @@
+const isDailyPlan = (item) => item?.type === "daily_plan";
+
+const itemLocation = (item) => item?.location ?? item?.city ?? item?.destination ?? null;
+
+/**
+ * Split an AI itinerary into one group per trip leg.
+ *
+ * Days are grouped by the location the AI tagged them with when present,
+ * otherwise they are assigned to the requested stops in order using each
+ * stop's nights count. Non-daily items (fixed costs) are returned separately.
+ *
+ * @param {Array} itinerary - `summary.details.itinerary`
+ * @param {Array} stops - Requested stops `{ location, nights, transport }`
+ * @returns {{ fixedCosts: Array, legs: Array<{ key, location, nights, transport, days }> }}
+ */
+export const groupItineraryByLeg = (itinerary = [], stops = []) => {
+  const items = Array.isArray(itinerary) ? itinerary : [];
+  const fixedCosts = items.filter((item) => item && !isDailyPlan(item));
+  const days = items.filter(isDailyPlan);
+
+  if (days.some(itemLocation)) {
+    const legs = [];
+    days.forEach((day) => {
+      const location = itemLocation(day) ?? legs[legs.length - 1]?.location ?? null;
+      const current = legs[legs.length - 1];
+      if (current && current.location === location) {
+        current.days.push(day);
+        return;
+      }
+      const stop = stops.find((s) => s.location?.toLowerCase() === location?.toLowerCase());
+      legs.push({
+        key: `${legs.length}-${location}`,
+        location,
+        nights: stop?.nights,
+        transport: stop?.transport,
+        days: [day],
+      });
+    });
+    return { fixedCosts, legs };
+  }
+
+  const canChunk = stops.length > 1 && stops.every((stop) => Number(stop.nights) > 0);
+  if (!canChunk) {
+    return {
+      fixedCosts,
+      legs: days.length
+        ? [{ key: "all", location: stops.length === 1 ? stops[0].location : null, days }]
+        : [],
+    };
+  }
+
+  let cursor = 0;
+  const legs = stops.map((stop, index) => {
+    // A leg of N nights covers N days; the last leg keeps whatever is left over.
+    const size = index === stops.length - 1 ? days.length - cursor : Number(stop.nights);
+    const legDays = days.slice(cursor, cursor + size);
+    cursor += size;
+    return {
+      key: `${index}-${stop.location}`,
+      location: stop.location,
+      nights: stop.nights,
+      transport: stop.transport,
+      days: legDays,
+    };
+  });
+  return { fixedCosts, legs: legs.filter((leg) => leg.days.length) };
+};
+
+export default groupItineraryByLeg;
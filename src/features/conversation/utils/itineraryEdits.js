@@ -0,0 +1,127 @@
+import { activityText, asText, moneyText, parseAmount, parseRemaining } from "./summary";
+
+const ACTIVITY_TEXT_KEYS = ["description", "name", "title"];
+
+const withActivityText = (activity, text) => {
+  if (!activity || typeof activity !== "object") return text;
+  const key = ACTIVITY_TEXT_KEYS.find((k) => typeof activity[k] === "string") ?? "description";
+  return { ...activity, [key]: text };
+};
+
+const updateDay = (itinerary, dayIndex, update) =>
+  itinerary.map((item, index) =>
+    index === dayIndex
+      ? update({ ...item, activities: Array.isArray(item.activities) ? item.activities : [] })
+      : item
+  );
+
+/**
+ * Apply one user edit to a parsed itinerary (see `parseSummary`). Days are
+ * addressed by their index in the itinerary; the input is never mutated.
+ *
+ * @param {Array} itinerary
+ * @param {{ type: string }} edit - addActivity | updateActivity | removeActivity | moveActivity | setDayBudget
+ * @returns {Array}
+ */
+export const applyItineraryEdit = (itinerary, edit) => {
+  switch (edit.type) {
+    case "addActivity":
+      return updateDay(itinerary, edit.dayIndex, (day) => ({
+        ...day,
+        activities: [...day.activities, edit.text],
+      }));
+
+    case "updateActivity":
+      return updateDay(itinerary, edit.dayIndex, (day) => ({
+        ...day,
+        activities: day.activities.map((activity, index) =>
+          index === edit.activityIndex ? withActivityText(activity, edit.text) : activity
+        ),
+      }));
+
+    case "removeActivity":
+      return updateDay(itinerary, edit.dayIndex, (day) => ({
+        ...day,
+        activities: day.activities.filter((_, index) => index !== edit.activityIndex),
+      }));
+
+    case "moveActivity": {
+      const { from, to } = edit;
+      const moved = itinerary[from.dayIndex]?.activities?.[from.activityIndex];
+      if (moved === undefined) return itinerary;
+      const removed = updateDay(itinerary, from.dayIndex, (day) => ({
+        ...day,
+        activities: day.activities.filter((_, index) => index !== from.activityIndex),
+      }));
+      return updateDay(removed, to.dayIndex, (day) => {
+        const activities = [...day.activities];
+        activities.splice(Math.min(to.activityIndex, activities.length), 0, moved);
+        return { ...day, activities };
+      });
+    }
+
+    case "setDayBudget":
+      return updateDay(itinerary, edit.dayIndex, (day) => ({
+        ...day,
+        budget:
+          edit.amount === null
+            ? undefined
+            : { text: "", amount: edit.amount, currency: day.budget?.currency ?? null },
+      }));
+
+    default:
+      return itinerary;
+  }
+};
+
+const itemisedTotal = (itinerary) =>
+  itinerary.reduce((sum, item) => sum + (parseAmount(item?.budget) ?? 0), 0);
+
+/**
+ * The summary with an edited itinerary, moving the remaining budget by however
+ * much the itemised costs changed.
+ */
+export const withEditedItinerary = (summary, itinerary) => {
+  if (!summary || itinerary === summary.itinerary) return summary;
+  const remaining = parseRemaining(summary.remaining_budget);
+  if (remaining === null) return { ...summary, itinerary };
+
+  const delta = itemisedTotal(itinerary) - itemisedTotal(summary.itinerary ?? []);
+  return {
+    ...summary,
+    itinerary,
+    remaining_budget: {
+      text: "",
+      amount: remaining - delta,
+      currency: summary.remaining_budget?.currency ?? null,
+    },
+  };
+};
+
+/**
+ * Chat message asking the assistant to re-plan around the edited days.
+ */
+export const itineraryToMessage = (itinerary) => {
+  const days = itinerary
+    .filter((item) => item?.type === "daily_plan")
+    .map((item, index) => {
+      const heading = [asText(item.day) || `Day ${index + 1}`, asText(item.date)]
+        .filter(Boolean)
+        .join(" - ");
+      const budget = moneyText(item.budget);
+      const activities = (item.activities ?? [])
+        .map(activityText)
+        .filter(Boolean)
+        .map((activity) => `- ${activity}`);
+      return [
+        `**${heading}**${budget ? ` (budget: ${budget})` : ""}`,
+        ...(activities.length ? activities : ["- (free day)"]),
+      ].join("\n");
+    });
+
+  return [
+    "I've edited the itinerary. Please re-plan the trip around these changes and update the budget:",
+    "",
+    days.join("\n\n"),
+  ].join("\n");
+};
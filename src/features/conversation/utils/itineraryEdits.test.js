@@ -0,0 +1,136 @@
+import { describe, expect, it } from "vitest";
+import { applyItineraryEdit, itineraryToMessage, withEditedItinerary } from "./itineraryEdits";
+
+const itinerary = [
+  { type: "fixed_cost", description: "Flight", budget: "IDR 3.000.000" },
+  {
+    type: "daily_plan",
+    day: "Day 1",
+    date: "2026-11-02",
+    activities: ["Arrive in Denpasar", { name: "Kuta beach" }],
+    budget: "IDR 500.000",
+  },
+  { type: "daily_plan", day: "Day 2", activities: ["Ubud rice terraces"] },
+];
+
+describe("applyItineraryEdit", () => {
+  it("adds an activity to a day", () => {
+    const edited = applyItineraryEdit(itinerary, { type: "addActivity", dayIndex: 2, text: "Spa" });
+
+    expect(edited[2].activities).toEqual(["Ubud rice terraces", "Spa"]);
+  });
+
+  it("updates the text field an activity object already uses", () => {
+    const edited = applyItineraryEdit(itinerary, {
+      type: "updateActivity",
+      dayIndex: 1,
+      activityIndex: 1,
+      text: "Seminyak beach",
+    });
+
+    expect(edited[1].activities[1]).toEqual({ name: "Seminyak beach" });
+  });
+
+  it("removes an activity", () => {
+    const edited = applyItineraryEdit(itinerary, {
+      type: "removeActivity",
+      dayIndex: 1,
+      activityIndex: 0,
+    });
+
+    expect(edited[1].activities).toEqual([{ name: "Kuta beach" }]);
+  });
+
+  it("moves an activity to another day", () => {
+    const edited = applyItineraryEdit(itinerary, {
+      type: "moveActivity",
+      from: { dayIndex: 1, activityIndex: 1 },
+      to: { dayIndex: 2, activityIndex: 0 },
+    });
+
+    expect(edited[1].activities).toEqual(["Arrive in Denpasar"]);
+    expect(edited[2].activities).toEqual([{ name: "Kuta beach" }, "Ubud rice terraces"]);
+  });
+
+  it("ignores a move of a missing activity", () => {
+    const edit = {
+      type: "moveActivity",
+      from: { dayIndex: 2, activityIndex: 5 },
+      to: { dayIndex: 1, activityIndex: 0 },
+    };
+
+    expect(applyItineraryEdit(itinerary, edit)).toBe(itinerary);
+  });
+
+  it("sets and clears a day budget", () => {
+    const set = applyItineraryEdit(itinerary, { type: "setDayBudget", dayIndex: 2, amount: 250 });
+    const cleared = applyItineraryEdit(set, { type: "setDayBudget", dayIndex: 2, amount: null });
+
+    expect(set[2].budget).toEqual({ text: "", amount: 250, currency: null });
+    expect(cleared[2].budget).toBeUndefined();
+  });
+
+  it("never mutates the input", () => {
+    const snapshot = JSON.stringify(itinerary);
+    applyItineraryEdit(itinerary, { type: "addActivity", dayIndex: 1, text: "Dinner" });
+
+    expect(JSON.stringify(itinerary)).toBe(snapshot);
+  });
+});
+
+describe("withEditedItinerary", () => {
+  const summary = { itinerary, remaining_budget: "IDR 1.000.000" };
+
+  it("moves the remaining budget by the change in itemised costs", () => {
+    const edited = applyItineraryEdit(itinerary, {
+      type: "setDayBudget",
+      dayIndex: 2,
+      amount: 300000,
+    });
+
+    expect(withEditedItinerary(summary, edited).remaining_budget.amount).toBe(700000);
+  });
+
+  it("keeps an over-budget remaining budget negative", () => {
+    const overBudget = { itinerary, remaining_budget: "Over budget by IDR 200.000" };
+    const edited = applyItineraryEdit(itinerary, {
+      type: "setDayBudget",
+      dayIndex: 1,
+      amount: 550000,
+    });
+
+    expect(withEditedItinerary(overBudget, edited).remaining_budget.amount).toBe(-250000);
+  });
+
+  it("leaves the budget alone when no remaining budget is known", () => {
+    const edited = applyItineraryEdit(itinerary, {
+      type: "removeActivity",
+      dayIndex: 2,
+      activityIndex: 0,
+    });
+
+    expect(withEditedItinerary({ itinerary }, edited)).toEqual({ itinerary: edited });
+  });
+
+  it("returns the summary itself when the itinerary did not change", () => {
+    expect(withEditedItinerary(summary, itinerary)).toBe(summary);
+  });
+});
+
+describe("itineraryToMessage", () => {
+  it("lists each day with its budget and activities", () => {
+    const message = itineraryToMessage(itinerary);
+
+    expect(message).toContain(
+      "**Day 1 - 2026-11-02** (budget: IDR 500.000)\n- Arrive in Denpasar\n- Kuta beach"
+    );
+    expect(message).toContain("**Day 2**\n- Ubud rice terraces");
+    expect(message).not.toContain("Flight");
+  });
+
+  it("marks days without activities as free", () => {
+    expect(itineraryToMessage([{ type: "daily_plan", activities: [] }])).toContain(
+      "**Day 1**\n- (free day)"
+    );
+  });
+});
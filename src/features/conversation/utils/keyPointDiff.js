@@ -0,0 +1,84 @@
+/**
+ * Split Markdown into blocks separated by blank lines. Fenced code blocks stay
+ * whole even when they contain blank lines.
+ */
+export const splitBlocks = (markdown) => {
+  const blocks = [];
+  let current = [];
+  let inFence = false;
+
+  String(markdown ?? "")
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .forEach((line) => {
+      if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+      if (!inFence && !line.trim()) {
+        if (current.length) blocks.push(current.join("\n"));
+        current = [];
+        return;
+      }
+      current.push(line);
+    });
+  if (current.length) blocks.push(current.join("\n"));
+  return blocks;
+};
+
+// Whitespace-only changes don't count as a change
+const normalize = (block) => block.replace(/\s+/g, " ").trim();
+
+/**
+ * Block-level diff of two Markdown texts (longest common subsequence).
+ *
+ * @returns {Array<{ text: string, status: "same"|"added"|"removed" }>} - In reading order,
+ *  removed blocks placed before what replaced them
+ */
+export const diffBlocks = (previous, next) => {
+  const before = splitBlocks(previous);
+  const after = splitBlocks(next);
+  const a = before.map(normalize);
+  const b = after.map(normalize);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      result.push({ text: after[j], status: "same" });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      result.push({ text: before[i], status: "removed" });
+      i++;
+    } else {
+      result.push({ text: after[j], status: "added" });
+      j++;
+    }
+  }
+  return result;
+};
+
+/**
+ * Counts of added and removed blocks, e.g. for a "3 changes" label.
+ */
+export const diffStats = (diff) => ({
+  added: diff.filter((block) => block.status === "added").length,
+  removed: diff.filter((block) => block.status === "removed").length,
+});
+
+/**
+ * Tailwind classes for a diff block by status.
+ */
+export const DIFF_BLOCK_CLASS = {
+  same: "",
+  added: "rounded-r border-l-4 border-emerald-400 bg-emerald-50 pl-3",
+  removed: "rounded-r border-l-4 border-red-300 bg-red-50 pl-3 text-gray-500 line-through",
+};
@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { diffBlocks, diffStats, splitBlocks } from "./keyPointDiff";
+
+describe("splitBlocks", () => {
+  it("splits on blank lines and CRLF alike", () => {
+    expect(splitBlocks("# Title\r\n\r\nFirst\nparagraph\n\n\nSecond")).toEqual([
+      "# Title",
+      "First\nparagraph",
+      "Second",
+    ]);
+  });
+
+  it("keeps fenced code blocks whole", () => {
+    expect(splitBlocks("Intro\n\n```\na\n\nb\n```\n\nOutro")).toEqual([
+      "Intro",
+      "```\na\n\nb\n```",
+      "Outro",
+    ]);
+  });
+
+  it("returns no blocks for empty input", () => {
+    expect(splitBlocks(null)).toEqual([]);
+  });
+});
+
+describe("diffBlocks", () => {
+  it("marks unchanged, added and removed blocks in reading order", () => {
+    const diff = diffBlocks("One\n\nTwo\n\nThree", "One\n\nTwo, revised\n\nThree\n\nFour");
+
+    expect(diff).toEqual([
+      { text: "One", status: "same" },
+      { text: "Two", status: "removed" },
+      { text: "Two, revised", status: "added" },
+      { text: "Three", status: "same" },
+      { text: "Four", status: "added" },
+    ]);
+  });
+
+  it("ignores whitespace-only changes", () => {
+    const diff = diffBlocks("Visit  Bali\nin May", "Visit Bali in May");
+
+    expect(diff).toEqual([{ text: "Visit Bali in May", status: "same" }]);
+  });
+
+  it("counts the changes", () => {
+    expect(diffStats(diffBlocks("A\n\nB", "A\n\nC\n\nD"))).toEqual({ added: 2, removed: 1 });
+  });
+});
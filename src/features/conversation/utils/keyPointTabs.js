@@ -0,0 +1,105 @@
+import {
+  countRenderedMatches,
+  queryPattern,
+  renderedTexts,
+} from "../../../shared/utils/markdownHighlight";
+
+const SNIPPET_RADIUS = 40;
+
+// Unlisted titles rank after every listed one
+const positionIn = (list, title) => {
+  const index = list.indexOf(title);
+  return index === -1 ? list.length : index;
+};
+
+/**
+ * Key points in display order: pinned tabs first, each group in the order the user
+ * arranged. Tabs the user hasn't placed yet keep the API order after those, with
+ * "Summary" hoisted to the front.
+ *
+ * @param {Array<{ title, detail }>} keyPoints
+ * @param {{ pinned: string[], order: string[] }} layout
+ */
+export const orderKeyPoints = (keyPoints = [], { pinned = [], order = [] } = {}) => {
+  const defaultOrder = [
+    ...keyPoints.filter((tab) => tab.title === "Summary"),
+    ...keyPoints.filter((tab) => tab.title !== "Summary"),
+  ];
+  // Array#sort is stable, so ties keep the default order
+  return defaultOrder.sort(
+    (a, b) =>
+      Number(!pinned.includes(a.title)) - Number(!pinned.includes(b.title)) ||
+      positionIn(order, a.title) - positionIn(order, b.title)
+  );
+};
+
+/**
+ * Move a tab before another one (to the end when `toTitle` is not listed) and
+ * return the new list of titles.
+ */
+export const moveTab = (titles, fromTitle, toTitle) => {
+  if (fromTitle === toTitle) return titles;
+  const without = titles.filter((title) => title !== fromTitle);
+  const target = without.indexOf(toTitle);
+  if (target === -1) return [...without, fromTitle];
+  return [...without.slice(0, target), fromTitle, ...without.slice(target)];
+};
+
+// Offset of the first match in the joined text nodes; like the highlighter, a match
+// never spans two nodes
+const firstMatch = (texts, pattern) => {
+  let offset = 0;
+  for (const text of texts) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(text);
+    if (match) return { index: offset + match.index, text: match[0] };
+    offset += text.length;
+  }
+  return null;
+};
+
+const oneLine = (text) => text.replace(/\s+/g, " ");
+
+/**
+ * Full-text search across key point details, over their rendered text so counts match
+ * the highlighted occurrences.
+ *
+ * @returns {Array<{ title, count, snippet: { before, match, after } | null }>} - Tabs with
+ *  matches only
+ */
+export const searchKeyPoints = (keyPoints = [], query) => {
+  const pattern = queryPattern(query);
+  if (!pattern) return [];
+
+  return keyPoints
+    .map((tab) => {
+      const count = countRenderedMatches(tab.detail, query);
+      if (!count) return null;
+
+      const texts = renderedTexts(tab.detail);
+      const first = firstMatch(texts, pattern);
+      if (!first) return { title: tab.title, count, snippet: null };
+      const text = texts.join("");
+      const start = Math.max(0, first.index - SNIPPET_RADIUS);
+      const end = first.index + first.text.length;
+      return {
+        title: tab.title,
+        count,
+        snippet: {
+          before: `${start > 0 ? "…" : ""}${oneLine(text.slice(start, first.index)).trimStart()}`,
+          match: oneLine(first.text),
+          after: `${oneLine(text.slice(end, end + SNIPPET_RADIUS)).trimEnd()}${
+            end + SNIPPET_RADIUS < text.length ? "…" : ""
+          }`,
+        },
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Chat message asking the assistant to refresh a single key point.
+ */
+export const regenerateTabMessage = (title) =>
+  `Please regenerate only the "${title}" section with fresh, up-to-date information. ` +
+  "Keep every other section as it is.";
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { searchKeyPoints } from "./keyPointTabs";
+
+const keyPoints = [
+  {
+    title: "Stay",
+    detail: "Hotels near  Shinjuku station.\n\nMore near [Shinjuku](https://x.jp).",
+  },
+  { title: "Food", detail: "**Ramen** in Shibuya" },
+];
+
+describe("searchKeyPoints", () => {
+  it("counts and quotes matches in the rendered text", () => {
+    expect(searchKeyPoints(keyPoints, "shinjuku")).toEqual([
+      {
+        title: "Stay",
+        count: 2,
+        snippet: {
+          before: "Hotels near ",
+          match: "Shinjuku",
+          after: " station. More near Shinjuku.",
+        },
+      },
+    ]);
+  });
+
+  it("does not search link URLs or Markdown syntax", () => {
+    expect(searchKeyPoints(keyPoints, "x.jp")).toEqual([]);
+    expect(searchKeyPoints(keyPoints, "**ramen")).toEqual([]);
+  });
+
+  it("handles queries with repeated whitespace", () => {
+    const [result] = searchKeyPoints(keyPoints, "near  Shinjuku");
+
+    expect(result).toMatchObject({ title: "Stay", count: 1 });
+    expect(result.snippet).toEqual({
+      before: "Hotels ",
+      match: "near Shinjuku",
+      after: " station. More near Shinjuku.",
+    });
+  });
+
+  it("returns nothing for a blank query", () => {
+    expect(searchKeyPoints(keyPoints, "  ")).toEqual([]);
+  });
+});
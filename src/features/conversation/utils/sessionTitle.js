@@ -0,0 +1,58 @@
+import { addDays, toDate } from "./tripExport";
+import { formatDate } from "./tripFormat";
+
+// Same limit as the sidebar's rename field
+const MAX_TITLE_LENGTH = 80;
+
+const clip = (title) =>
+  title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…` : title;
+
+const isoDay = (date) => (date ? date.toLocaleDateString("sv-SE") : "");
+
+const buildTitle = (from, destinations, startDate) => {
+  const places = destinations.filter(Boolean);
+  if (!places.length) return null;
+  const route = from ? `${from} → ${places.join(", ")}` : places.join(", ");
+  return clip(startDate ? `${route}, ${formatDate(startDate)}` : route);
+};
+
+/**
+ * Session name for a trip form submission, e.g. "Jakarta → Bali, Lombok, 3 Jun 2026".
+ * Null when the form has no destination.
+ */
+export const titleFromRequest = (data) =>
+  buildTitle(
+    data?.from?.trim(),
+    (data?.stops ?? []).map((stop) => stop?.location?.trim()),
+    data?.when && !data.when.flexible ? data.when.startDate : ""
+  );
+
+/**
+ * Destination and dates of a parsed summary (see `parseSummary`), for the session list.
+ * The end date is counted from the departure and duration when both are known.
+ *
+ * @returns {{ destination: string, startDate: string, endDate: string }}
+ */
+export const summaryDetails = (summary) => {
+  const planning = summary?.planning_details ?? {};
+  const start = toDate(planning.departure_date);
+  const days = Number(planning.duration_days);
+  const end = start && days > 0 ? addDays(start, days - 1) : null;
+  return {
+    destination: planning.destination_location?.trim() ?? "",
+    startDate: isoDay(start),
+    endDate: isoDay(end),
+  };
+};
+
+/**
+ * Session name for a session planned without the form, from its Summary key point.
+ */
+export const titleFromSummary = (summary) => {
+  const { destination, startDate } = summaryDetails(summary);
+  return buildTitle(
+    summary?.planning_details?.departure_location?.trim(),
+    [destination],
+    startDate
+  );
+};
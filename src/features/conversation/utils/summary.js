@@ -0,0 +1,209 @@
+import { formatMoney } from "./tripFormat";
+
+const CURRENCY_MARKERS = [
+  { currency: "SGD", pattern: /\bSGD\b|S\$/i },
+  { currency: "AUD", pattern: /\bAUD\b|A\$/i },
+  { currency: "MYR", pattern: /\bMYR\b|\bRM\s?\d/i },
+  { currency: "IDR", pattern: /\bIDR\b|\bRp\.?\s?\d/i },
+  { currency: "USD", pattern: /\bUSD\b|\$/i },
+  { currency: "EUR", pattern: /\bEUR\b|€/i },
+  { currency: "JPY", pattern: /\bJPY\b|¥/i },
+];
+
+const MULTIPLIERS = [
+  { value: 1e9, pattern: /\d\s*(billion|miliar|bn)\b/i },
+  { value: 1e6, pattern: /\d\s*(million|juta|jt|mn)\b/i },
+  { value: 1e3, pattern: /\d\s*(thousand|ribu|rb|k)\b/i },
+];
+
+const toNumber = (token) => {
+  const lastDot = token.lastIndexOf(".");
+  const lastComma = token.lastIndexOf(",");
+
+  // Both separators: whichever comes last is the decimal one ("1.500.000,50" / "1,500,000.50").
+  if (lastDot !== -1 && lastComma !== -1) {
+    const decimal = lastDot > lastComma ? "." : ",";
+    const thousands = decimal === "." ? "," : ".";
+    return Number(token.split(thousands).join("").replace(decimal, "."));
+  }
+
+  // One kind of separator: groups of exactly three digits are thousands ("1.500.000", "1,500").
+  const separator = lastDot !== -1 ? "." : lastComma !== -1 ? "," : null;
+  if (!separator) return Number(token);
+  const parts = token.split(separator);
+  const isGrouping = parts.length > 2 || parts[parts.length - 1].length === 3;
+  return isGrouping ? Number(parts.join("")) : Number(parts.join("."));
+};
+
+const isMoney = (value) => value !== null && typeof value === "object" && "amount" in value;
+
+/**
+ * Read an amount out of an AI budget string ("IDR 1.500.000", "$1,200.50", "Rp 2,5 juta").
+ * Ranges ("500.000 - 700.000") resolve to their first amount.
+ *
+ * @param {string|number|{ amount }} value - Raw budget or a money value from `parseSummary`
+ * @returns {number|null} - null when no amount can be found
+ */
+export const parseAmount = (value) => {
+  if (isMoney(value)) return parseAmount(value.amount);
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string") return null;
+
+  const token = value.match(/\d[\d.,]*/)?.[0]?.replace(/[.,]$/, "");
+  if (!token) return null;
+  const amount = toNumber(token);
+  if (!Number.isFinite(amount)) return null;
+
+  const multiplier = MULTIPLIERS.find(({ pattern }) => pattern.test(value))?.value ?? 1;
+  return amount * multiplier;
+};
+
+export const detectCurrency = (value) => {
+  if (isMoney(value)) return value.currency ?? detectCurrency(value.text);
+  if (typeof value !== "string") return null;
+  return CURRENCY_MARKERS.find(({ pattern }) => pattern.test(value))?.currency ?? null;
+};
+
+export const formatAmount = (amount, currency) => {
+  if (amount === null || amount === undefined) return "";
+  return currency ? formatMoney(amount, currency) : amount.toLocaleString("en-US");
+};
+
+/**
+ * Display text of a budget: what the AI wrote, else the formatted amount.
+ */
+export const moneyText = (value) => {
+  if (isMoney(value)) return value.text || formatAmount(value.amount, value.currency);
+  return typeof value === "string" || typeof value === "number" ? String(value) : "";
+};
+
+// "-IDR 200.000" or "over budget by ..." parse as positive amounts
+const OVER_BUDGET = /^\s*-|\b(over budget|exceed(?:s|ed)?|minus)\b/i;
+
+/**
+ * Remaining budget as a signed amount: negative when the AI says the trip is over budget.
+ *
+ * @returns {number|null} - null when no amount can be found
+ */
+export const parseRemaining = (value) => {
+  const amount = parseAmount(value);
+  if (amount === null) return null;
+  return amount > 0 && OVER_BUDGET.test(moneyText(value)) ? -amount : amount;
+};
+
+const COST_CATEGORIES = [
+  {
+    name: "Transport",
+    pattern: /flight|plane|airline|ticket|train|bus|ferry|ship|boat|car|taxi|transfer|transport/i,
+  },
+  {
+    name: "Accommodation",
+    pattern: /hotel|hostel|villa|resort|stay|accommodation|lodging|airbnb|room/i,
+  },
+  { name: "Food", pattern: /food|meal|dinner|lunch|breakfast|restaurant|culinary|eat/i },
+  { name: "Visa & Insurance", pattern: /visa|insurance|permit/i },
+];
+
+/**
+ * Spend category of a fixed-cost item, from its own `category` or its description.
+ */
+export const costCategory = (item) => {
+  if (typeof item?.category === "string" && item.category.trim()) return item.category.trim();
+  const text = `${item?.description ?? ""} ${item?.type ?? ""}`;
+  return COST_CATEGORIES.find(({ pattern }) => pattern.test(text))?.name ?? "Other";
+};
+
+export const activityText = (activity) => {
+  if (typeof activity === "string") return activity;
+  if (activity && typeof activity === "object") {
+    return activity.description ?? activity.name ?? activity.title ?? "";
+  }
+  return "";
+};
+
+/**
+ * Trimmed text of a primitive; "" for the objects the AI sometimes nests where text is expected.
+ */
+export const asText = (value) =>
+  typeof value === "string" || typeof value === "number" ? String(value).trim() : "";
+
+const itemLocations = (item) =>
+  [
+    item?.location,
+    item?.city,
+    item?.destination,
+    ...(Array.isArray(item?.locations) ? item.locations : []),
+  ]
+    .map(asText)
+    .filter(Boolean);
+
+/**
+ * Every place the summary (and the requested stops) mentions, without duplicates.
+ */
+export const collectLocations = (summary, stops = []) => {
+  const planning = summary?.planning_details ?? {};
+  const itinerary = Array.isArray(summary?.itinerary) ? summary.itinerary : [];
+  const activities = itinerary.flatMap((item) =>
+    Array.isArray(item?.activities) ? item.activities.filter((a) => a && typeof a === "object") : []
+  );
+
+  const names = [
+    asText(planning.departure_location),
+    asText(planning.destination_location),
+    ...stops.map((stop) => asText(stop?.location)),
+    ...itinerary.flatMap(itemLocations),
+    ...activities.flatMap(itemLocations),
+  ].filter(Boolean);
+
+  const seen = new Map();
+  names.forEach((name) => {
+    const key = name.toLowerCase();
+    if (!seen.has(key)) seen.set(key, name);
+  });
+  return [...seen.values()];
+};
+
+/**
+ * Numbers behind the budget gauge and spend charts.
+ * When the AI gives no remaining budget it is derived from the itemised costs.
+ *
+ * @returns {{ currency, total, spent, remaining, byCategory: Array<{name, value}>, byDay: Array<{name, value}> }}
+ */
+export const summarizeBudget = (summary) => {
+  const planning = summary?.planning_details ?? {};
+  const itinerary = Array.isArray(summary?.itinerary) ? summary.itinerary.filter(Boolean) : [];
+  const currency =
+    detectCurrency(planning.total_budget) ??
+    detectCurrency(summary?.remaining_budget) ??
+    itinerary.map((item) => detectCurrency(item.budget)).find(Boolean) ??
+    null;
+
+  const categories = new Map();
+  const byDay = [];
+  itinerary.forEach((item, index) => {
+    const amount = parseAmount(item.budget);
+    if (amount === null) return;
+    if (item.type === "daily_plan") {
+      byDay.push({ name: asText(item.day) || `Day ${index + 1}`, value: amount });
+      categories.set("Daily activities", (categories.get("Daily activities") ?? 0) + amount);
+      return;
+    }
+    const category = costCategory(item);
+    categories.set(category, (categories.get(category) ?? 0) + amount);
+  });
+
+  const byCategory = [...categories.entries()].map(([name, value]) => ({ name, value }));
+  const itemised = byCategory.reduce((sum, { value }) => sum + value, 0);
+  const total = parseAmount(planning.total_budget);
+  const givenRemaining = parseRemaining(summary?.remaining_budget);
+  let remaining = null;
+  if (givenRemaining !== null) {
+    remaining = givenRemaining;
+  } else if (total !== null && byCategory.length) {
+    remaining = total - itemised;
+  }
+  const spent =
+    total !== null && remaining !== null ? total - remaining : byCategory.length ? itemised : null;
+
+  return { currency, total, spent, remaining, byCategory, byDay };
+};
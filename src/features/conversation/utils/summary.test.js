@@ -0,0 +1,135 @@
+import { describe, expect, it } from "vitest";
+import {
+  costCategory,
+  detectCurrency,
+  parseAmount,
+  parseRemaining,
+  summarizeBudget,
+} from "./summary";
+
+describe("parseAmount", () => {
+  it.each([
+    ["IDR 1.500.000", 1500000],
+    ["$1,200.50", 1200.5],
+    ["Rp 1.500.000,50", 1500000.5],
+    ["Rp 2,5 juta", 2500000],
+    ["USD 3k", 3000],
+    ["500.000 - 700.000", 500000],
+    ["1,5", 1.5],
+    [1200, 1200],
+    [{ amount: "IDR 750.000" }, 750000],
+  ])("reads %j as %d", (value, amount) => {
+    expect(parseAmount(value)).toBe(amount);
+  });
+
+  it.each([["no budget"], [""], [null], [Number.NaN], [{}]])("returns null for %j", (value) => {
+    expect(parseAmount(value)).toBeNull();
+  });
+});
+
+describe("detectCurrency", () => {
+  it.each([
+    ["IDR 1.000", "IDR"],
+    ["Rp 50.000", "IDR"],
+    ["S$ 200", "SGD"],
+    ["$200", "USD"],
+    ["RM 80", "MYR"],
+    ["€90", "EUR"],
+    ["200", null],
+  ])("finds the currency of %j", (value, currency) => {
+    expect(detectCurrency(value)).toBe(currency);
+  });
+
+  it("prefers the currency of a money value", () => {
+    expect(detectCurrency({ amount: 1, currency: "JPY", text: "$1" })).toBe("JPY");
+  });
+});
+
+describe("parseRemaining", () => {
+  it("keeps a plain remaining budget positive", () => {
+    expect(parseRemaining("IDR 200.000")).toBe(200000);
+  });
+
+  it.each(["-IDR 200.000", "Over budget by IDR 200.000", "Exceeds the budget by IDR 200.000"])(
+    "reads %j as negative",
+    (value) => {
+      expect(parseRemaining(value)).toBe(-200000);
+    }
+  );
+
+  it("does not treat a dash inside the text as a minus sign", () => {
+    expect(parseRemaining("IDR 200.000 - 300.000")).toBe(200000);
+  });
+
+  it("keeps the sign of a money value", () => {
+    expect(parseRemaining({ text: "", amount: -50 })).toBe(-50);
+  });
+});
+
+describe("costCategory", () => {
+  it("uses the category given by the AI", () => {
+    expect(costCategory({ category: " Tours ", description: "Flight" })).toBe("Tours");
+  });
+
+  it.each([
+    ["Return flight", "Transport"],
+    ["Villa in Ubud", "Accommodation"],
+    ["Dinner cruise", "Food"],
+    ["Travel insurance", "Visa & Insurance"],
+    ["Souvenirs", "Other"],
+  ])("files %j under %s", (description, category) => {
+    expect(costCategory({ description })).toBe(category);
+  });
+});
+
+describe("summarizeBudget", () => {
+  const summary = {
+    planning_details: { total_budget: "IDR 10.000.000" },
+    itinerary: [
+      { type: "fixed_cost", description: "Flight", budget: "IDR 3.000.000" },
+      { type: "fixed_cost", description: "Hotel", budget: "IDR 2.000.000" },
+      { type: "daily_plan", day: "Day 1", budget: "IDR 1.000.000" },
+      { type: "daily_plan", budget: "IDR 500.000" },
+    ],
+  };
+
+  it("groups costs by category and day", () => {
+    const budget = summarizeBudget(summary);
+
+    expect(budget.currency).toBe("IDR");
+    expect(budget.byCategory).toEqual([
+      { name: "Transport", value: 3000000 },
+      { name: "Accommodation", value: 2000000 },
+      { name: "Daily activities", value: 1500000 },
+    ]);
+    expect(budget.byDay).toEqual([
+      { name: "Day 1", value: 1000000 },
+      { name: "Day 4", value: 500000 },
+    ]);
+  });
+
+  it("derives the remaining budget from the itemised costs", () => {
+    expect(summarizeBudget(summary)).toMatchObject({
+      total: 10000000,
+      spent: 6500000,
+      remaining: 3500000,
+    });
+  });
+
+  it("uses the remaining budget given by the AI, keeping its sign", () => {
+    const budget = summarizeBudget({ ...summary, remaining_budget: "-IDR 1.000.000" });
+
+    expect(budget).toMatchObject({ remaining: -1000000, spent: 11000000 });
+  });
+
+  it("handles a summary without budgets", () => {
+    expect(summarizeBudget({})).toEqual({
+      currency: null,
+      total: null,
+      spent: null,
+      remaining: null,
+      byCategory: [],
+      byDay: [],
+    });
+  });
+});
@@ -0,0 +1,258 @@
+import { z } from "zod";
+import { detectCurrency, parseAmount } from "./summary";
+import { createModuleLogger } from "../../../core/utils/logger";
+
+const log = createModuleLogger("TripSummary");
+
+/**
+ * Latest summary payload version this app understands.
+ * v0: bare details object, v1: `{ version?, details }` as sent by the assistant today.
+ */
+export const SUMMARY_VERSION = 1;
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const blankToUndefined = (value) =>
+  value === null || value === undefined || (typeof value === "string" && !value.trim())
+    ? undefined
+    : value;
+
+const optionalText = z.preprocess(
+  (value) => (typeof value === "number" ? String(value) : blankToUndefined(value)),
+  z.string().trim().optional()
+);
+
+// "5 days" / "2 adults" / 3 -> 3
+const optionalCount = z.preprocess((value) => {
+  const clean = blankToUndefined(value);
+  if (typeof clean !== "string") return clean;
+  const match = clean.match(/\d+/);
+  return match ? Number(match[0]) : clean;
+}, z.number().int().nonnegative().optional());
+
+/**
+ * Budget strings become `{ text, amount, currency }`; `text` keeps what the AI wrote.
+ */
+const moneySchema = z.preprocess(
+  (value) => {
+    const clean = blankToUndefined(value);
+    if (clean === undefined || isObject(clean)) return clean;
+    const text = String(clean).trim();
+    return { text, amount: parseAmount(text), currency: detectCurrency(text) };
+  },
+  z
+    .object({
+      text: z.string().default(""),
+      amount: z.number().nullable(),
+      currency: z.string().trim().toUpperCase().length(3).nullable().catch(null).default(null),
+    })
+    .refine((money) => money.amount !== null || money.text, { message: "No amount found" })
+    .optional()
+);
+
+const activitySchema = z.union([
+  z.string().trim().min(1),
+  z.looseObject({
+    name: optionalText,
+    description: optionalText,
+    title: optionalText,
+    location: optionalText,
+    cost: moneySchema,
+  }),
+]);
+
+const fixedCostSchema = z.looseObject({
+  type: z.literal("fixed_cost"),
+  description: z.string().trim().min(1, { message: "Description is missing" }),
+  category: optionalText,
+  budget: moneySchema,
+});
+
+const dailyPlanSchema = z.looseObject({
+  type: z.literal("daily_plan"),
+  day: optionalText,
+  date: optionalText,
+  location: optionalText,
+  activities: z.preprocess(
+    (value) => (typeof value === "string" ? [value] : Array.isArray(value) ? value : []),
+    z.array(activitySchema)
+  ),
+  budget: moneySchema,
+});
+
+const ITEM_TYPE_ALIASES = {
+  fixed: "fixed_cost",
+  fixed_costs: "fixed_cost",
+  cost: "fixed_cost",
+  daily: "daily_plan",
+  day: "daily_plan",
+  daily_plans: "daily_plan",
+};
+
+const toSnakeCase = (value) =>
+  value
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+
+// Older and sloppier payloads spell the type differently or leave it out.
+const normalizeItemType = (item) => {
+  if (!isObject(item)) return item;
+  const raw = typeof item.type === "string" ? toSnakeCase(item.type) : "";
+  const type =
+    ITEM_TYPE_ALIASES[raw] ??
+    (raw ||
+      (item.activities !== undefined || item.day !== undefined ? "daily_plan" : "fixed_cost"));
+  return { ...item, type };
+};
+
+export const itineraryItemSchema = z.preprocess(
+  normalizeItemType,
+  z.discriminatedUnion("type", [fixedCostSchema, dailyPlanSchema])
+);
+
+const planningDetailsShape = {
+  departure_location: optionalText,
+  destination_location: optionalText,
+  departure_date: optionalText,
+  return_date: optionalText,
+  duration_days: optionalCount,
+  number_of_people: optionalCount,
+  total_budget: moneySchema,
+};
+
+export const summaryDetailsSchema = z.looseObject({
+  trip_summary: optionalText,
+  planning_details: z.looseObject(planningDetailsShape).default({}),
+  itinerary: z.array(itineraryItemSchema).default([]),
+  remaining_budget: moneySchema,
+});
+
+const describeIssue = (issue) =>
+  issue.path.length ? `${issue.path.join(".")}: ${issue.message}` : issue.message;
+
+/**
+ * Pull a JSON object out of the key point text.
+ * Accepts plain JSON, JSON inside a Markdown code fence, or JSON surrounded by prose.
+ */
+export const recoverJson = (text) => {
+  if (isObject(text)) return text;
+  if (typeof text !== "string" || !text.trim()) return null;
+
+  const candidates = [text];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1]);
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate.trim());
+      if (isObject(parsed)) return parsed;
+    } catch {
+      // try the next candidate
+    }
+  }
+  return null;
+};
+
+const readEnvelope = (payload) => {
+  if (isObject(payload.details)) {
+    return { version: Number(payload.version) || 1, details: payload.details };
+  }
+  return { version: Number(payload.version) || 0, details: payload };
+};
+
+/**
+ * Validate the "Summary" key point section by section.
+ *
+ * Every section (and every itinerary item) is checked on its own so one bad
+ * field doesn't hide the rest of the summary; whatever could not be understood
+ * is dropped and listed in `issues`.
+ *
+ * @param {string|Object} detail - The key point's `detail`
+ * @returns {{ summary: Object|null, version: number|null, issues: Array<{ section: string, message: string }> }}
+ *  - `summary` is null when no JSON could be recovered at all
+ */
+export const parseSummary = (detail) => {
+  const payload = recoverJson(detail);
+  if (!payload) {
+    return {
+      summary: null,
+      version: null,
+      issues: [{ section: "Summary", message: "No summary data found" }],
+    };
+  }
+
+  const { version, details } = readEnvelope(payload);
+  const issues = [];
+  if (version > SUMMARY_VERSION) {
+    issues.push({
+      section: "Format",
+      message: `Summary format v${version} is newer than supported (v${SUMMARY_VERSION})`,
+    });
+  }
+
+  const planningInput = isObject(details.planning_details) ? details.planning_details : {};
+  const planning_details = { ...planningInput };
+  Object.entries(planningDetailsShape).forEach(([field, schema]) => {
+    const result = schema.safeParse(planningInput[field]);
+    if (result.success) {
+      planning_details[field] = result.data;
+    } else {
+      delete planning_details[field];
+      issues.push({
+        section: "Planning details",
+        message: `${field}: ${describeIssue(result.error.issues[0])}`,
+      });
+    }
+  });
+  if (details.planning_details !== undefined && !isObject(details.planning_details)) {
+    issues.push({ section: "Planning details", message: "Not an object" });
+  }
+
+  const itineraryInput = details.itinerary ?? [];
+  const itinerary = [];
+  if (Array.isArray(itineraryInput)) {
+    itineraryInput.forEach((item, index) => {
+      const result = itineraryItemSchema.safeParse(item);
+      if (result.success) {
+        itinerary.push(result.data);
+      } else {
+        issues.push({
+          section: `Itinerary item ${index + 1}`,
+          message: describeIssue(result.error.issues[0]),
+        });
+      }
+    });
+  } else {
+    issues.push({ section: "Itinerary", message: "Not a list" });
+  }
+
+  const trip_summary = optionalText.safeParse(details.trip_summary);
+  if (!trip_summary.success) issues.push({ section: "Trip summary", message: "Not text" });
+  const remaining_budget = moneySchema.safeParse(details.remaining_budget);
+  if (!remaining_budget.success) {
+    issues.push({
+      section: "Remaining budget",
+      message: describeIssue(remaining_budget.error.issues[0]),
+    });
+  }
+
+  const summary = summaryDetailsSchema.parse({
+    ...details,
+    trip_summary: trip_summary.success ? trip_summary.data : undefined,
+    planning_details,
+    itinerary,
+    remaining_budget: remaining_budget.success ? remaining_budget.data : undefined,
+  });
+
+  if (issues.length) {
+    log.warn("Summary key point did not fully validate", { version, issues });
+  }
+
+  return { summary, version, issues };
+};
+
+export default parseSummary;
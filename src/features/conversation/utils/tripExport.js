@@ -0,0 +1,242 @@
+import { activityText, asText, moneyText } from "./summary";
+
+const ICS_LINE_LIMIT = 75;
+
+const slugify = (value) =>
+  String(value ?? "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Base file name for exports, e.g. "trip-bali-2025-04-01".
+ */
+export const exportFileName = (summary) => {
+  const planning = summary?.planning_details ?? {};
+  const parts = ["trip", slugify(planning.destination_location), slugify(planning.departure_date)];
+  return parts.filter(Boolean).join("-");
+};
+
+// Revoking the URL right after the click can cancel the download in Firefox and Safari
+const REVOKE_DELAY_MS = 1000;
+
+/**
+ * Save generated content as a file, the same way `APIClient.download` saves server files.
+ */
+export const saveFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const link = document.createElement("a");
+  link.href = window.URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => window.URL.revokeObjectURL(link.href), REVOKE_DELAY_MS);
+};
+
+// SECTION: Markdown
+
+const dailyPlans = (summary) =>
+  (summary?.itinerary ?? []).filter((item) => item?.type === "daily_plan");
+
+/**
+ * Markdown version of a parsed summary (see `parseSummary`).
+ */
+export const summaryToMarkdown = (summary) => {
+  const planning = summary?.planning_details ?? {};
+  const lines = [];
+  if (summary?.trip_summary) lines.push(summary.trip_summary, "");
+
+  const details = [
+    ["From", planning.departure_location],
+    ["To", planning.destination_location],
+    ["Departure", planning.departure_date],
+    ["Duration", planning.duration_days && `${planning.duration_days} days`],
+    ["People", planning.number_of_people],
+    ["Total budget", moneyText(planning.total_budget)],
+    ["Remaining budget", moneyText(summary?.remaining_budget)],
+  ].filter(([, value]) => value);
+  if (details.length) {
+    lines.push(...details.map(([label, value]) => `- **${label}:** ${value}`), "");
+  }
+
+  const fixedCosts = (summary?.itinerary ?? []).filter((item) => item?.type === "fixed_cost");
+  if (fixedCosts.length) {
+    lines.push("### Fixed costs", "");
+    fixedCosts.forEach((item) => {
+      const budget = moneyText(item.budget);
+      lines.push(`- ${item.description}${budget ? ` — ${budget}` : ""}`);
+    });
+    lines.push("");
+  }
+
+  dailyPlans(summary).forEach((item, index) => {
+    const heading = [asText(item.day) || `Day ${index + 1}`, asText(item.date)]
+      .filter(Boolean)
+      .join(" — ");
+    lines.push(`### ${heading}`, "");
+    (item.activities ?? [])
+      .map(activityText)
+      .filter(Boolean)
+      .forEach((a) => lines.push(`- ${a}`));
+    const budget = moneyText(item.budget);
+    if (budget) lines.push("", `_Budget: ${budget}_`);
+    lines.push("");
+  });
+
+  return lines.join("\n").trim();
+};
+
+/**
+ * All key point tabs as one Markdown document. The Summary tab is written out
+ * from its parsed data when available instead of the raw JSON.
+ *
+ * @param {Array<{ title, detail }>} keyPoints
+ * @param {{ title?: string, summary?: Object }} options
+ */
+export const keyPointsToMarkdown = (keyPoints = [], { title = "Trip plan", summary } = {}) => {
+  const sections = keyPoints.map((tab) => {
+    const body =
+      tab.title === "Summary" && summary ? summaryToMarkdown(summary) : String(tab.detail ?? "");
+    return `## ${tab.title}\n\n${body.trim()}`;
+  });
+  return [`# ${title}`, ...sections].join("\n\n") + "\n";
+};
+
+// SECTION: iCalendar
+
+export const toDate = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  // Plain ISO dates are local calendar days, not UTC midnight
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const icsDate = (date) =>
+  `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, "0")}${String(
+    date.getDate()
+  ).padStart(2, "0")}`;
+
+const icsTimestamp = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const escapeIcs = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let current = "";
+  for (const char of line) {
+    if (encoder.encode(current + char).length > ICS_LINE_LIMIT) {
+      chunks.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+/**
+ * Date of each daily plan: its own date, else counted on from the departure date.
+ */
+const datedDays = (summary) => {
+  const departure = toDate(summary?.planning_details?.departure_date);
+  return dailyPlans(summary).map((item, index) => ({
+    item,
+    index,
+    date: toDate(item.date) ?? (departure ? addDays(departure, index) : null),
+  }));
+};
+
+/**
+ * iCalendar file with all-day events for the itinerary.
+ *
+ * @param {Object} summary - Parsed summary
+ * @param {{ granularity?: "day"|"activity", uidPrefix?: string, now?: Date }} options
+ * @returns {{ content: string, eventCount: number, skipped: number }}
+ *  - `skipped` counts days without a usable date
+ */
+export const buildIcs = (
+  summary,
+  { granularity = "day", uidPrefix = "trip", now = new Date() } = {}
+) => {
+  const destination = summary?.planning_details?.destination_location;
+  const stamp = icsTimestamp(now);
+  const days = datedDays(summary);
+  const events = [];
+
+  days
+    .filter(({ date }) => date)
+    .forEach(({ item, index, date }) => {
+      const start = icsDate(date);
+      const end = icsDate(addDays(date, 1));
+      const activities = (item.activities ?? []).map(activityText).filter(Boolean);
+      const dayLabel = item.day || `Day ${index + 1}`;
+      const location = item.location ?? destination;
+
+      const entries =
+        granularity === "activity" && activities.length
+          ? activities.map((activity, i) => ({
+              uid: `${index}-${i}`,
+              title: activity,
+              description: dayLabel,
+            }))
+          : [
+              {
+                uid: `${index}`,
+                title: destination ? `${dayLabel}: ${destination}` : dayLabel,
+                description: [
+                  ...activities.map((activity) => `- ${activity}`),
+                  moneyText(item.budget) && `Budget: ${moneyText(item.budget)}`,
+                ]
+                  .filter(Boolean)
+                  .join("\n"),
+              },
+            ];
+
+      entries.forEach((entry) => {
+        events.push(
+          [
+            "BEGIN:VEVENT",
+            `UID:${uidPrefix}-${entry.uid}@travelmind`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${start}`,
+            `DTEND;VALUE=DATE:${end}`,
+            `SUMMARY:${escapeIcs(entry.title)}`,
+            entry.description && `DESCRIPTION:${escapeIcs(entry.description)}`,
+            location && `LOCATION:${escapeIcs(location)}`,
+            "END:VEVENT",
+          ].filter(Boolean)
+        );
+      });
+    });
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//TravelMind//Trip Planner//EN",
+    "CALSCALE:GREGORIAN",
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+
+  return {
+    content: lines.map(foldLine).join("\r\n") + "\r\n",
+    eventCount: events.length,
+    skipped: days.filter(({ date }) => !date).length,
+  };
+};
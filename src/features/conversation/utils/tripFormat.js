@@ -0,0 +1,102 @@
+import { TRANSPORT_OPTIONS } from "./validation";
+
+const FLEXIBLE_LABEL = "flexible / not sure";
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+export const formatMoney = (amount, currency = "IDR") => {
+  if (amount === undefined || amount === null || amount === "") return "";
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  } catch {
+    return `${currency} ${amount}`;
+  }
+};
+
+export const formatDate = (iso) => {
+  if (!iso) return "";
+  const date = new Date(`${iso}T00:00:00`);
+  if (Number.isNaN(date.getTime())) return iso;
+  return date.toLocaleDateString("en-GB", { day: "numeric", month: "short", year: "numeric" });
+};
+
+/**
+ * Display label of a transport mode ("ferry" -> "Ferry"); unknown modes are shown as given.
+ */
+export const transportLabel = (mode) =>
+  TRANSPORT_OPTIONS.find((option) => option.value === mode)?.label ?? mode;
+
+export const describeStop = (stop) => {
+  const details = [];
+  if (stop.nights) details.push(plural(stop.nights, "night"));
+  if (stop.transport) details.push(`by ${transportLabel(stop.transport)}`);
+  return details.length ? `${stop.location} (${details.join(", ")})` : stop.location;
+};
+
+export const describeRoute = (data) => {
+  const route = [data.from, ...(data.stops ?? []).map(describeStop)];
+  if (data.returnToOrigin) route.push(data.from);
+  return route.join(" → ");
+};
+
+export const describeWhen = (when) => {
+  if (!when || when.flexible) return FLEXIBLE_LABEL;
+  return `${formatDate(when.startDate)} – ${formatDate(when.endDate)}`;
+};
+
+export const describeDuration = (duration) => {
+  if (!duration || duration.flexible) return FLEXIBLE_LABEL;
+  return plural(duration.value, duration.unit === "weeks" ? "week" : "day");
+};
+
+export const describeParty = (party) => {
+  if (!party || party.flexible) return FLEXIBLE_LABEL;
+  const parts = [plural(party.adults, "adult")];
+  if (party.children) parts.push(party.children === 1 ? "1 child" : `${party.children} children`);
+  if (party.infants) parts.push(plural(party.infants, "infant"));
+  return parts.join(", ");
+};
+
+export const describeTransportation = (transportation) => {
+  if (!transportation || transportation.flexible) return FLEXIBLE_LABEL;
+  return transportation.modes.map(transportLabel).join(", ");
+};
+
+export const describeBudget = (budget) => {
+  if (!budget || budget.flexible) return FLEXIBLE_LABEL;
+  return formatMoney(budget.amount, budget.currency);
+};
+
+/**
+ * Render validated trip form values as plain text the AI (and humans) can read.
+ *
+ * @param {Object} data - Output of `conversationSchema`
+ * @returns {string}
+ */
+export const describeTrip = (data) =>
+  [
+    `From: ${data.from}`,
+    `To: ${(data.stops ?? []).map((stop) => stop.location).join(", ")}`,
+    `Route: ${describeRoute(data)}`,
+    `When: ${describeWhen(data.when)}`,
+    `Duration: ${describeDuration(data.duration)}`,
+    `Travellers: ${describeParty(data.party)}`,
+    `Transportation: ${describeTransportation(data.transportation)}`,
+    `Budget: ${describeBudget(data.budget)}`,
+    `Preference: ${data.preference}`,
+  ].join("\n");
+
+/**
+ * Build the message body posted when a planning session starts.
+ * Carries the structured values alongside the human-readable rendering.
+ */
+export const buildTripMessage = (data) => ({
+  ...data,
+  // Single-destination field kept for consumers that predate multi-stop trips
+  to: (data.stops ?? []).map((stop) => stop.location).join(" → "),
+  description: describeTrip(data),
+});
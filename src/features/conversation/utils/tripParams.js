@@ -0,0 +1,135 @@
+import { addDays, toDate } from "./tripExport";
+import {
+  TRANSPORT_OPTIONS,
+  conversationDefaultValues,
+  conversationSchema,
+  toFormValues,
+} from "./validation";
+
+const FLEXIBLE_SECTIONS = ["when", "duration", "party", "transportation", "budget"];
+
+const splitList = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const isTransportMode = (mode) => TRANSPORT_OPTIONS.some((option) => option.value === mode);
+
+/**
+ * Query parameters understood by the trip form and the form field each one fills, e.g.
+ * `/?from=Jakarta&to=Tokyo,Kyoto&start=2025-04-01&duration=5&people=2&transport=train`
+ * `&budget=20000000&preference=food&autosubmit=1`
+ * Reading a value returns false when part of it had to be left out.
+ */
+const PARAM_READERS = {
+  from: { field: "from", read: (value, values) => (values.from = value) },
+  to: {
+    field: "stops",
+    read: (value, values) => (values.stops = splitList(value).map((location) => ({ location }))),
+  },
+  start: { field: "when", read: (value, values) => (values.when.startDate = value) },
+  end: { field: "when", read: (value, values) => (values.when.endDate = value) },
+  duration: { field: "duration", read: (value, values) => (values.duration.value = value) },
+  unit: { field: "duration", read: (value, values) => (values.duration.unit = value) },
+  people: { field: "party", read: (value, values) => (values.party.adults = value) },
+  adults: { field: "party", read: (value, values) => (values.party.adults = value) },
+  children: { field: "party", read: (value, values) => (values.party.children = value) },
+  infants: { field: "party", read: (value, values) => (values.party.infants = value) },
+  transport: {
+    field: "transportation",
+    read: (value, values) => {
+      const modes = splitList(value);
+      values.transportation.modes = modes.filter(isTransportMode);
+      return values.transportation.modes.length === modes.length;
+    },
+  },
+  budget: { field: "budget", read: (value, values) => (values.budget.amount = value) },
+  currency: {
+    field: "budget",
+    read: (value, values) => (values.budget.currency = value.toUpperCase()),
+  },
+  preference: { field: "preference", read: (value, values) => (values.preference = value) },
+  flexible: {
+    field: null,
+    read: (value, values) =>
+      splitList(value)
+        .filter((section) => FLEXIBLE_SECTIONS.includes(section))
+        .forEach((section) => (values[section].flexible = true)),
+  },
+};
+
+export const AUTO_SUBMIT_PARAM = "autosubmit";
+
+export const TRIP_PARAM_KEYS = [...Object.keys(PARAM_READERS), AUTO_SUBMIT_PARAM];
+
+export const hasTripParams = (searchParams) =>
+  Object.keys(PARAM_READERS).some((key) => searchParams.get(key)?.trim());
+
+// The return date counted from the departure and duration, as `summaryDetails` does
+const fillReturnDate = ({ when, duration }) => {
+  const start = toDate(when.startDate);
+  const days = Number(duration.value) * (duration.unit === "weeks" ? 7 : 1);
+  if (when.endDate || !start || !Number.isInteger(days) || days < 1) return;
+  when.endDate = addDays(start, days - 1).toLocaleDateString("sv-SE");
+};
+
+const isFilled = (value) =>
+  value !== undefined && value !== null && value !== "" && !(Array.isArray(value) && !value.length);
+
+// Value of the form field an issue points at, e.g. ["when", "endDate"]
+const valueAt = (values, path) => path.reduce((value, key) => value?.[key], values);
+
+/**
+ * Read trip form values from URL query parameters.
+ *
+ * Values are checked against `conversationSchema`: a field whose given values
+ * don't pass is left at its default and reported in `rejected`. Transport modes
+ * the form doesn't know are dropped and the field reported, the other modes
+ * kept. Values that were simply not provided are fine, the user fills them in
+ * (e.g. a `start` without `end` or `duration`). Without `end`, the return date
+ * is counted from `start` and `duration`.
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {{ values: Object, rejected: string[], complete: boolean, autoSubmit: boolean }}
+ *  - `complete` is true when the values pass the whole schema and can be submitted as is
+ */
+export const parseTripParams = (searchParams) => {
+  const values = structuredClone(conversationDefaultValues);
+  const provided = new Set();
+  const trimmed = new Set();
+
+  Object.entries(PARAM_READERS).forEach(([key, { field, read }]) => {
+    const value = searchParams.get(key)?.trim();
+    if (!value) return;
+    if (read(value, values) === false) trimmed.add(field);
+    if (field) provided.add(field);
+  });
+  fillReturnDate(values);
+
+  const result = toFormValues(values);
+  const firstParse = conversationSchema.safeParse(result);
+  const invalid = firstParse.success
+    ? []
+    : [
+        ...new Set(
+          firstParse.error.issues
+            .filter((issue) => isFilled(valueAt(result, issue.path)))
+            .map((issue) => issue.path[0])
+            .filter((field) => provided.has(field))
+        ),
+      ];
+
+  invalid.forEach((field) => {
+    result[field] = structuredClone(conversationDefaultValues[field]);
+  });
+  const rejected = [...new Set([...invalid, ...trimmed])];
+
+  const autoSubmitValue = searchParams.get(AUTO_SUBMIT_PARAM);
+  return {
+    values: result,
+    rejected,
+    complete: conversationSchema.safeParse(result).success,
+    autoSubmit: autoSubmitValue === "1" || autoSubmitValue === "true",
+  };
+};
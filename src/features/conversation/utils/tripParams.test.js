@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { parseTripParams } from "./tripParams";
+
+const parse = (search) => parseTripParams(new URLSearchParams(search));
+
+describe("parseTripParams", () => {
+  it("reads the documented example as a complete trip", () => {
+    const result = parse(
+      "?from=Jakarta&to=Tokyo,Kyoto&start=2025-04-01&duration=5&people=2&transport=train" +
+        "&budget=20000000&preference=food&autosubmit=1"
+    );
+
+    expect(result).toMatchObject({ rejected: [], complete: true, autoSubmit: true });
+    expect(result.values).toMatchObject({
+      from: "Jakarta",
+      stops: [{ location: "Tokyo" }, { location: "Kyoto" }],
+      when: { flexible: false, startDate: "2025-04-01", endDate: "2025-04-05" },
+      duration: { value: "5", unit: "days" },
+      party: { adults: "2" },
+      transportation: { modes: ["train"] },
+    });
+  });
+
+  it("counts the return date in weeks", () => {
+    const { values } = parse("?start=2025-04-01&duration=2&unit=weeks");
+
+    expect(values.when.endDate).toBe("2025-04-14");
+  });
+
+  it("keeps a start date without an end date or duration for the user to finish", () => {
+    const { values, rejected, complete } = parse("?from=Jakarta&to=Tokyo&start=2025-04-01");
+
+    expect(rejected).toEqual([]);
+    expect(complete).toBe(false);
+    expect(values.when).toEqual({ flexible: false, startDate: "2025-04-01", endDate: "" });
+  });
+
+  it("keeps an explicit end date", () => {
+    const { values } = parse("?start=2025-04-01&end=2025-04-03&duration=5");
+
+    expect(values.when.endDate).toBe("2025-04-03");
+  });
+
+  it("resets a field whose values don't pass", () => {
+    const { values, rejected } = parse("?start=2025-04-05&end=2025-04-01&people=0");
+
+    expect(rejected).toEqual(["when", "party"]);
+    expect(values.when).toEqual({ flexible: false, startDate: "", endDate: "" });
+    expect(values.party.adults).toBe(1);
+  });
+
+  it("drops only the transport modes the form doesn't know", () => {
+    const { values, rejected } = parse("?transport=plane,train,ferry");
+
+    expect(values.transportation.modes).toEqual(["train", "ferry"]);
+    expect(rejected).toEqual(["transportation"]);
+  });
+
+  it("marks listed sections flexible", () => {
+    const { values } = parse("?flexible=when,budget,unknown");
+
+    expect(values.when.flexible).toBe(true);
+    expect(values.budget.flexible).toBe(true);
+  });
+});
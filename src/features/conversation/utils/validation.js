@@ -1,32 +1,191 @@
 import { z } from "zod";
 
-export const conversationSchema = z.object({
-  from: z
-    .string()
-    .trim()
-    .min(2, { message: "Origin is required and must be at least 2 characters" })
-    .max(100, { message: "Origin must not exceed 100 characters" }),
+export const DURATION_UNITS = ["days", "weeks"];
+
+export const CURRENCIES = ["IDR", "USD", "EUR", "JPY", "SGD", "MYR", "AUD"];
+
+export const TRANSPORT_OPTIONS = [
+  { value: "flight", label: "Flight" },
+  { value: "train", label: "Train" },
+  { value: "bus", label: "Bus" },
+  { value: "car", label: "Car" },
+  { value: "ferry", label: "Ferry" },
+  { value: "motorbike", label: "Motorbike" },
+];
+
+const TRANSPORT_VALUES = TRANSPORT_OPTIONS.map((option) => option.value);
+
+// Empty inputs come through as "" (or NaN with valueAsNumber), treat them as "not filled".
+const optionalNumber = (schema) =>
+  z.preprocess(
+    (val) =>
+      val === "" || val === null || val === undefined || Number.isNaN(val)
+        ? undefined
+        : Number(val),
+    schema.optional()
+  );
+
+// Numbers of a field that can be marked flexible; the range checks run in `checkExact`
+const flexibleNumber = optionalNumber(z.number({ message: "Must be a number" }));
 
-  to: z
+// Check exact values against `schemas` unless the user marked the field flexible;
+// false when flexible or invalid
+const checkExact = (val, ctx, schemas) => {
+  if (val.flexible) return false;
+  let valid = true;
+  Object.entries(schemas).forEach(([key, schema]) => {
+    const result = schema.safeParse(val[key]);
+    if (result.success) return;
+    valid = false;
+    ctx.addIssue({ code: "custom", path: [key], message: result.error.issues[0].message });
+  });
+  return valid;
+};
+
+const whenSchema = z
+  .object({
+    flexible: z.boolean().default(false),
+    startDate: z.string().trim().default(""),
+    endDate: z.string().trim().default(""),
+  })
+  .superRefine((val, ctx) => {
+    if (val.flexible) return;
+    if (!val.startDate) {
+      ctx.addIssue({ code: "custom", path: ["startDate"], message: "Departure date is required" });
+    }
+    if (!val.endDate) {
+      ctx.addIssue({ code: "custom", path: ["endDate"], message: "Return date is required" });
+    }
+    if (val.startDate && val.endDate && val.endDate < val.startDate) {
+      ctx.addIssue({
+        code: "custom",
+        path: ["endDate"],
+        message: "Return date must be on or after the departure date",
+      });
+    }
+  });
+
+const durationValue = z
+  .number({ message: "Duration is required" })
+  .int({ message: "Duration must be a whole number" })
+  .min(1, { message: "Duration must be at least 1" })
+  .max(365, { message: "Duration must not exceed 365" });
+
+const durationSchema = z
+  .object({
+    flexible: z.boolean().default(false),
+    value: flexibleNumber,
+    unit: z.enum(DURATION_UNITS).default("days"),
+  })
+  .superRefine((val, ctx) => {
+    checkExact(val, ctx, { value: durationValue });
+  });
+
+const travellerCount = (label) =>
+  z
+    .number({ message: `${label} must be a number` })
+    .int({ message: `${label} must be a whole number` })
+    .min(0, { message: `${label} cannot be negative` })
+    .max(50, { message: `${label} must not exceed 50` })
+    .optional();
+
+const partySchema = z
+  .object({
+    flexible: z.boolean().default(false),
+    adults: flexibleNumber,
+    children: flexibleNumber,
+    infants: flexibleNumber,
+  })
+  .superRefine((val, ctx) => {
+    const valid = checkExact(val, ctx, {
+      adults: travellerCount("Adults"),
+      children: travellerCount("Children"),
+      infants: travellerCount("Infants"),
+    });
+    if (!valid) return;
+    if (!val.adults) {
+      ctx.addIssue({ code: "custom", path: ["adults"], message: "At least 1 adult is required" });
+      return;
+    }
+    if ((val.infants ?? 0) > val.adults) {
+      ctx.addIssue({
+        code: "custom",
+        path: ["infants"],
+        message: "Each infant must travel with an adult",
+      });
+    }
+  });
+
+const budgetAmount = z
+  .number({ message: "Estimated budget is required" })
+  .positive({ message: "Budget must be greater than 0" });
+
+const budgetSchema = z
+  .object({
+    flexible: z.boolean().default(false),
+    amount: flexibleNumber,
+    currency: z.enum(CURRENCIES).default("IDR"),
+  })
+  .superRefine((val, ctx) => {
+    checkExact(val, ctx, { amount: budgetAmount });
+  });
+
+const transportationSchema = z
+  .object({
+    flexible: z.boolean().default(false),
+    // A single checked checkbox may come through as a plain string.
+    modes: z.preprocess(
+      (val) => (Array.isArray(val) ? val : val ? [val] : []),
+      z.array(z.enum(TRANSPORT_VALUES))
+    ),
+  })
+  .superRefine((val, ctx) => {
+    if (!val.flexible && val.modes.length === 0) {
+      ctx.addIssue({
+        code: "custom",
+        path: ["modes"],
+        message: "Pick at least one transportation mode",
+      });
+    }
+  });
+
+export const MAX_STOPS = 10;
+
+const stopSchema = z.object({
+  location: z
     .string()
     .trim()
     .min(2, { message: "Destination is required and must be at least 2 characters" })
     .max(100, { message: "Destination must not exceed 100 characters" }),
+  nights: optionalNumber(
+    z
+      .number({ message: "Nights must be a number" })
+      .int({ message: "Nights must be a whole number" })
+      .min(1, { message: "Stay at least 1 night" })
+      .max(90, { message: "Nights must not exceed 90" })
+  ),
+  transport: z.union([z.enum(TRANSPORT_VALUES), z.literal("")]).default(""),
+});
 
-  when: z
-    .string()
-    .trim()
-    .min(3, { message: "Travel date is required" })
-    .max(100, { message: "Travel date must not exceed 100 characters" }),
+export const emptyStop = { location: "", nights: "", transport: "" };
 
-  duration: z
+export const conversationSchema = z.object({
+  from: z
     .string()
     .trim()
-    .min(1, { message: "Duration is required" })
-    .max(50, { message: "Duration must not exceed 50 characters" })
-    .refine((val) => /\d/.test(val), {
-      message: "Duration must include a number (e.g., '7 days')",
-    }),
+    .min(2, { message: "Origin is required and must be at least 2 characters" })
+    .max(100, { message: "Origin must not exceed 100 characters" }),
+
+  stops: z
+    .array(stopSchema)
+    .min(1, { message: "Add at least one destination" })
+    .max(MAX_STOPS, { message: `A trip can have at most ${MAX_STOPS} stops` }),
+
+  returnToOrigin: z.boolean().default(true),
+
+  when: whenSchema,
+
+  duration: durationSchema,
 
   preference: z
     .string()
@@ -34,21 +193,71 @@ export const conversationSchema = z.object({
     .min(3, { message: "Preference is required" })
     .max(200, { message: "Preference must not exceed 200 characters" }),
 
-  numberOfPeople: z
-    .string()
-    .trim()
-    .min(1, { message: "Number of people  is required and must be at least 1 characters" }),
+  party: partySchema,
 
-  transportation: z
-    .string()
-    .trim()
-    .min(2, { message: "Transportation is required and must be at least 2 characters" })
-    .max(50, { message: "Transportation must not exceed 50 characters" }),
+  transportation: transportationSchema,
 
-  estimatedBudget: z
-    .string()
-    .trim()
-    .min(2, { message: "Estimated budged is required and must be at least 2 characters" }),
+  budget: budgetSchema,
 });
 
+/**
+ * Wizard steps and the slice of `conversationSchema` each one validates
+ */
+export const conversationSteps = [
+  { id: "where", label: "Where", fields: ["from", "stops", "returnToOrigin"] },
+  { id: "when", label: "When", fields: ["when", "duration"] },
+  { id: "who", label: "Who", fields: ["party"] },
+  { id: "how", label: "How", fields: ["transportation"] },
+  { id: "budget", label: "Budget & Preferences", fields: ["budget", "preference"] },
+  { id: "review", label: "Review", fields: [] },
+];
+
+export const conversationDefaultValues = {
+  from: "",
+  stops: [emptyStop],
+  returnToOrigin: true,
+  when: { flexible: false, startDate: "", endDate: "" },
+  duration: { flexible: false, value: "", unit: "days" },
+  preference: "",
+  party: { flexible: false, adults: 1, children: 0, infants: 0 },
+  transportation: { flexible: false, modes: [] },
+  budget: { flexible: false, amount: "", currency: "IDR" },
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Fill gaps in `input` from `defaults`, ignoring values of the wrong shape.
+const mergeWithDefaults = (defaults, input) => {
+  if (!isPlainObject(input)) return defaults;
+  return Object.fromEntries(
+    Object.entries(defaults).map(([key, fallback]) => {
+      const value = input[key];
+      if (isPlainObject(fallback)) return [key, mergeWithDefaults(fallback, value)];
+      if (Array.isArray(fallback)) return [key, Array.isArray(value) ? value : fallback];
+      if (value === undefined || value === null) return [key, fallback];
+      if (typeof fallback === "boolean" && typeof value !== "boolean") return [key, fallback];
+      return [key, value];
+    })
+  );
+};
+
+/**
+ * Turn saved trip inputs (a past request, template or draft) into form values.
+ * Requests saved before multi-stop trips carry a single `to` instead of `stops`.
+ *
+ * @param {Object} values - Partial or previously validated trip values
+ * @returns {Object} - Values safe to pass to `reset()`
+ */
+export const toFormValues = (values = {}) => {
+  const merged = mergeWithDefaults(conversationDefaultValues, values);
+  const stops =
+    Array.isArray(values?.stops) && values.stops.length
+      ? values.stops
+      : typeof values?.to === "string" && values.to
+        ? [{ location: values.to }]
+        : conversationDefaultValues.stops;
+  return { ...merged, stops: stops.map((stop) => mergeWithDefaults(emptyStop, stop)) };
+};
+
 export default conversationSchema;
@@ -1,8 +1,11 @@
 import { Plane, Sparkles, Map, Calendar } from "lucide-react";
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
 
 function MainPage() {
     const navigate = useNavigate();
+    const location = useLocation();
+    // Keep the page that sent the user here (e.g. a prefilled trip link) for after login
+    const goToLogin = () => navigate("/login", { state: location.state });
 
     return (
         <div className="min-h-screen bg-background">
@@ -14,10 +17,10 @@ function MainPage() {
                         <span className="text-xl font-bold text-foreground">TravelMind</span>
                     </div>
                     <div className="flex items-center gap-4">
-                        <button className="hover:cursor-pointer hover:bg-primary-light hover:text-white rounded-md px-4 py-2" variant="ghost" onClick={() => navigate("/login")}>
+                        <button className="hover:cursor-pointer hover:bg-primary-light hover:text-white rounded-md px-4 py-2" variant="ghost" onClick={goToLogin}>
                             Login
                         </button>
-                        <button type="button" className="bg-primary text-primary-foreground rounded-md px-4 py-2 hover:bg-primary/90 cursor-pointer" onClick={() => navigate("/login")}>Get Started</button>
+                        <button type="button" className="bg-primary text-primary-foreground rounded-md px-4 py-2 hover:bg-primary/90 cursor-pointer" onClick={goToLogin}>Get Started</button>
                     </div>
                 </div>
             </header>
@@ -41,7 +44,7 @@ function MainPage() {
                     </p>
 
                     <div className="flex items-center justify-center gap-4 pt-6">
-                        <button size="lg" className="bg-primary text-primary-foreground rounded-md px-4 py-2 hover:bg-primary/90 cursor-pointer" onClick={() => navigate("/app")}>
+                        <button size="lg" className="bg-primary text-primary-foreground rounded-md px-4 py-2 hover:bg-primary/90 cursor-pointer" onClick={goToLogin}>
                             Start Planning
                         </button>
                         <button size="lg" className="border border-primary-light text-primary rounded-md px-4 py-2 hover:bg-primary-light hover:text-white cursor-pointer" variant="outline">
@@ -1,18 +1,138 @@
 import api from "../../core/api";
+import { logger } from "../../core/utils/logger";
 
-export const getListConvo = async ({ limit = 10, page = 1 }) => {
-    const data = await api.getPaginated("/conversations?limit=" + limit + "&page=" + page);
+/**
+ * One page of the user's sessions. Filters left empty are not sent.
+ * `dateFrom`/`dateTo` (YYYY-MM-DD) bound the creation date; `signal` aborts a superseded search.
+ */
+export const getListConvo = async ({
+    limit = 10,
+    page = 1,
+    archived = false,
+    search = "",
+    destination = "",
+    dateFrom = "",
+    dateTo = "",
+    hasSummary = false,
+    signal,
+}) => {
+    const params = { limit, page };
+    if (archived) params.archived = true;
+    if (search) params.q = search;
+    if (destination) params.destination = destination;
+    if (dateFrom) params.dateFrom = dateFrom;
+    if (dateTo) params.dateTo = dateTo;
+    if (hasSummary) params.hasSummary = true;
+    const data = await api.getPaginated("/conversations", { params, signal });
     return data;
 };
 
-export const pushMessage = async (message) => {
-    const sessionId = localStorage.getItem("sessionId");
-    const data = await api.post("/conversations/" + sessionId, { message: message });
+export const renameConvo = async ({ sessionId, name }) => {
+    const data = await api.patch("/conversations/" + sessionId, { name });
     return data;
 };
 
-export const getEachConversation = async () => {
-    const sessionId = localStorage.getItem("sessionId");
+export const archiveConvo = async ({ sessionId, archived }) => {
+    const data = await api.patch("/conversations/" + sessionId, { archived });
+    return data;
+};
+
+export const deleteConvo = async ({ sessionId }) => {
+    const data = await api.delete("/conversations/" + sessionId);
+    return data;
+};
+
+/**
+ * `turn` tells the server the message replaces earlier turns:
+ * - { regenerate: true } asks for a new answer to the last user message
+ * - { truncateFrom: index } drops the history from that message on (edit-and-resend)
+ */
+export const pushMessage = async (message, options = {}) => {
+    const { sessionId, turn, ...requestOptions } = options;
+    const data = await api.post(
+        "/conversations/" + sessionId,
+        { message: message, ...turn },
+        requestOptions
+    );
+    return data;
+};
+
+// No streaming endpoint on the server, or no streamed fetch in this browser
+const STREAM_UNSUPPORTED = [404, 405, 501];
+const isStreamUnsupported = (error) =>
+    STREAM_UNSUPPORTED.includes(error.details?.status) ||
+    error.details?.originalError?.code === "ERR_NOT_SUPPORT";
+
+/**
+ * Send a chat message and stream the reply, calling `onToken(chunk, textSoFar)` as it arrives.
+ * Falls back to `pushMessage` when the server can't stream.
+ * Aborting `signal` stops the reply and resolves with what arrived so far.
+ * `turn` is passed on as in `pushMessage`.
+ *
+ * @returns {Promise} - { text, stopped } when streamed, else the `pushMessage` result
+ */
+export const streamMessage = async (message, { sessionId, signal, onToken, turn } = {}) => {
+    let received = "";
+    try {
+        const result = await api.stream(
+            "/conversations/" + sessionId + "/stream",
+            { message: message, ...turn },
+            {
+                signal,
+                onChunk: (chunk, text) => {
+                    received = text;
+                    onToken?.(chunk, text);
+                },
+            }
+        );
+        return result.streamed ? { text: result.text, stopped: false } : result.data;
+    } catch (error) {
+        if (signal?.aborted) {
+            return { text: received, stopped: true };
+        }
+        if (isStreamUnsupported(error)) {
+            logger.info("Streaming unavailable, waiting for the full reply", { sessionId });
+            return pushMessage(message, { sessionId, signal, turn });
+        }
+        throw error;
+    }
+};
+
+export const getEachConversation = async (sessionId) => {
     const data = await api.get("/conversations/" + sessionId);
     return data;
 };
+
+export const HISTORY_PAGE_SIZE = 30;
+
+/**
+ * One page of the session's messages. Page 1 holds the latest messages and higher pages
+ * go back in time; messages within a page are oldest first.
+ * The body may be a list, { messages }, or wrapped as { data, meta }.
+ *
+ * @returns {Promise} - { messages, meta, suggestions }, `meta` is null when the server
+ *  sends the whole history at once
+ */
+export const getConversationPage = async ({ sessionId, page = 1, limit = HISTORY_PAGE_SIZE }) => {
+    const body = await api.get("/conversations/" + sessionId, {
+        params: { page, limit },
+        transform: false,
+    });
+    const payload = body?.data ?? body;
+    const messages = Array.isArray(payload) ? payload : payload?.messages || [];
+    return {
+        messages,
+        meta: body?.meta ?? payload?.meta ?? null,
+        suggestions: payload?.suggestions,
+    };
+};
+
+/**
+ * Rate a model reply
+ *
+ * @param {{ messageId?: string, message: string, rating: "up"|"down", comment?: string }} feedback
+ */
+export const sendMessageFeedback = async (sessionId, feedback) => {
+    const data = await api.post("/conversations/" + sessionId + "/feedback", feedback);
+    return data;
+};
@@ -0,0 +1,90 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import api from "../../core/api";
+import { streamMessage } from "./index";
+
+vi.mock("../../core/api", () => ({
+  default: { stream: vi.fn(), post: vi.fn() },
+}));
+vi.mock("../../core/utils/logger", () => ({
+  logger: { info: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const failure = (details) => Object.assign(new Error("Request failed"), { details });
+
+describe("streamMessage", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("streams the reply to the session stream endpoint", async () => {
+    const onToken = vi.fn();
+    api.stream.mockImplementation(async (url, data, { onChunk }) => {
+      onChunk("Hi", "Hi");
+      onChunk(" there", "Hi there");
+      return { streamed: true, text: "Hi there" };
+    });
+
+    const result = await streamMessage("Plan Bali", {
+      sessionId: "s1",
+      onToken,
+      turn: { regenerate: true },
+    });
+
+    expect(result).toEqual({ text: "Hi there", stopped: false });
+    expect(api.stream).toHaveBeenCalledWith(
+      "/conversations/s1/stream",
+      { message: "Plan Bali", regenerate: true },
+      expect.objectContaining({ signal: undefined })
+    );
+    expect(onToken).toHaveBeenLastCalledWith(" there", "Hi there");
+  });
+
+  it("returns a JSON body as it is when the server doesn't stream", async () => {
+    api.stream.mockResolvedValue({ streamed: false, data: { reply: "Done" } });
+
+    expect(await streamMessage("Hello", { sessionId: "s1" })).toEqual({ reply: "Done" });
+  });
+
+  it.each([404, 405, 501])("falls back to pushMessage on HTTP %i", async (status) => {
+    api.stream.mockRejectedValue(failure({ status }));
+    api.post.mockResolvedValue({ reply: "Full reply" });
+
+    const result = await streamMessage("Hello", { sessionId: "s1", turn: { truncateFrom: 2 } });
+
+    expect(result).toEqual({ reply: "Full reply" });
+    expect(api.post).toHaveBeenCalledWith(
+      "/conversations/s1",
+      { message: "Hello", truncateFrom: 2 },
+      { signal: undefined }
+    );
+  });
+
+  it("falls back to pushMessage when the browser can't stream", async () => {
+    api.stream.mockRejectedValue(failure({ originalError: { code: "ERR_NOT_SUPPORT" } }));
+    api.post.mockResolvedValue({ reply: "Full reply" });
+
+    expect(await streamMessage("Hello", { sessionId: "s1" })).toEqual({ reply: "Full reply" });
+  });
+
+  it("rethrows other errors", async () => {
+    const error = failure({ status: 500 });
+    api.stream.mockRejectedValue(error);
+
+    await expect(streamMessage("Hello", { sessionId: "s1" })).rejects.toBe(error);
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  it("resolves with the text so far when aborted", async () => {
+    const controller = new AbortController();
+    api.stream.mockImplementation(async (url, data, { onChunk }) => {
+      onChunk("Day 1", "Day 1");
+      controller.abort();
+      throw failure({ status: 0 });
+    });
+
+    const result = await streamMessage("Hello", { sessionId: "s1", signal: controller.signal });
+
+    expect(result).toEqual({ text: "Day 1", stopped: true });
+    expect(api.post).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,132 @@
+import { useEffect, useRef, useState } from "react";
+import { Check, Copy, Pencil, RefreshCw, ThumbsDown, ThumbsUp } from "lucide-react";
+import { useUIStore } from "../../../core/stores/uiStore";
+
+const COPIED_RESET_MS = 2000;
+
+const ACTION_CLASS =
+  "rounded p-1 text-muted-foreground hover:text-foreground hover:bg-background/60 hover:cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed";
+
+const ActionButton = ({ label, onClick, disabled, active, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    disabled={disabled}
+    aria-label={label}
+    aria-pressed={active}
+    title={label}
+    className={`${ACTION_CLASS} ${active ? "text-primary" : ""}`}
+  >
+    {children}
+  </button>
+);
+
+/**
+ * Actions under a chat bubble.
+ * - Every message: copy
+ * - User messages: edit (`onEdit`)
+ * - Model replies: regenerate (`onRegenerate`, last reply only) and thumbs up/down feedback
+ *
+ * @param {{ message: Object, isBusy: boolean, onEdit?, onRegenerate?, onFeedback? }} props
+ *  - `onFeedback({ rating, comment? })` is called once per rating, when its comment form is
+ *    sent or skipped (or the row unmounts with the form still open)
+ */
+const MessageActions = ({ message, isBusy, onEdit, onRegenerate, onFeedback }) => {
+  const showSuccess = useUIStore((state) => state.showSuccess);
+  const showError = useUIStore((state) => state.showError);
+  const [copied, setCopied] = useState(false);
+  // Rating waiting for its comment; it is sent together with the comment
+  const [pendingRating, setPendingRating] = useState(null);
+  const [comment, setComment] = useState("");
+  const rating = pendingRating ?? message.feedback?.rating;
+  const copiedTimerRef = useRef(null);
+  const pendingRef = useRef(null);
+  pendingRef.current = pendingRating && { onFeedback, rating: pendingRating };
+
+  // Virtualized rows unmount when scrolled away: stop the timer, keep the rating
+  useEffect(
+    () => () => {
+      clearTimeout(copiedTimerRef.current);
+      const pending = pendingRef.current;
+      pending?.onFeedback?.({ rating: pending.rating });
+    },
+    []
+  );
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(message.text ?? "");
+      setCopied(true);
+      showSuccess("Copied to clipboard");
+      clearTimeout(copiedTimerRef.current);
+      copiedTimerRef.current = setTimeout(() => setCopied(false), COPIED_RESET_MS);
+    } catch {
+      showError("Could not copy the message");
+    }
+  };
+
+  const rate = (value) => {
+    if (value === rating) return;
+    setPendingRating(value);
+  };
+
+  const submitComment = (e) => {
+    e.preventDefault();
+    const text = comment.trim();
+    onFeedback(text ? { rating: pendingRating, comment: text } : { rating: pendingRating });
+    setPendingRating(null);
+    setComment("");
+  };
+
+  return (
+    <div className="mt-1">
+      <div className="flex items-center gap-0.5">
+        <ActionButton label={copied ? "Copied" : "Copy"} onClick={copy}>
+          {copied ? <Check className="size-3.5" /> : <Copy className="size-3.5" />}
+        </ActionButton>
+        {onEdit && (
+          <ActionButton label="Edit and resend" onClick={onEdit} disabled={isBusy}>
+            <Pencil className="size-3.5" />
+          </ActionButton>
+        )}
+        {onRegenerate && (
+          <ActionButton label="Regenerate reply" onClick={onRegenerate} disabled={isBusy}>
+            <RefreshCw className="size-3.5" />
+          </ActionButton>
+        )}
+        {onFeedback && (
+          <>
+            <ActionButton label="Good reply" onClick={() => rate("up")} active={rating === "up"}>
+              <ThumbsUp className="size-3.5" />
+            </ActionButton>
+            <ActionButton label="Bad reply" onClick={() => rate("down")} active={rating === "down"}>
+              <ThumbsDown className="size-3.5" />
+            </ActionButton>
+          </>
+        )}
+      </div>
+      {pendingRating && (
+        <form onSubmit={submitComment} className="mt-2 flex items-center gap-2">
+          <input
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder={
+              rating === "down" ? "What went wrong? (optional)" : "Any comment? (optional)"
+            }
+            aria-label="Feedback comment"
+            autoFocus
+            className="flex-1 rounded-md border border-input bg-background px-2 py-1 text-xs focus:outline-none focus:ring-1 focus:ring-ring"
+          />
+          <button
+            type="submit"
+            className="rounded-md bg-primary px-2 py-1 text-xs text-primary-foreground hover:bg-primary/90 hover:cursor-pointer"
+          >
+            {comment.trim() ? "Send" : "Skip"}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default MessageActions;
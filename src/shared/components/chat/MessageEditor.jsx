@@ -0,0 +1,52 @@
+import { useState } from "react";
+
+/**
+ * Inline editor for a user message. Saving resends it and drops the later turns.
+ *
+ * @param {{ text: string, onSave: (text: string) => void, onCancel: () => void }} props
+ */
+const MessageEditor = ({ text, onSave, onCancel }) => {
+  const [value, setValue] = useState(text ?? "");
+  const trimmed = value.trim();
+
+  const save = (e) => {
+    e.preventDefault();
+    if (trimmed) onSave(trimmed);
+  };
+
+  return (
+    <form onSubmit={save} className="w-full space-y-2">
+      <textarea
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") onCancel();
+          if (e.key === "Enter" && !e.shiftKey) save(e);
+        }}
+        rows={3}
+        autoFocus
+        aria-label="Edit message"
+        className="w-full resize-none rounded-md border border-input bg-background p-2 text-sm text-foreground focus:outline-none focus:ring-1 focus:ring-ring"
+      />
+      <p className="text-xs opacity-80">Resending removes the replies after this message.</p>
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="rounded-md border border-current/40 px-3 py-1 text-xs hover:cursor-pointer"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!trimmed || trimmed === text}
+          className="rounded-md bg-background px-3 py-1 text-xs font-medium text-foreground hover:cursor-pointer disabled:opacity-50"
+        >
+          Save &amp; resend
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MessageEditor;
@@ -0,0 +1,29 @@
+import { MessageCirclePlus } from "lucide-react";
+
+/**
+ * Quick-reply chips shown above the chat input.
+ *
+ * @param {{ prompts: string[], disabled?: boolean, onSelect: (prompt: string) => void }} props
+ */
+const QuickReplies = ({ prompts, disabled, onSelect }) => {
+  if (!prompts.length) return null;
+
+  return (
+    <div className="mb-3 flex flex-wrap gap-2" aria-label="Suggested questions">
+      {prompts.map((prompt) => (
+        <button
+          key={prompt}
+          type="button"
+          onClick={() => onSelect(prompt)}
+          disabled={disabled}
+          className="inline-flex items-center gap-1 rounded-full border border-primary/30 bg-primary/5 px-3 py-1 text-xs text-primary transition-colors hover:bg-primary/10 hover:cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <MessageCirclePlus className="size-3.5" aria-hidden="true" />
+          {prompt}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default QuickReplies;
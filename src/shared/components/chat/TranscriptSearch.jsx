@@ -0,0 +1,74 @@
+import { ChevronDown, ChevronUp, X } from "lucide-react";
+
+const NAV_CLASS =
+  "rounded p-1 text-muted-foreground hover:text-foreground hover:cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed";
+
+/**
+ * Search bar for the chat transcript.
+ * Enter / Shift+Enter go to the next / previous match, Escape closes.
+ *
+ * @param {{ query: string, onQueryChange, count: number, current: number,
+ *   onNext, onPrevious, onClose }} props
+ */
+const TranscriptSearch = ({
+  query,
+  onQueryChange,
+  count,
+  current,
+  onNext,
+  onPrevious,
+  onClose,
+}) => {
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+    if (e.key === "Enter") {
+      e.preventDefault();
+      if (e.shiftKey) onPrevious();
+      else onNext();
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 border-b border-sidebar-border px-4 py-2">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search this conversation"
+        aria-label="Search this conversation"
+        autoFocus
+        className="flex-1 rounded-md border border-input bg-transparent px-3 py-1.5 text-sm text-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-1 focus:ring-ring"
+      />
+      <span className="w-16 text-center text-xs text-muted-foreground" aria-live="polite">
+        {query.trim() ? (count ? `${current + 1} of ${count}` : "No results") : ""}
+      </span>
+      <button
+        type="button"
+        onClick={onPrevious}
+        disabled={!count}
+        aria-label="Previous match"
+        className={NAV_CLASS}
+      >
+        <ChevronUp className="size-4" />
+      </button>
+      <button
+        type="button"
+        onClick={onNext}
+        disabled={!count}
+        aria-label="Next match"
+        className={NAV_CLASS}
+      >
+        <ChevronDown className="size-4" />
+      </button>
+      <button type="button" onClick={onClose} aria-label="Close search" className={NAV_CLASS}>
+        <X className="size-4" />
+      </button>
+    </div>
+  );
+};
+
+export default TranscriptSearch;
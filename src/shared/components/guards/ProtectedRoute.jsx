@@ -1,5 +1,5 @@
 import React from "react";
-import { Navigate, Outlet } from "react-router-dom";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
 import { useAuth } from "../../../core/auth/useAuth";
 import { usePermissions } from "../../../core/auth/usePermissions";
 import { logger } from "../../../core/utils/logger";
@@ -47,6 +47,7 @@ export default function ProtectedRoute({
   exactRole = false,
 }) {
   const { isAuthenticated, isLoading } = useAuth();
+  const location = useLocation();
   const { can, hasAllPermissions, hasAnyPermission, hasRole, hasAnyRole } = usePermissions();
 
   // Show loading state
@@ -61,10 +62,10 @@ export default function ProtectedRoute({
     );
   }
 
-  // Redirect to login if not authenticated
+  // Redirect to login if not authenticated, remembering the page (and its query) to come back to
   if (!isAuthenticated) {
     logger.info("Redirecting to login - user not authenticated");
-    return <Navigate to="/home" replace />;
+    return <Navigate to="/home" replace state={{ from: location }} />;
   }
 
   // Check permissions if specified
@@ -1,17 +1,19 @@
 import React from "react";
-import { Navigate, Outlet } from "react-router-dom";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
 import { useAuth } from "../../../core/auth/useAuth";
 import { LoadingScreen } from "../loading/LoadingScreen";
+import { getRedirectPath } from "../../../features/auth/utils/redirect";
 
 export default function PublicRoute({ children }) {
   const { isAuthenticated, isLoading } = useAuth();
+  const location = useLocation();
 
   if (isLoading) {
     return <LoadingScreen />;
   }
 
   if (isAuthenticated) {
-    return <Navigate to="/" replace />;
+    return <Navigate to={getRedirectPath(location)} replace />;
   }
 
   return children ? children : <Outlet />;
@@ -1,54 +1,191 @@
-import { Send, Sparkles } from "lucide-react";
+import { Search, Send, Sparkles, Square } from "lucide-react";
 import { useEffect, useMemo, useRef, useState, useCallback } from "react";
 import { useQueryClient } from "@tanstack/react-query";
-import { useEachConversation, usePushMessage } from "../../hooks/useAiAssistant";
-import { useLocalStorageRefetch } from "../../hooks/useLocalStorageRefetch";
+import { useVirtualizer } from "@tanstack/react-virtual";
+import {
+  useConversationHistory,
+  useMessageFeedback,
+  useStreamMessage,
+} from "../../hooks/useAiAssistant";
+import { useSessionRealtime } from "../../hooks/useSessionRealtime";
+import { useTranscriptSearch } from "../../hooks/useTranscriptSearch";
+import { rehypeHighlight } from "../../utils/markdownHighlight";
 import { useKeyPoint } from "../../../features/conversation/hooks/useFormConvo";
-import Markdown from "react-markdown";
+import { buildFollowUps, serverSuggestions } from "../../../features/conversation/utils/followUps";
+import { parseSummary } from "../../../features/conversation/utils/summarySchema";
 import { SyncLoader } from "react-spinners";
 import { useStoreConvo } from "../store/convoStore";
+import MarkdownContent from "../markdown/MarkdownContent";
+import MessageActions from "../chat/MessageActions";
+import MessageEditor from "../chat/MessageEditor";
+import QuickReplies from "../chat/QuickReplies";
+import TranscriptSearch from "../chat/TranscriptSearch";
 
-export const AiAssistant = () => {
+// Rough height of a message row before it is measured
+const ESTIMATED_ROW_HEIGHT = 120;
+
+/**
+ * Chat panel of the conversation open in the URL. Mounted per session (keyed by the layout).
+ */
+export const AiAssistant = ({ sessionId }) => {
   const queryClient = useQueryClient();
-  const [sessionId, setSessionId] = useState(localStorage.getItem("sessionId"));
   const {
-    data: eachData,
+    data: history,
     isPending: isPendingFetch,
     isRefetching,
     isError,
-  } = useEachConversation(sessionId);
-  const { messages, addMessage, setMessages, conversations: conversationAi } = useStoreConvo();
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useConversationHistory(sessionId);
+  const { messages, addMessage, setMessages, prependMessages, updateMessage, truncateMessages } =
+    useStoreConvo();
   console.log("messages", messages);
   const [inputMessage, setInputMessage] = useState("");
 
   const {
     mutate: pushMessage,
     data: resultConvo = [],
+    variables: pushVariables,
     isPending: isPendingPush,
-  } = usePushMessage();
+    stop: stopGenerating,
+  } = useStreamMessage(sessionId);
+  const { mutate: sendFeedback } = useMessageFeedback(sessionId);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const lastModelIndex = messages.map((message) => message.role).lastIndexOf("model");
   const textareaRef = useRef(null);
-  const messagesEndRef = useRef(null);
   const messagesContainerRef = useRef(null);
   const [autoScrollEnabled, setAutoScrollEnabled] = useState(true);
-  const polling = conversationAi && !!sessionId;
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+
+  // The first message is the trip prompt; only hide it once the start of history is loaded
+  const rows = useMemo(
+    () =>
+      messages
+        .map((message, index) => ({ message, index }))
+        .filter(({ message, index }) => (index !== 0 || hasNextPage) && message.text !== null),
+    [messages, hasNextPage]
+  );
+  const rowTexts = useMemo(
+    () => rows.map(({ message }) => (typeof message.text === "string" ? message.text : "")),
+    [rows]
+  );
+
+  // Rows are measured as they render; stable keys let measurements and the reading
+  // position survive older pages being prepended
+  const virtualizer = useVirtualizer({
+    count: rows.length,
+    getScrollElement: () => messagesContainerRef.current,
+    estimateSize: () => ESTIMATED_ROW_HEIGHT,
+    getItemKey: (i) => rows[i].message.id ?? `row-${rows[i].index}`,
+    overscan: 6,
+    paddingStart: 24,
+    paddingEnd: 24,
+    anchorTo: "end",
+    followOnAppend: true,
+    scrollEndThreshold: 50,
+  });
+  const virtualRows = virtualizer.getVirtualItems();
+
+  const scrollToRow = useCallback(
+    (row) => virtualizer.scrollToIndex(row, { align: "center" }),
+    [virtualizer]
+  );
+  const search = useTranscriptSearch({
+    containerRef: messagesContainerRef,
+    texts: rowTexts,
+    query: searchQuery,
+    scrollToRow,
+  });
+  const markdownPlugins = useMemo(
+    () => (searchQuery.trim() ? [[rehypeHighlight, { query: searchQuery }]] : []),
+    [searchQuery]
+  );
+  const currentMatchPlugins = useMemo(
+    () =>
+      search.match
+        ? [[rehypeHighlight, { query: searchQuery, current: search.match.occurrence }]]
+        : markdownPlugins,
+    [search.match, searchQuery, markdownPlugins]
+  );
+  const { isLive } = useSessionRealtime(sessionId, { enabled: !!sessionId });
+  // Pushed updates replace polling; poll again whenever the channel is down
+  const polling = !!sessionId && !isLive;
 
-  useKeyPoint({
+  const { data: keyPoints } = useKeyPoint({
     sessionId,
-    enabled: polling,
-    refetchInterval: 20_000,
+    enabled: !!sessionId,
+    refetchInterval: polling ? 20_000 : undefined,
   });
 
+  const keyPointList = useMemo(() => (Array.isArray(keyPoints) ? keyPoints : []), [keyPoints]);
+  const summaryDetail = keyPointList.find((tab) => tab.title === "Summary")?.detail;
+  const summary = useMemo(
+    () => (summaryDetail ? parseSummary(summaryDetail).summary : null),
+    [summaryDetail]
+  );
+  const followUps = useMemo(
+    () =>
+      buildFollowUps({
+        keyPoints: keyPointList,
+        summary,
+        messages,
+        suggestions: serverSuggestions(
+          history?.pages[0],
+          messages[messages.length - 1],
+          resultConvo
+        ),
+      }),
+    [keyPointList, summary, messages, history, resultConvo]
+  );
+
   console.log("iserror and other", { isError, isPendingFetch });
 
+  // History pages already in the store; later pages are older and go in front
+  const loadedPagesRef = useRef(0);
+
   useEffect(() => {
-    const handleSessionChange = () => {
-      if (eachData && !isRefetching && messages.length === 0) {
-        const historyMessages = Array.isArray(eachData) ? eachData : eachData?.messages || [];
-        setMessages(historyMessages);
-      }
-    };
-    handleSessionChange();
-  }, [eachData, isRefetching, setMessages, messages.length]);
+    const pages = history?.pages ?? [];
+    if (!pages.length || isRefetching) return;
+    if (messages.length === 0) {
+      setMessages([...pages].reverse().flatMap((page) => page.messages));
+      loadedPagesRef.current = pages.length;
+    } else if (pages.length > loadedPagesRef.current) {
+      prependMessages(
+        pages
+          .slice(loadedPagesRef.current)
+          .reverse()
+          .flatMap((page) => page.messages)
+      );
+      loadedPagesRef.current = pages.length;
+    }
+  }, [history, isRefetching, setMessages, prependMessages, messages.length]);
+
+  // Messages older than the loaded pages, so store indexes can be turned into server ones
+  const unloadedCount = useMemo(() => {
+    const pages = history?.pages ?? [];
+    const total = pages[0]?.meta?.total;
+    if (!total) return 0;
+    return Math.max(0, total - pages.reduce((sum, page) => sum + page.messages.length, 0));
+  }, [history]);
+
+  // Scrolling up to the oldest rendered row loads the page before it
+  // (right away when the loaded messages don't fill the view)
+  const firstVisibleRow = virtualRows[0]?.index;
+  useEffect(() => {
+    const container = messagesContainerRef.current;
+    const fillsView = container && container.scrollHeight > container.clientHeight;
+    if (firstVisibleRow !== 0 || (autoScrollEnabled && fillsView)) return;
+    if (hasNextPage && !isFetchingNextPage && !isRefetching) fetchNextPage();
+  }, [
+    firstVisibleRow,
+    autoScrollEnabled,
+    hasNextPage,
+    isFetchingNextPage,
+    isRefetching,
+    fetchNextPage,
+  ]);
 
   const throttle = (func, limit) => {
     let inThrottle;
@@ -81,13 +218,13 @@ export const AiAssistant = () => {
     };
   }, []);
 
+  // While at the bottom the virtualizer follows new and growing messages;
+  // this brings the view back down when auto-scroll is turned on again (e.g. on send)
   useEffect(() => {
-    if (autoScrollEnabled) {
-      setTimeout(() => {
-        messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-      }, 100);
+    if (autoScrollEnabled && rows.length) {
+      virtualizer.scrollToIndex(rows.length - 1, { align: "end" });
     }
-  }, [messages, autoScrollEnabled]);
+  }, [autoScrollEnabled, rows.length, virtualizer]);
 
   const debounce = (fn, delay) => {
     let timeoutId;
@@ -98,7 +235,7 @@ export const AiAssistant = () => {
   };
 
   useEffect(() => {
-    if (!isPendingPush || !sessionId) return;
+    if (!isPendingPush || !polling) return;
 
     const tick = () => {
       console.log("invalidating data");
@@ -109,19 +246,59 @@ export const AiAssistant = () => {
     const intervalId = setInterval(tick, 20_000);
 
     return () => clearInterval(intervalId);
-  }, [isPendingPush, queryClient, sessionId]);
+  }, [isPendingPush, polling, queryClient, sessionId]);
+
+  const streamReply = useCallback(
+    (message, turn) => {
+      addMessage({ role: "loading", text: "...", id: "loading", author: "model" });
+      const replyId = `reply-${Date.now()}`;
+      pushMessage({
+        message,
+        replyId,
+        turn,
+        // Tokens replace the loading bubble, then grow the reply in place
+        onToken: (_chunk, text) =>
+          addMessage({ role: "model", text, id: replyId, author: "model", streaming: true }),
+      });
+    },
+    [addMessage, pushMessage]
+  );
 
   const handlePushLogic = useCallback(
-    (message) => {
+    (message, turn) => {
       addMessage({ role: "user", text: message, id: Date.now().toString(), author: "user" });
-      addMessage({ role: "loading", text: "...", id: "loading", author: "model" });
-      pushMessage(message);
+      streamReply(message, turn);
       setInputMessage("");
       textareaRef.current?.focus();
     },
-    [addMessage, pushMessage]
+    [addMessage, streamReply]
   );
 
+  // New answer to the user message before the last reply
+  const handleRegenerate = () => {
+    const prompt = messages
+      .slice(0, lastModelIndex)
+      .reverse()
+      .find((message) => message.role === "user");
+    if (!prompt || isPendingPush) return;
+    setAutoScrollEnabled(true);
+    truncateMessages(lastModelIndex);
+    streamReply(prompt.text, { regenerate: true });
+  };
+
+  const handleResendEdited = (index, text) => {
+    setEditingIndex(null);
+    if (isPendingPush) return;
+    setAutoScrollEnabled(true);
+    truncateMessages(index);
+    handlePushLogic(text, { truncateFrom: unloadedCount + index });
+  };
+
+  const handleFeedback = (index, message, { rating, comment }) => {
+    updateMessage(index, { feedback: { rating, comment } });
+    sendFeedback({ messageId: message.id, message: message.text, rating, comment });
+  };
+
   const debouncedPush = useMemo(() => debounce(handlePushLogic, 200), [handlePushLogic]);
 
   const handlePushMessage = (e) => {
@@ -142,23 +319,37 @@ export const AiAssistant = () => {
       ? getText(resultConvo[resultConvo.length - 1])
       : getText(resultConvo);
 
-    if (!nextText) {
+    const stopped = Boolean(resultConvo?.stopped);
+    if (!nextText && !stopped) {
       return;
     }
 
-    addMessage({ role: "model", text: nextText, id: Date.now().toString(), author: "model" });
-  }, [isPendingPush, resultConvo, addMessage]);
+    addMessage({
+      role: "model",
+      text: nextText,
+      id: pushVariables?.replyId ?? Date.now().toString(),
+      author: "model",
+      stopped,
+    });
+  }, [isPendingPush, resultConvo, pushVariables, addMessage]);
 
-  useLocalStorageRefetch({
-    key: "sessionId",
-    queryKeys: [["eachConversation"]],
-    onChange: (next) => {
-      if (next && next !== sessionId) {
-        setMessages([]);
-        setSessionId(next);
-      }
-    },
-  });
+  // Jumping to a match must not be undone by auto-scroll when a new message arrives;
+  // the scroll listener turns auto-scroll back on once the user is at the bottom again
+  const handleSearchChange = (query) => {
+    setSearchQuery(query);
+    if (query.trim()) setAutoScrollEnabled(false);
+  };
+
+  const closeSearch = () => {
+    setIsSearchOpen(false);
+    setSearchQuery("");
+  };
+
+  const handleQuickReply = (prompt) => {
+    if (isPendingPush) return;
+    setAutoScrollEnabled(true);
+    handlePushLogic(prompt);
+  };
 
   const handleKeyDown = (e) => {
     if (e.key === "Enter" && !e.shiftKey) {
@@ -172,11 +363,31 @@ export const AiAssistant = () => {
       <header className="flex items-center gap-3 border-b border-sidebar-border p-4">
         <Sparkles className="size-6 text-primary" />
         <h2 className="text-lg font-semibold text-foreground">AI Assistant</h2>
+        <button
+          type="button"
+          onClick={() => (isSearchOpen ? closeSearch() : setIsSearchOpen(true))}
+          aria-label="Search this conversation"
+          aria-pressed={isSearchOpen}
+          className="ml-auto rounded-md p-2 text-muted-foreground hover:text-foreground hover:bg-muted hover:cursor-pointer"
+        >
+          <Search className="size-5" />
+        </button>
       </header>
+      {isSearchOpen && (
+        <TranscriptSearch
+          query={searchQuery}
+          onQueryChange={handleSearchChange}
+          count={search.count}
+          current={search.current}
+          onNext={search.next}
+          onPrevious={search.previous}
+          onClose={closeSearch}
+        />
+      )}
       <div
         id="messages-container"
         ref={messagesContainerRef}
-        className="flex-1 space-y-6 overflow-x-auto overflow-y-auto p-6 scroll-smooth overscroll-contain"
+        className="flex-1 overflow-x-auto overflow-y-auto px-6 overscroll-contain"
       >
         {isPendingFetch || isRefetching ? (
           <div className="flex justify-center items-center h-full">
@@ -189,46 +400,104 @@ export const AiAssistant = () => {
             </p>
           </div>
         ) : (
-          messages.map((message, index) =>
-            index !== 0 && message.text !== null ? (
-              <div
-                key={message.id || index}
-                className={`flex ${message.role === "user" ? "justify-end" : "justify-start"}`}
-              >
+          <div className="relative w-full" style={{ height: virtualizer.getTotalSize() }}>
+            {isFetchingNextPage && (
+              <div className="absolute inset-x-0 top-0 flex justify-center">
+                <SyncLoader size={6} color="#184e96" />
+              </div>
+            )}
+            {virtualRows.map((virtualRow) => {
+              const { message, index } = rows[virtualRow.index];
+              return (
                 <div
-                  className={`max-w-[85%] rounded-lg px-4 py-3 text-sm leading-relaxed ${
-                    message.role === "user"
-                      ? "bg-primary text-primary-foreground"
-                      : "bg-muted text-foreground"
-                  }`}
+                  key={virtualRow.key}
+                  ref={virtualizer.measureElement}
+                  data-index={virtualRow.index}
+                  className="absolute left-0 top-0 w-full pb-6"
+                  style={{ transform: `translateY(${virtualRow.start}px)` }}
                 >
-                  <span
-                    className={`${
-                      typeof message.text === "string" &&
-                      !message.text?.includes("\n") &&
-                      message.text?.length > 500
-                        ? "truncate"
-                        : "whitespace-pre-wrap"
-                    } break-words leading-relaxed`}
-                    title={message.text || ""}
+                  <div
+                    className={`flex flex-col ${message.role === "user" ? "items-end" : "items-start"}`}
                   >
-                    {message.role === "loading" ? (
-                      <div className="h-2 justify-center items-center flex px-2 py-1">
-                        <SyncLoader size={6} color="#184e96" />
-                      </div>
-                    ) : (
-                      <Markdown>{message.text}</Markdown>
-                    )}
-                  </span>
+                    <div
+                      className={`max-w-[85%] rounded-lg px-4 py-3 text-sm leading-relaxed ${
+                        message.role === "user"
+                          ? "bg-primary text-primary-foreground"
+                          : "bg-muted text-foreground"
+                      } ${editingIndex === index ? "w-full" : ""}`}
+                    >
+                      {editingIndex === index ? (
+                        <MessageEditor
+                          text={message.text}
+                          onSave={(text) => handleResendEdited(index, text)}
+                          onCancel={() => setEditingIndex(null)}
+                        />
+                      ) : (
+                        <span
+                          className={`${
+                            typeof message.text === "string" &&
+                            !message.text?.includes("\n") &&
+                            message.text?.length > 500 &&
+                            !searchQuery.trim()
+                              ? "truncate"
+                              : "whitespace-pre-wrap"
+                          } break-words leading-relaxed`}
+                          title={message.text || ""}
+                        >
+                          {message.role === "loading" ? (
+                            <div className="h-2 justify-center items-center flex px-2 py-1">
+                              <SyncLoader size={6} color="#184e96" />
+                            </div>
+                          ) : (
+                            <MarkdownContent
+                              rehypePlugins={
+                                search.match?.row === virtualRow.index
+                                  ? currentMatchPlugins
+                                  : markdownPlugins
+                              }
+                            >
+                              {message.text}
+                            </MarkdownContent>
+                          )}
+                          {message.stopped && (
+                            <span className="mt-1 block text-xs italic text-muted-foreground">
+                              Stopped generating
+                            </span>
+                          )}
+                        </span>
+                      )}
+                    </div>
+                    {editingIndex !== index &&
+                      !message.streaming &&
+                      (message.role === "user" || message.role === "model") && (
+                        <MessageActions
+                          message={message}
+                          isBusy={isPendingPush}
+                          onEdit={
+                            message.role === "user" ? () => setEditingIndex(index) : undefined
+                          }
+                          onRegenerate={
+                            index === lastModelIndex && index > 1 ? handleRegenerate : undefined
+                          }
+                          onFeedback={
+                            message.role === "model"
+                              ? (feedback) => handleFeedback(index, message, feedback)
+                              : undefined
+                          }
+                        />
+                      )}
+                  </div>
                 </div>
-              </div>
-            ) : null
-          )
+              );
+            })}
+          </div>
         )}
-        <div ref={messagesEndRef} />
       </div>
 
       <footer className="border-t border-sidebar-border p-4">
+        {editingIndex === null && (
+          <QuickReplies prompts={followUps} disabled={isPendingPush} onSelect={handleQuickReply} />
+        )}
         <form onSubmit={handlePushMessage}>
           <div className="flex items-center gap-2">
             <textarea
@@ -242,14 +511,26 @@ export const AiAssistant = () => {
               onKeyDown={handleKeyDown}
               disabled={isPendingPush}
             />
-            <button
-              type="submit"
-              disabled={isPendingPush || !inputMessage.trim()}
-              className="flex size-10 items-center justify-center rounded-md bg-primary text-primary-foreground transition-colors hover:bg-primary/90 disabled:opacity-50"
-            >
-              <Send className="size-5" />
-              <span className="sr-only">Send</span>
-            </button>
+            {isPendingPush ? (
+              <button
+                type="button"
+                onClick={stopGenerating}
+                className="flex size-10 items-center justify-center rounded-md border border-input text-foreground transition-colors hover:bg-muted hover:cursor-pointer"
+                title="Stop generating"
+              >
+                <Square className="size-4 fill-current" />
+                <span className="sr-only">Stop generating</span>
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!inputMessage.trim()}
+                className="flex size-10 items-center justify-center rounded-md bg-primary text-primary-foreground transition-colors hover:bg-primary/90 disabled:opacity-50"
+              >
+                <Send className="size-5" />
+                <span className="sr-only">Send</span>
+              </button>
+            )}
           </div>
         </form>
       </footer>
@@ -1,184 +1,210 @@
 import useUIStore, { useIsSidebarCollapsed, useToggleSidebar } from "../../../core/stores/uiStore";
 import { useAuthStore } from "../../../features/auth/stores/authStore";
-import { LayoutDashboard, LogOut, MessageSquare, Plus, User } from "lucide-react";
+import { LayoutDashboard, LogOut, Plus, User } from "lucide-react";
 import { useEffect, useMemo, useRef, useState } from "react";
 import LogoutModal from "../pages/LogoutModalPage";
-import { useSidebar } from "../../hooks/useSidebar";
-import { useStoreConvo } from "../store/convoStore";
-import { getListConvo } from "../../api/index.js";
-import { useQueryClient } from "@tanstack/react-query";
+import {
+  sidebarListKey,
+  useArchiveConversation,
+  useDeleteConversation,
+  useRenameConversation,
+  useSidebar,
+} from "../../hooks/useSidebar";
+import {
+  forgetLastSession,
+  useActiveSessionId,
+  useOpenSession,
+} from "../../hooks/useActiveSession";
+import { usePlanAgain } from "../../../features/conversation/hooks/usePlanAgain";
+import { useTripStore } from "../../../features/conversation/stores/tripStore";
+import { useKeyPointHistoryStore } from "../../../features/conversation/stores/keyPointHistoryStore";
+import { useDebouncedValue } from "../../hooks/useDebouncedValue";
+import {
+  conversationDetails,
+  conversationLabel,
+  countActiveFilters,
+  groupConversationsByDate,
+  uniqueConversations,
+} from "../../utils/conversationList";
+import ConversationItem from "../sidebar/ConversationItem";
+import SidebarFilters from "../sidebar/SidebarFilters";
+import DeleteConversationModal, {
+  DELETE_CONVERSATION_MODAL,
+} from "../sidebar/DeleteConversationModal";
+
+const NO_FILTERS = { destination: "", dateFrom: "", dateTo: "", hasSummary: false };
+const SEARCH_DELAY_MS = 400;
+
+const ListSpinner = () => (
+  <div className="flex items-center justify-center py-2">
+    <svg className="animate-spin h-5 w-5 text-primary" viewBox="0 0 24 24">
+      <circle
+        className="opacity-25"
+        cx="12"
+        cy="12"
+        r="10"
+        stroke="currentColor"
+        strokeWidth="4"
+      ></circle>
+      <path
+        className="opacity-75"
+        fill="currentColor"
+        d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"
+      ></path>
+    </svg>
+    <span className="ml-2 text-sm text-muted-foreground">Loading...</span>
+  </div>
+);
+
+const ListError = ({ message, onRetry }) => (
+  <div
+    role="alert"
+    className="flex items-center justify-between gap-2 px-2 py-1 text-sm text-red-600"
+  >
+    {message}
+    <button
+      type="button"
+      onClick={onRetry}
+      className="rounded px-2 py-0.5 font-medium text-primary hover:bg-muted-foreground/8 hover:cursor-pointer"
+    >
+      Retry
+    </button>
+  </div>
+);
 
 export const Sidebar = () => {
-  const queryClient = useQueryClient();
   const isCollapsed = useIsSidebarCollapsed();
   const toggleSidebar = useToggleSidebar();
-  const [activeItem, setActiveItem] = useState(localStorage.getItem("sessionId") || null);
-  const [page, setPage] = useState(1);
-  const [limit, setLimit] = useState(10);
-  const [items, setItems] = useState([]);
-  const [isFetchingMore, setIsFetchingMore] = useState(false);
-  const [fetchError, setFetchError] = useState(null);
-  const [hasMore, setHasMore] = useState(true);
-  const FETCH_DELAY_MS = 2000;
+  const activeItem = useActiveSessionId();
+  const openSession = useOpenSession();
+  const [limit] = useState(10);
+  const [showArchived, setShowArchived] = useState(false);
+  const [search, setSearch] = useState("");
+  const [filterValues, setFilterValues] = useState(NO_FILTERS);
+  const debouncedSearch = useDebouncedValue(search, SEARCH_DELAY_MS);
+  const debouncedDestination = useDebouncedValue(filterValues.destination, SEARCH_DELAY_MS);
   const listRef = useRef(null);
-  const debounceRef = useRef(null);
-  const mountedRef = useRef(true);
-  const openLogoutModal = useUIStore((state) => state.openModal);
-  const setConversationAi = useStoreConvo((state) => state.setConversationAi);
-  const setMessages = useStoreConvo((state) => state.setMessages);
+  const sentinelRef = useRef(null);
+  const openModal = useUIStore((state) => state.openModal);
+  const requests = useTripStore((state) => state.requests);
+  const titles = useTripStore((state) => state.titles);
+  const summaries = useTripStore((state) => state.summaries);
+  const forgetSession = useTripStore((state) => state.forgetSession);
+  const clearHistory = useKeyPointHistoryStore((state) => state.clearHistory);
+  const planAgain = usePlanAgain();
 
   const handleLogout = () => {
-    openLogoutModal("logoutModal", {});
+    openModal("logoutModal", {});
   };
 
+  const { dateFrom, dateTo, hasSummary } = filterValues;
   const filters = useMemo(() => {
     return {
-      page,
       limit,
+      archived: showArchived,
+      search: debouncedSearch,
+      destination: debouncedDestination,
+      dateFrom,
+      dateTo,
+      hasSummary,
     };
-  }, [page, limit]);
+  }, [limit, showArchived, debouncedSearch, debouncedDestination, dateFrom, dateTo, hasSummary]);
+  const isFiltered = Boolean(search.trim()) || countActiveFilters(filterValues) > 0;
+  const listKey = sidebarListKey(filters);
 
   const {
-    data: { data: conversations = [], meta } = {},
-    isLoading,
-    isFetching,
-    error,
+    data,
+    isPending,
+    isError,
+    isPlaceholderData,
+    refetch,
+    hasNextPage,
+    fetchNextPage,
+    isFetchingNextPage,
+    isFetchNextPageError,
   } = useSidebar(filters);
+  const items = useMemo(
+    () => uniqueConversations((data?.pages ?? []).flatMap((page) => page?.data ?? [])),
+    [data]
+  );
+  const groups = useMemo(() => groupConversationsByDate(items), [items]);
 
-  useEffect(() => {
-    mountedRef.current = true;
-    return () => {
-      mountedRef.current = false;
-      if (debounceRef.current) clearTimeout(debounceRef.current);
-    };
-  }, []);
-
-  const uniqueById = (arr) => {
-    const seen = new Set();
-    return arr.filter((x) => {
-      const key = x.id ?? x.sessionId;
-      if (!key || seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
-  };
+  const renameConversation = useRenameConversation(listKey);
+  const archiveConversation = useArchiveConversation(listKey);
+  const deleteConversation = useDeleteConversation(listKey);
 
   useEffect(() => {
-    if (!isLoading) {
-      if (page === 1) {
-        setItems(uniqueById(conversations));
-        // set hasMore from meta
-        const totalPages =
-          meta?.totalPages ??
-          (meta?.total && meta?.limit ? Math.ceil(meta.total / meta.limit) : undefined);
-        if (typeof totalPages === "number") setHasMore(page < totalPages);
-        // keep scroll at top on initial open
-        if (listRef.current) {
-          listRef.current.scrollTop = 0;
-        }
-      }
+    // keep scroll at top when the tab, search or filters change
+    if (listRef.current) {
+      listRef.current.scrollTop = 0;
     }
-  }, [conversations, isLoading, page, meta]);
+  }, [filters]);
 
+  // Load the next page once the end of the list scrolls into view. A failed page
+  // waits for its Retry button instead of being requested again on every scroll.
+  const canLoadMore = hasNextPage && !isFetchingNextPage && !isFetchNextPageError;
   useEffect(() => {
-    // auto scroll only when loading next pages (not initial open)
-    // Dihapus: jangan auto-scroll setelah data baru datang
-  }, [items.length, page]);
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !canLoadMore || isPlaceholderData) return;
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) fetchNextPage();
+      },
+      { root: listRef.current, rootMargin: "0px 0px 80px 0px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [canLoadMore, isPlaceholderData, fetchNextPage, isCollapsed]);
 
-  const fetchNextPage = async () => {
-    if (isFetchingMore || !hasMore) return;
-    setIsFetchingMore(true);
-    setFetchError(null);
-    const nextPage = page + 1;
-    try {
-      // Delay 2 detik sebelum melakukan fetch
-      await new Promise((res) => setTimeout(res, FETCH_DELAY_MS));
-      const { data: nextData = [], meta: nextMeta } = await getListConvo({ page: nextPage, limit });
-      if (!mountedRef.current) return;
-      setItems((prev) =>
-        uniqueById([...(prev || []), ...(Array.isArray(nextData) ? nextData : [])])
-      );
-      setPage(nextPage);
-      const totalPages =
-        nextMeta?.totalPages ??
-        (nextMeta?.total && nextMeta?.limit
-          ? Math.ceil(nextMeta.total / nextMeta.limit)
-          : undefined);
-      if (typeof totalPages === "number") setHasMore(nextPage < totalPages);
-      // Jangan paksa scroll ke bawah; biarkan posisi pengguna tetap
-    } catch (err) {
-      if (!mountedRef.current) return;
-      setFetchError(err?.message || "Gagal memuat data berikutnya");
-    } finally {
-      if (mountedRef.current) setIsFetchingMore(false);
-    }
+  const clearFilters = () => {
+    setSearch("");
+    setFilterValues(NO_FILTERS);
   };
 
-  const onScrollEl = (el) => {
-    if (!el) return;
-    const nearBottom = el.scrollTop + el.clientHeight >= el.scrollHeight - 24;
-    if (nearBottom) {
-      fetchNextPage();
-    }
+  const getMe = useAuthStore((state) => state.getMe);
+  const handleGetMe = () => {
+    getMe();
   };
 
-  const debouncedScroll = (e) => {
-    // Capture target immediately to avoid React SyntheticEvent pooling
-    const target = e.currentTarget;
-    if (debounceRef.current) clearTimeout(debounceRef.current);
-    debounceRef.current = setTimeout(() => onScrollEl(target), 150);
+  const handlePickConversation = (sessionId, options) => {
+    openSession(sessionId, options);
   };
 
-  const getMe = useAuthStore((state) => state.getMe);
-  const handleGetMe = () => {
-    getMe();
+  const handleDuplicate = async (sessionId) => {
+    const prefilled = await planAgain(sessionId);
+    if (prefilled) handlePickConversation(null);
   };
 
-  const handlePickConversation = (sessionId) => {
-    try {
-      if (sessionId) {
-        setActiveItem(sessionId);
-        setConversationAi(true);
-        queryClient.invalidateQueries({ queryKey: ["keyPoint"] });
-        queryClient.refetchQueries({ queryKey: ["keyPoint"] });
-        localStorage.setItem("sessionId", sessionId);
-        window.dispatchEvent(new CustomEvent("sessionId:changed", { detail: { sessionId } }));
-        return;
-      }
-      setActiveItem(null);
-      setConversationAi(false);
-      setMessages([]);
-      localStorage.removeItem("sessionId");
-    } catch (err) {
-      console.warn("Gagal menyimpan sessionId", err);
-    }
+  const handleRename = (sessionId, name) => {
+    renameConversation.mutate({ sessionId, name });
   };
 
-  useEffect(() => {
-    const onStorage = (e) => {
-      try {
-        if (e.key === "sessionId") {
-          setActiveItem(e.newValue);
-        }
-      } catch (err) {
-        console.warn("Listener storage error", err);
+  // The open session leaves the list, so go back to a new conversation
+  const handleToggleArchive = (sessionId) => {
+    archiveConversation.mutate(
+      { sessionId, archived: !showArchived },
+      {
+        onSuccess: () => {
+          if (sessionId === activeItem) handlePickConversation(null);
+        },
       }
-    };
-    const onSessionChange = (e) => {
-      try {
-        const sid = e?.detail?.sessionId ?? localStorage.getItem("sessionId");
-        if (sid) setActiveItem(sid);
-      } catch (err) {
-        console.warn("Listener sessionId:changed error", err);
+    );
+  };
+
+  const handleDelete = ({ sessionId }) => {
+    deleteConversation.mutate(
+      { sessionId },
+      {
+        onSuccess: () => {
+          forgetSession(sessionId);
+          clearHistory(sessionId);
+          forgetLastSession(sessionId);
+          // Replaced, so Back doesn't lead to the deleted trip
+          if (sessionId === activeItem) handlePickConversation(null, { replace: true });
+        },
       }
-    };
-    window.addEventListener("storage", onStorage);
-    window.addEventListener("sessionId:changed", onSessionChange);
-    return () => {
-      window.removeEventListener("storage", onStorage);
-      window.removeEventListener("sessionId:changed", onSessionChange);
-    };
-  }, []);
+    );
+  };
 
   return (
     <aside
@@ -249,57 +275,91 @@ export const Sidebar = () => {
       {/* Section Navigation Item (scroll only this section) */}
       {!isCollapsed && (
         <div className="flex flex-1 flex-col min-h-0">
-          <div
-            ref={listRef}
-            onScroll={debouncedScroll}
-            className="flex-1 overflow-y-auto p-2 flex flex-col gap-1"
-          >
-            {items.map((item) => (
-              <div
-                key={item.id}
-                onClick={() => handlePickConversation(item.sessionId)}
-                className={`flex items-center gap-2 hover:bg-muted-foreground/8 hover:cursor-pointer rounded-md p-2 ${
-                  activeItem === item.sessionId ? "bg-muted-foreground/8" : ""
+          <SidebarFilters
+            search={search}
+            onSearchChange={setSearch}
+            values={filterValues}
+            onChange={setFilterValues}
+            onClear={clearFilters}
+          />
+          <div role="tablist" aria-label="Conversations" className="flex gap-1 px-4 pt-2">
+            {[
+              { archived: false, label: "Active" },
+              { archived: true, label: "Archived" },
+            ].map((tab) => (
+              <button
+                key={tab.label}
+                type="button"
+                role="tab"
+                aria-selected={showArchived === tab.archived}
+                onClick={() => setShowArchived(tab.archived)}
+                className={`flex-1 rounded-md px-2 py-1 text-sm font-medium hover:cursor-pointer transition-colors ${
+                  showArchived === tab.archived
+                    ? "bg-muted-foreground/8 text-primary"
+                    : "text-gray-500 hover:text-black"
                 }`}
               >
-                <MessageSquare
-                  className={activeItem === item.sessionId ? "text-primary" : "text-black"}
-                />
-                <div
-                  className={`font-medium flex-col ${
-                    activeItem === item.sessionId ? "text-primary" : "text-black"
-                  }`}
-                >
-                  <div className="w-45 text-ellipsis text-[10px] overflow-hidden whitespace-nowrap">
-                    {item.name == "Conversation Session" ? item.sessionId : item.name}
-                  </div>
-                  <div className="text-sm text-gray-500">
-                    {new Date(item.createdAt).toLocaleDateString()}
-                  </div>
-                </div>
-              </div>
+                {tab.label}
+              </button>
             ))}
-            {(isLoading || isFetching || isFetchingMore) && (
-              <div className="flex items-center justify-center py-2">
-                <svg className="animate-spin h-5 w-5 text-primary" viewBox="0 0 24 24">
-                  <circle
-                    className="opacity-25"
-                    cx="12"
-                    cy="12"
-                    r="10"
-                    stroke="currentColor"
-                    strokeWidth="4"
-                  ></circle>
-                  <path
-                    className="opacity-75"
-                    fill="currentColor"
-                    d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"
-                  ></path>
-                </svg>
-                <span className="ml-2 text-sm text-muted-foreground">Loading...</span>
-              </div>
+          </div>
+          <div ref={listRef} className="flex-1 overflow-y-auto p-2 flex flex-col gap-1">
+            {groups.map((group) => (
+              <section key={group.label} aria-label={group.label} className="flex flex-col gap-1">
+                <h3 className="sticky top-0 z-10 bg-sidebar-background px-2 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                  {group.label}
+                </h3>
+                {group.items.map((item) => {
+                  const request = requests[item.sessionId];
+                  const label = conversationLabel(item, {
+                    request,
+                    title: titles[item.sessionId],
+                  });
+                  const details = conversationDetails(item, {
+                    request,
+                    summary: summaries[item.sessionId],
+                    archived: showArchived,
+                  });
+                  return (
+                    <ConversationItem
+                      key={item.id}
+                      conversation={item}
+                      label={label}
+                      details={details}
+                      isActive={activeItem === item.sessionId}
+                      isArchived={showArchived}
+                      onPick={() => handlePickConversation(item.sessionId)}
+                      onRename={(name) => handleRename(item.sessionId, name)}
+                      onDuplicate={() => handleDuplicate(item.sessionId)}
+                      onToggleArchive={() => handleToggleArchive(item.sessionId)}
+                      onDelete={() =>
+                        openModal(DELETE_CONVERSATION_MODAL, { sessionId: item.sessionId, label })
+                      }
+                    />
+                  );
+                })}
+              </section>
+            ))}
+            {!isPending && !isError && !items.length && (
+              <p className="px-2 py-4 text-center text-sm text-muted-foreground">
+                {isFiltered
+                  ? "No conversations match"
+                  : showArchived
+                    ? "No archived conversations"
+                    : "No conversations yet"}
+              </p>
+            )}
+            {isError && !data && (
+              <ListError message="Couldn't load conversations" onRetry={() => refetch()} />
+            )}
+            {(isPending || isPlaceholderData || isFetchingNextPage) && <ListSpinner />}
+            {isFetchNextPageError && (
+              <ListError
+                message="Couldn't load more conversations"
+                onRetry={() => fetchNextPage()}
+              />
             )}
-            {fetchError && <div className="text-red-600 text-sm px-2 py-1">{fetchError}</div>}
+            <div ref={sentinelRef} aria-hidden="true" className="h-px shrink-0" />
           </div>
 
           {/* section profile (fixed at bottom) */}
@@ -321,6 +381,7 @@ export const Sidebar = () => {
             </div>
           </nav>
           <LogoutModal />
+          <DeleteConversationModal onConfirm={handleDelete} />
         </div>
       )}
     </aside>
@@ -0,0 +1,44 @@
+import { useRef, useState } from "react";
+import { Check, Copy } from "lucide-react";
+import { useUIStore } from "../../../core/stores/uiStore";
+
+/**
+ * Fenced code block with a copy button, used for `<pre>` by `MarkdownContent`.
+ */
+const CodeBlock = ({ children }) => {
+  const showError = useUIStore((state) => state.showError);
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current?.textContent ?? "");
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      showError("Could not copy the code");
+    }
+  };
+
+  return (
+    <div className="group relative my-3">
+      <pre
+        ref={preRef}
+        className="overflow-x-auto rounded-md bg-gray-900 p-3 pr-10 text-xs leading-relaxed text-gray-100 whitespace-pre"
+      >
+        {children}
+      </pre>
+      <button
+        type="button"
+        onClick={copy}
+        aria-label={copied ? "Copied" : "Copy code"}
+        title={copied ? "Copied" : "Copy code"}
+        className="absolute right-2 top-2 rounded p-1 text-gray-400 hover:bg-gray-700 hover:text-gray-100 hover:cursor-pointer print:hidden"
+      >
+        {copied ? <Check className="size-4" /> : <Copy className="size-4" />}
+      </button>
+    </div>
+  );
+};
+
+export default CodeBlock;
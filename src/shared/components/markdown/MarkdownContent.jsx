@@ -0,0 +1,128 @@
+import { useMemo } from "react";
+import Markdown from "react-markdown";
+import {
+  REMARK_PLUGINS,
+  hastText,
+  isExternalLink,
+  markdownRehypePlugins,
+} from "../../utils/markdown";
+import CodeBlock from "./CodeBlock";
+
+const LINK_CLASS = "text-primary underline underline-offset-2 break-words";
+
+const MarkdownLink = ({ href, title, children }) =>
+  isExternalLink(href) ? (
+    <a href={href} title={title} target="_blank" rel="noopener noreferrer" className={LINK_CLASS}>
+      {children}
+    </a>
+  ) : (
+    <a href={href} title={title} className={LINK_CLASS}>
+      {children}
+    </a>
+  );
+
+const COMPONENTS = {
+  a: MarkdownLink,
+  pre: ({ children }) => <CodeBlock>{children}</CodeBlock>,
+  table: ({ children }) => (
+    <div className="my-3 overflow-x-auto">
+      <table className="w-full border-collapse text-left text-xs">{children}</table>
+    </div>
+  ),
+  th: ({ children, style }) => (
+    <th style={style} className="border border-gray-300 bg-gray-50 px-2 py-1 font-semibold">
+      {children}
+    </th>
+  ),
+  td: ({ children, style }) => (
+    <td style={style} className="border border-gray-300 px-2 py-1 align-top">
+      {children}
+    </td>
+  ),
+  ul: ({ children, className }) => (
+    <ul className={className === "contains-task-list" ? "my-2 space-y-1" : "my-2 list-disc pl-5"}>
+      {children}
+    </ul>
+  ),
+  ol: ({ children, start }) => (
+    <ol start={start} className="my-2 list-decimal pl-5">
+      {children}
+    </ol>
+  ),
+  input: ({ type, checked }) =>
+    type === "checkbox" ? (
+      <input type="checkbox" checked={Boolean(checked)} readOnly disabled className="mr-2" />
+    ) : null,
+  img: ({ src, alt, title }) => (
+    <img
+      src={src}
+      alt={alt ?? ""}
+      title={title}
+      loading="lazy"
+      className="my-2 max-w-full rounded-md"
+    />
+  ),
+};
+
+// Task list item whose checkbox is driven by `checklist`; unknown items keep the Markdown state
+const TaskItem = ({ node, children, checklist }) => {
+  const text = hastText(node).trim();
+  const input = node?.children?.find((child) => child.tagName === "input");
+  const checked = checklist.isChecked(text) ?? Boolean(input?.properties?.checked);
+
+  return (
+    <li className="flex items-start gap-2">
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => checklist.onToggle(text, e.target.checked)}
+        aria-label={text}
+        className="mt-1 hover:cursor-pointer"
+      />
+      <span className={checked ? "text-muted-foreground line-through" : ""}>{children}</span>
+    </li>
+  );
+};
+
+/**
+ * Markdown as written by the assistant: GFM tables, task lists and autolinks, external links
+ * opening in a new tab, copyable code blocks. Embedded HTML is sanitized.
+ *
+ * @param {{ children: string, rehypePlugins?: Array, checklist? }} props
+ *  - `rehypePlugins` run after sanitizing (e.g. `rehypeHighlight`)
+ *  - `checklist: { isChecked(text), onToggle(text, checked) }` makes task list items
+ *    interactive; `isChecked` returns undefined for items without saved state.
+ *    Pass a memoized object, a new one re-mounts the list items.
+ *
+ * @example
+ * <MarkdownContent rehypePlugins={[[rehypeHighlight, { query }]]}>{detail}</MarkdownContent>
+ */
+const MarkdownContent = ({ children, rehypePlugins, checklist }) => {
+  const plugins = useMemo(() => markdownRehypePlugins(rehypePlugins), [rehypePlugins]);
+  const components = useMemo(
+    () =>
+      checklist
+        ? {
+            ...COMPONENTS,
+            input: () => null,
+            li: ({ node, className, children: itemChildren }) =>
+              className?.includes("task-list-item") ? (
+                <TaskItem node={node} checklist={checklist}>
+                  {itemChildren}
+                </TaskItem>
+              ) : (
+                <li className={className}>{itemChildren}</li>
+              ),
+          }
+        : COMPONENTS,
+    [checklist]
+  );
+
+  return (
+    <Markdown remarkPlugins={REMARK_PLUGINS} rehypePlugins={plugins} components={components}>
+      {children}
+    </Markdown>
+  );
+};
+
+export default MarkdownContent;
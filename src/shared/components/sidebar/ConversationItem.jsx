@@ -0,0 +1,220 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  Archive,
+  ArchiveRestore,
+  Copy,
+  MapPin,
+  MessageSquare,
+  MoreHorizontal,
+  Pencil,
+  Trash2,
+} from "lucide-react";
+import { tripDatesLabel } from "../../utils/conversationList";
+
+const STATUS_STYLES = {
+  planning: { label: "Planning", dot: "bg-amber-400" },
+  summarized: { label: "Summarized", dot: "bg-emerald-500" },
+  archived: { label: "Archived", dot: "bg-gray-400" },
+};
+
+/**
+ * One session in the sidebar, with its destination, trip dates and status. The menu (kebab button or right click) renames inline,
+ * duplicates as a new plan, archives/unarchives and deletes.
+ *
+ * @param {{ conversation: Object, label: string, details: Object, isActive: boolean,
+ *  isArchived: boolean, onPick, onRename, onDuplicate, onToggleArchive, onDelete }} props
+ *  - `details` is the output of `conversationDetails`
+ *  - `onRename(name)` is called only with a changed, non-empty name
+ */
+const ConversationItem = ({
+  conversation,
+  label,
+  details,
+  isActive,
+  isArchived,
+  onPick,
+  onRename,
+  onDuplicate,
+  onToggleArchive,
+  onDelete,
+}) => {
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftName, setDraftName] = useState(label);
+  const menuRef = useRef(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (!isMenuOpen) return;
+    const onPointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsMenuOpen(false);
+    };
+    const onKeyDown = (e) => e.key === "Escape" && setIsMenuOpen(false);
+    document.addEventListener("mousedown", onPointerDown);
+    document.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", onPointerDown);
+      document.removeEventListener("keydown", onKeyDown);
+    };
+  }, [isMenuOpen]);
+
+  useEffect(() => {
+    if (isRenaming) inputRef.current?.select();
+  }, [isRenaming]);
+
+  const startRename = () => {
+    setDraftName(label);
+    setIsRenaming(true);
+  };
+
+  const finishRename = () => {
+    const name = draftName.trim();
+    setIsRenaming(false);
+    if (name && name !== label) onRename(name);
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      finishRename();
+    } else if (e.key === "Escape") {
+      setIsRenaming(false);
+    }
+  };
+
+  const actions = [
+    { id: "rename", label: "Rename", icon: <Pencil className="size-4" />, run: startRename },
+    {
+      id: "duplicate",
+      label: "Duplicate as new plan",
+      icon: <Copy className="size-4" />,
+      run: onDuplicate,
+    },
+    isArchived
+      ? {
+          id: "unarchive",
+          label: "Unarchive",
+          icon: <ArchiveRestore className="size-4" />,
+          run: onToggleArchive,
+        }
+      : {
+          id: "archive",
+          label: "Archive",
+          icon: <Archive className="size-4" />,
+          run: onToggleArchive,
+        },
+    {
+      id: "delete",
+      label: "Delete",
+      icon: <Trash2 className="size-4" />,
+      run: onDelete,
+      danger: true,
+    },
+  ];
+
+  const handleAction = (e, action) => {
+    e.stopPropagation();
+    setIsMenuOpen(false);
+    action.run();
+  };
+
+  const color = isActive ? "text-primary" : "text-black";
+  const status = STATUS_STYLES[details.status] ?? STATUS_STYLES.planning;
+  const dates = tripDatesLabel(details);
+
+  return (
+    <div
+      ref={menuRef}
+      onClick={() => !isRenaming && onPick()}
+      onContextMenu={(e) => {
+        e.preventDefault();
+        setIsMenuOpen(true);
+      }}
+      className={`group relative flex items-center gap-2 hover:bg-muted-foreground/8 hover:cursor-pointer rounded-md p-2 ${
+        isActive ? "bg-muted-foreground/8" : ""
+      }`}
+    >
+      <span className="relative shrink-0">
+        <MessageSquare className={color} />
+        <span
+          role="img"
+          aria-label={status.label}
+          title={status.label}
+          className={`absolute -bottom-0.5 -right-0.5 size-2.5 rounded-full ring-2 ring-sidebar-background ${status.dot}`}
+        />
+      </span>
+      <div className={`min-w-0 flex-1 font-medium flex-col ${color}`}>
+        {isRenaming ? (
+          <input
+            ref={inputRef}
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            onKeyDown={handleRenameKeyDown}
+            onBlur={finishRename}
+            onClick={(e) => e.stopPropagation()}
+            maxLength={80}
+            aria-label="Conversation name"
+            className="w-full rounded border border-input bg-white px-1 py-0.5 text-xs text-black focus:outline-none focus:ring-1 focus:ring-ring"
+          />
+        ) : (
+          <div
+            className="w-45 text-ellipsis text-[10px] overflow-hidden whitespace-nowrap"
+            title={label}
+          >
+            {label}
+          </div>
+        )}
+        <div className="flex min-w-0 items-center gap-1.5 text-sm text-gray-500">
+          {details.destination && (
+            <span
+              className="inline-flex min-w-0 items-center gap-0.5 rounded bg-primary/10 px-1.5 text-xs text-primary"
+              title={details.destination}
+            >
+              <MapPin className="size-3 shrink-0" />
+              <span className="truncate">{details.destination}</span>
+            </span>
+          )}
+          <span className="shrink-0" title={dates ? "Trip dates" : "Created"}>
+            {dates || new Date(conversation.createdAt).toLocaleDateString()}
+          </span>
+        </div>
+      </div>
+      <button
+        type="button"
+        onClick={(e) => {
+          e.stopPropagation();
+          setIsMenuOpen((open) => !open);
+        }}
+        aria-haspopup="menu"
+        aria-expanded={isMenuOpen}
+        aria-label="Conversation actions"
+        className="rounded p-1 text-gray-500 opacity-0 group-hover:opacity-100 focus:opacity-100 hover:text-primary hover:cursor-pointer aria-expanded:opacity-100"
+      >
+        <MoreHorizontal className="size-4" />
+      </button>
+      {isMenuOpen && (
+        <div
+          role="menu"
+          className="absolute right-2 top-full z-30 mt-1 w-52 rounded-md border border-border bg-card py-1 shadow-lg"
+        >
+          {actions.map((action) => (
+            <button
+              key={action.id}
+              type="button"
+              role="menuitem"
+              onClick={(e) => handleAction(e, action)}
+              className={`flex w-full items-center gap-2 px-3 py-2 text-left text-sm hover:bg-muted hover:cursor-pointer ${
+                action.danger ? "text-red-600" : "text-foreground"
+              }`}
+            >
+              {action.icon}
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConversationItem;
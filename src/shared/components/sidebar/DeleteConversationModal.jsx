@@ -0,0 +1,61 @@
+import { useModal } from "../../../core/stores/uiStore";
+
+export const DELETE_CONVERSATION_MODAL = "deleteConversation";
+
+/**
+ * Confirmation before deleting a session. Open with
+ * `openModal(DELETE_CONVERSATION_MODAL, { sessionId, label })`.
+ *
+ * @param {{ onConfirm: (data: { sessionId, label }) => void }} props
+ */
+const DeleteConversationModal = ({ onConfirm }) => {
+  const modal = useModal(DELETE_CONVERSATION_MODAL);
+
+  if (!modal.isOpen || !modal.data) return null;
+
+  const handleDelete = () => {
+    onConfirm(modal.data);
+    modal.close();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/40" aria-hidden="true" onClick={modal.close} />
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="delete-conversation-title"
+        className="relative z-10 w-full max-w-md rounded-xl bg-white p-6 shadow-xl"
+      >
+        <h2 id="delete-conversation-title" className="mb-4 text-xl font-semibold text-gray-900">
+          Delete conversation
+        </h2>
+        <div className="space-y-2 text-sm text-gray-600">
+          <p>
+            <span className="font-medium text-gray-900">{modal.data.label}</span> and its plan will
+            be deleted permanently.
+          </p>
+          <p>Archive it instead if you might need it later.</p>
+        </div>
+        <div className="mt-6 flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={modal.close}
+            className="rounded-lg hover:cursor-pointer border border-gray-300 px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="rounded-lg hover:cursor-pointer bg-red-600 px-4 py-2 text-sm font-semibold text-white hover:bg-red-700"
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeleteConversationModal;
@@ -0,0 +1,115 @@
+import { useState } from "react";
+import { Search, SlidersHorizontal, X } from "lucide-react";
+import { countActiveFilters } from "../../utils/conversationList";
+
+const inputClass =
+  "w-full rounded-md border border-input bg-white px-2 py-1 text-sm text-black focus:outline-none focus:ring-1 focus:ring-ring";
+
+/**
+ * Search box and the collapsible destination / date range / has-summary filters
+ * above the sidebar list. Controlled: the sidebar owns the values.
+ *
+ * @param {{ search: string, onSearchChange: (search: string) => void,
+ *  values: { destination: string, dateFrom: string, dateTo: string, hasSummary: boolean },
+ *  onChange: (values) => void, onClear: () => void }} props
+ */
+const SidebarFilters = ({ search, onSearchChange, values, onChange, onClear }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const activeCount = countActiveFilters(values);
+  const set = (field) => (e) =>
+    onChange({
+      ...values,
+      [field]: e.target.type === "checkbox" ? e.target.checked : e.target.value,
+    });
+
+  return (
+    <div className="space-y-2 px-4 pt-3">
+      <div className="flex items-center gap-1">
+        <div className="relative flex-1">
+          <Search className="pointer-events-none absolute left-2 top-1/2 size-4 -translate-y-1/2 text-gray-500" />
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => onSearchChange(e.target.value)}
+            placeholder="Search conversations"
+            aria-label="Search conversations"
+            className={`${inputClass} pl-7`}
+          />
+        </div>
+        <button
+          type="button"
+          onClick={() => setIsOpen((open) => !open)}
+          aria-expanded={isOpen}
+          aria-controls="sidebar-filters"
+          aria-label="Filters"
+          className={`relative rounded-md p-1.5 hover:cursor-pointer hover:bg-muted-foreground/8 ${
+            activeCount ? "text-primary" : "text-gray-500"
+          }`}
+        >
+          <SlidersHorizontal className="size-4" />
+          {activeCount > 0 && (
+            <span className="absolute -right-1 -top-1 flex size-4 items-center justify-center rounded-full bg-primary text-[10px] text-white">
+              {activeCount}
+            </span>
+          )}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div
+          id="sidebar-filters"
+          className="space-y-2 rounded-md border border-border p-2 text-black"
+        >
+          <label className="block text-xs font-medium text-gray-600">
+            Destination
+            <input
+              type="text"
+              value={values.destination}
+              onChange={set("destination")}
+              placeholder="e.g. Lisbon"
+              className={`${inputClass} mt-1`}
+            />
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block text-xs font-medium text-gray-600">
+              From
+              <input
+                type="date"
+                value={values.dateFrom}
+                max={values.dateTo || undefined}
+                onChange={set("dateFrom")}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+            <label className="block text-xs font-medium text-gray-600">
+              To
+              <input
+                type="date"
+                value={values.dateTo}
+                min={values.dateFrom || undefined}
+                onChange={set("dateTo")}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+          </div>
+          <label className="flex items-center gap-2 text-sm hover:cursor-pointer">
+            <input type="checkbox" checked={values.hasSummary} onChange={set("hasSummary")} />
+            Has a trip summary
+          </label>
+          {(activeCount > 0 || search) && (
+            <button
+              type="button"
+              onClick={onClear}
+              className="flex items-center gap-1 text-xs text-gray-500 hover:text-primary hover:cursor-pointer"
+            >
+              <X className="size-3" />
+              Clear search and filters
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SidebarFilters;
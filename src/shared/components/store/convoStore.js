@@ -1,13 +1,9 @@
 import { create } from "zustand";
 
 export const useStoreConvo = create((set, get) => ({
-  conversations: localStorage.getItem("sessionId") !== null,
   summary: false,
   messages: [],
   isFirstConversation: false,
-  setConversationAi: (value) => {
-    set({ conversations: value });
-  },
   setSummary: (value) => {
     set({ summary: value });
   },
@@ -16,6 +12,16 @@ export const useStoreConvo = create((set, get) => ({
       const newMessages = [...state.messages];
       const lastMessage = newMessages[newMessages.length - 1];
 
+      // A model reply with the same id is replaced (streamed replies grow in place)
+      const existingIndex =
+        message.role === "model" && message.id
+          ? newMessages.findIndex((item) => item.id === message.id)
+          : -1;
+      if (existingIndex !== -1) {
+        newMessages[existingIndex] = message;
+        return { messages: newMessages };
+      }
+
       // Jika pesan terakhir adalah 'loading' dan pesan baru adalah dari 'model', ganti.
       if (lastMessage && lastMessage.role === "loading" && message.role === "model") {
         newMessages[newMessages.length - 1] = message;
@@ -28,6 +34,34 @@ export const useStoreConvo = create((set, get) => ({
     });
   },
   setMessages: (messages) => set({ messages }),
+  // Older history pages go in front; messages already shown are skipped
+  prependMessages: (older) => {
+    set((state) => {
+      const ids = new Set(state.messages.map((message) => message.id).filter(Boolean));
+      const fresh = older.filter((message) => !message.id || !ids.has(message.id));
+      return fresh.length ? { messages: [...fresh, ...state.messages] } : state;
+    });
+  },
+  // Newer messages (pushed by the server) go at the end; messages already shown are skipped
+  appendMessages: (newer) => {
+    set((state) => {
+      const ids = new Set(state.messages.map((message) => message.id).filter(Boolean));
+      const fresh = newer.filter((message) => !message.id || !ids.has(message.id));
+      return fresh.length ? { messages: [...state.messages, ...fresh] } : state;
+    });
+  },
+  // Merge fields into the message at `index` (feedback, edits)
+  updateMessage: (index, patch) => {
+    set((state) => ({
+      messages: state.messages.map((message, i) =>
+        i === index ? { ...message, ...patch } : message
+      ),
+    }));
+  },
+  // Drop the message at `index` and every later turn (edit-and-resend, regenerate)
+  truncateMessages: (index) => {
+    set((state) => ({ messages: state.messages.slice(0, index) }));
+  },
   SetIsFirstConversation: (isFirstConversation) =>
     set({ isFirstConversation: !isFirstConversation }),
 }));
@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useRef } from "react";
+import { generatePath, useLocation, useMatch, useNavigate } from "react-router-dom";
+import { useStoreConvo } from "../components/store/convoStore";
+
+/**
+ * The open conversation lives in the URL (`/trips/:sessionId`), so it can be bookmarked,
+ * shared, opened in several tabs and switched with back/forward. localStorage only keeps
+ * the last opened session, to resume it when the app is opened at "/".
+ */
+export const TRIP_ROUTE = "/trips/:sessionId";
+
+// Same key the active session used to live under, so existing users resume their trip
+const LAST_SESSION_KEY = "sessionId";
+
+export const tripPath = (sessionId) => generatePath(TRIP_ROUTE, { sessionId });
+
+export const getLastSessionId = () => localStorage.getItem(LAST_SESSION_KEY);
+
+export const forgetLastSession = (sessionId) => {
+  if (getLastSessionId() === sessionId) localStorage.removeItem(LAST_SESSION_KEY);
+};
+
+/**
+ * sessionId of the conversation in the URL, null on the new-plan page
+ */
+export const useActiveSessionId = () => useMatch(TRIP_ROUTE)?.params.sessionId ?? null;
+
+/**
+ * Open a conversation, or the empty trip form with `null`.
+ *
+ * @returns {(sessionId: string|null, options?: { replace?: boolean, search?: string }) => void}
+ */
+export const useOpenSession = () => {
+  const navigate = useNavigate();
+  return useCallback(
+    (sessionId, { replace = false, search = "" } = {}) => {
+      if (sessionId) {
+        navigate({ pathname: tripPath(sessionId), search }, { replace });
+        return;
+      }
+      // Marked so "/" doesn't send the user back to the last opened trip
+      navigate({ pathname: "/", search }, { replace, state: { newPlan: true } });
+    },
+    [navigate]
+  );
+};
+
+/**
+ * Mounted once by the layout:
+ * - remembers the session in the URL as the last opened one
+ * - resumes the last opened session when the app is opened at a bare "/"
+ * - empties the transcript when leaving a session (a new session keeps the
+ *   messages its form submission already added)
+ */
+export const useSessionRoute = () => {
+  const sessionId = useActiveSessionId();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const setMessages = useStoreConvo((state) => state.setMessages);
+  const previousRef = useRef(sessionId);
+
+  const resumeTo =
+    !sessionId && location.pathname === "/" && !location.search && !location.state?.newPlan
+      ? getLastSessionId()
+      : null;
+
+  useEffect(() => {
+    if (resumeTo) navigate(tripPath(resumeTo), { replace: true });
+  }, [resumeTo, navigate]);
+
+  useEffect(() => {
+    if (sessionId) localStorage.setItem(LAST_SESSION_KEY, sessionId);
+    if (previousRef.current && previousRef.current !== sessionId) setMessages([]);
+    previousRef.current = sessionId;
+  }, [sessionId, setMessages]);
+
+  return sessionId;
+};
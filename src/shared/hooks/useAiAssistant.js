@@ -1,12 +1,23 @@
-import { keepPreviousData, useQuery } from "@tanstack/react-query";
-import { getEachConversation, pushMessage } from "../api";
+import { useCallback, useRef } from "react";
+import { keepPreviousData, useInfiniteQuery } from "@tanstack/react-query";
+import { getConversationPage, pushMessage, sendMessageFeedback, streamMessage } from "../api";
 import { useCreateMutation } from "../../core/queries/mutationHelpers";
 
-export const useEachConversation = (options = {}) => {
-    const sessionId = localStorage.getItem("sessionId");
-    return useQuery({
+/**
+ * Message history, newest page first. `fetchNextPage` loads the page before the oldest one
+ * loaded; `hasNextPage` is false once the start of the conversation is reached.
+ *
+ * @example
+ * const { data, fetchNextPage, hasNextPage } = useConversationHistory(sessionId);
+ * const messages = [...data.pages].reverse().flatMap((page) => page.messages);
+ */
+export const useConversationHistory = (sessionId, options = {}) => {
+    return useInfiniteQuery({
         queryKey: ["eachConversation", sessionId],
-        queryFn: () => getEachConversation(),
+        queryFn: ({ pageParam }) => getConversationPage({ sessionId, page: pageParam }),
+        initialPageParam: 1,
+        getNextPageParam: ({ meta }) =>
+            meta && meta.page < meta.totalPages ? meta.page + 1 : undefined,
         enabled: Boolean(sessionId),
         placeholderData: keepPreviousData,
         staleTime: 15_000,
@@ -15,13 +26,63 @@ export const useEachConversation = (options = {}) => {
     });
 };
 
-export const usePushMessage = (options = {}) => {
-    const sessionId = localStorage.getItem("sessionId");
+export const usePushMessage = (sessionId, options = {}) => {
     return useCreateMutation({
         queryKey: ["pushMessage", sessionId],
-        mutationFn: pushMessage,
+        mutationFn: (message) => pushMessage(message, { sessionId }),
         showSuccessToast: false,
         showErrorToast: false,
         ...options,
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Like `usePushMessage`, but the reply is streamed: `onToken(chunk, textSoFar)` is called
+ * as text arrives and `stop()` aborts the request, keeping what was received.
+ *
+ * @example
+ * const { mutate, stop } = useStreamMessage(sessionId);
+ * mutate({ message, onToken: (chunk, text) => render(text) });
+ * mutate({ message, turn: { regenerate: true } }); // see `pushMessage` for `turn`
+ */
+export const useStreamMessage = (sessionId, options = {}) => {
+    const controllerRef = useRef(null);
+
+    const mutation = useCreateMutation({
+        queryKey: ["pushMessage", sessionId],
+        mutationFn: async ({ message, onToken, turn }) => {
+            const controller = new AbortController();
+            controllerRef.current = controller;
+            try {
+                return await streamMessage(message, {
+                    sessionId,
+                    signal: controller.signal,
+                    onToken,
+                    turn,
+                });
+            } catch (error) {
+                // Stopped while waiting for a non-streamed reply
+                if (controller.signal.aborted) return { text: "", stopped: true };
+                throw error;
+            } finally {
+                if (controllerRef.current === controller) controllerRef.current = null;
+            }
+        },
+        showSuccessToast: false,
+        showErrorToast: false,
+        ...options,
+    });
+
+    const stop = useCallback(() => controllerRef.current?.abort(), []);
+
+    return { ...mutation, stop };
+};
+
+export const useMessageFeedback = (sessionId, options = {}) => {
+    return useCreateMutation({
+        mutationFn: (feedback) => sendMessageFeedback(sessionId, feedback),
+        successMessage: "Thanks for your feedback!",
+        errorMessage: "Could not send your feedback",
+        ...options,
+    });
+};
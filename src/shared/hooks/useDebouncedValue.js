@@ -0,0 +1,15 @@
+import { useEffect, useState } from "react";
+
+/**
+ * `value`, updated only after it stopped changing for `delay` ms
+ */
+export const useDebouncedValue = (value, delay = 300) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timeoutId);
+  }, [value, delay]);
+
+  return debounced;
+};
@@ -0,0 +1,101 @@
+import { useEffect, useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { REALTIME_STATUS, SessionChannel } from "../../core/api/realtime";
+import { logger } from "../../core/utils/logger";
+import { useStoreConvo } from "../components/store/convoStore";
+
+// Add a message to a cached conversation: a list, { messages }, or history pages
+// (the newest page comes first and gets the message)
+const appendMessage = (conversation, message) => {
+  if (Array.isArray(conversation)) {
+    return conversation.some((item) => item.id && item.id === message.id)
+      ? conversation
+      : [...conversation, message];
+  }
+  if (conversation && Array.isArray(conversation.pages) && conversation.pages.length) {
+    const [latest, ...older] = conversation.pages;
+    return { ...conversation, pages: [appendMessage(latest, message), ...older] };
+  }
+  if (conversation && Array.isArray(conversation.messages)) {
+    return { ...conversation, messages: appendMessage(conversation.messages, message) };
+  }
+  return conversation;
+};
+
+// A full message list replaces the history with a single page
+const historyFromList = (data) => ({
+  pages: [
+    {
+      messages: Array.isArray(data) ? data : data?.messages || [],
+      meta: null,
+      suggestions: data?.suggestions,
+    },
+  ],
+  pageParams: [1],
+});
+
+const upsertKeyPoint = (keyPoints, keyPoint) => {
+  if (!Array.isArray(keyPoints)) return [keyPoint];
+  return keyPoints.some((item) => item.title === keyPoint.title)
+    ? keyPoints.map((item) => (item.title === keyPoint.title ? { ...item, ...keyPoint } : item))
+    : [...keyPoints, keyPoint];
+};
+
+/**
+ * Realtime updates for a planning session, written straight into the React Query cache.
+ * Pushed messages are also appended to the open transcript (`useStoreConvo`), skipping
+ * ids it already shows.
+ *
+ * Events:
+ * - keyPoints: full key point list -> ["keyPoint", sessionId]
+ * - keyPoint: one { title, detail } added or replaced -> ["keyPoint", sessionId]
+ * - messages: full message list -> ["eachConversation", sessionId]
+ * - message: one new message -> ["eachConversation", sessionId]
+ *
+ * @param {string|null} sessionId
+ * @param {{ enabled?: boolean }} options
+ * @returns {{ status: string, isLive: boolean }} - Poll while `isLive` is false
+ */
+export const useSessionRealtime = (sessionId, { enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState(REALTIME_STATUS.IDLE);
+  const appendMessages = useStoreConvo((state) => state.appendMessages);
+
+  useEffect(() => {
+    if (!enabled || !sessionId) return;
+
+    const keyPointKey = ["keyPoint", sessionId];
+    const conversationKey = ["eachConversation", sessionId];
+
+    const channel = new SessionChannel(sessionId, {
+      onStatusChange: setStatus,
+      onEvent: ({ type, data }) => {
+        switch (type) {
+          case "keyPoints":
+            queryClient.setQueryData(keyPointKey, data);
+            break;
+          case "keyPoint":
+            queryClient.setQueryData(keyPointKey, (old) => upsertKeyPoint(old, data));
+            break;
+          case "messages": {
+            const history = historyFromList(data);
+            queryClient.setQueryData(conversationKey, history);
+            appendMessages(history.pages[0].messages);
+            break;
+          }
+          case "message":
+            queryClient.setQueryData(conversationKey, (old) => appendMessage(old, data));
+            appendMessages([data]);
+            break;
+          default:
+            logger.debug("Unhandled realtime event", { type });
+        }
+      },
+    });
+    channel.connect();
+
+    return () => channel.close();
+  }, [enabled, sessionId, queryClient, appendMessages]);
+
+  return { status, isLive: status === REALTIME_STATUS.LIVE };
+};
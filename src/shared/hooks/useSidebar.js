@@ -1,12 +1,119 @@
-import { keepPreviousData, useQuery } from "@tanstack/react-query";
-import { getListConvo } from "../api/index.js";
+import { keepPreviousData, useInfiniteQuery } from "@tanstack/react-query";
+import { archiveConvo, deleteConvo, getListConvo, renameConvo } from "../api/index.js";
+import { useDeleteMutation, useUpdateMutation } from "../../core/queries/mutationHelpers";
+import {
+    DEFAULT_SESSION_NAME,
+    listsNewSessions,
+    mapConversationPages,
+    normalizeListFilters,
+    prependConversation,
+    totalPagesOf,
+} from "../utils/conversationList";
 
+/**
+ * Query key of one filter set, so every combination is cached on its own.
+ * Filters are normalized first: " rome " and "rome" share a cache entry.
+ */
+export const sidebarListKey = (filters = {}) => ["dataConvo", normalizeListFilters(filters)];
+
+/**
+ * Sessions for the sidebar, one page per `fetchNextPage`.
+ *
+ * @param {{ limit?: number, archived?: boolean, search?: string, destination?: string,
+ *  dateFrom?: string, dateTo?: string, hasSummary?: boolean }} filters
+ */
 export const useSidebar = (filters = {}, options = {}) => {
-    const { page = 1, limit = 10 } = filters;
-    return useQuery({
-        queryKey: ["dataConvo", page, limit],
-        queryFn: () => getListConvo({ page, limit }),
+    const queryKey = sidebarListKey(filters);
+    const [, normalized] = queryKey;
+    return useInfiniteQuery({
+        queryKey,
+        queryFn: ({ pageParam, signal }) =>
+            getListConvo({ ...normalized, page: pageParam, signal }),
+        initialPageParam: 1,
+        getNextPageParam: (lastPage, _pages, lastPageParam) => {
+            const totalPages = totalPagesOf(lastPage?.meta);
+            if (typeof totalPages === "number") {
+                return lastPageParam < totalPages ? lastPageParam + 1 : undefined;
+            }
+            return lastPage?.data?.length ? lastPageParam + 1 : undefined;
+        },
         placeholderData: keepPreviousData,
         ...options,
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Show a just-created session at the top of the cached lists it belongs to
+ * (active, unfiltered), then refetch every list so the server's copy replaces it.
+ */
+export const addSessionToLists = (queryClient, session) => {
+    if (!session?.sessionId) return;
+    const conversation = {
+        id: session.sessionId,
+        name: DEFAULT_SESSION_NAME,
+        createdAt: new Date().toISOString(),
+        ...session,
+    };
+    queryClient.setQueriesData(
+        { queryKey: ["dataConvo"], predicate: (query) => listsNewSessions(query.queryKey[1]) },
+        (old) => prependConversation(old, conversation)
+    );
+    queryClient.invalidateQueries({ queryKey: ["dataConvo"] });
+};
+
+/**
+ * A session as found in any cached sidebar list, undefined when none has it loaded
+ */
+export const findCachedConversation = (queryClient, sessionId) => {
+    for (const [, data] of queryClient.getQueriesData({ queryKey: ["dataConvo"] })) {
+        for (const page of data?.pages ?? []) {
+            const match = (page?.data ?? []).find((item) => item.sessionId === sessionId);
+            if (match) return match;
+        }
+    }
+    return undefined;
+};
+
+// Session mutations update the list they were made from (`listKey`) right away;
+// the lists cached for other filter sets are refetched
+const withoutSession = (old, { sessionId }) =>
+    mapConversationPages(old, (list) => list.filter((item) => item.sessionId !== sessionId));
+
+export const useRenameConversation = (listKey, options = {}) => {
+    return useUpdateMutation({
+        mutationFn: renameConvo,
+        queryKey: listKey,
+        updateCache: (old, { sessionId, name }) =>
+            mapConversationPages(old, (list) =>
+                list.map((item) => (item.sessionId === sessionId ? { ...item, name } : item))
+            ),
+        invalidateKeys: [["dataConvo"]],
+        successMessage: "Conversation renamed",
+        errorMessage: "Failed to rename the conversation",
+        ...options,
+    });
+};
+
+export const useArchiveConversation = (listKey, options = {}) => {
+    return useUpdateMutation({
+        mutationFn: archiveConvo,
+        queryKey: listKey,
+        updateCache: withoutSession,
+        invalidateKeys: [["dataConvo"]],
+        successMessage: "Conversation updated",
+        errorMessage: "Failed to update the conversation",
+        ...options,
+    });
+};
+
+export const useDeleteConversation = (listKey, options = {}) => {
+    return useDeleteMutation({
+        mutationFn: deleteConvo,
+        queryKey: listKey,
+        removeFromCache: withoutSession,
+        invalidateKeys: [["dataConvo"]],
+        successMessage: "Conversation deleted",
+        errorMessage: "Failed to delete the conversation",
+        ...options,
+    });
+};
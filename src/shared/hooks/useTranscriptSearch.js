@@ -0,0 +1,88 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { countRenderedMatches } from "../utils/markdownHighlight";
+
+const CURRENT_SELECTOR = "mark.search-match-current";
+// Frames to wait for a row scrolled into a virtualized list to render
+const MAX_RENDER_FRAMES = 10;
+
+/**
+ * Step through the search matches of a transcript.
+ *
+ * Matches are counted in the rendered Markdown of each row text rather than the DOM, so
+ * rows a virtualized list hasn't rendered are searched too. The current match is rendered by the caller
+ * (`rehypeHighlight` with `current: match.occurrence` on row `match.row`); moving to it
+ * calls `scrollToRow` and then centers the highlighted `<mark>`.
+ * A new query starts at the most recent match; `previous` walks back in time.
+ *
+ * @param {Object} options
+ * @param {React.RefObject<HTMLElement>} options.containerRef - Scrollable container
+ * @param {string[]} options.texts - Text of each row, in display order
+ * @param {string} options.query - Current search text
+ * @param {(row: number) => void} [options.scrollToRow] - Bring a row into view
+ * @returns {{ count: number, current: number, match: { row: number, occurrence: number } | null,
+ *  next: () => void, previous: () => void }} - `current` is 0-based, -1 without matches
+ */
+export const useTranscriptSearch = ({ containerRef, texts, query, scrollToRow }) => {
+  const matches = useMemo(
+    () =>
+      texts.flatMap((text, row) =>
+        Array.from({ length: countRenderedMatches(text, query) }, (_, occurrence) => ({
+          row,
+          occurrence,
+        }))
+      ),
+    [texts, query]
+  );
+  const count = matches.length;
+  const [current, setCurrent] = useState(-1);
+  const lastQueryRef = useRef(query);
+
+  // Keep the position as content changes; a new query starts at the latest match
+  useEffect(() => {
+    const isNewQuery = lastQueryRef.current !== query;
+    lastQueryRef.current = query;
+    setCurrent((index) => {
+      if (!count) return -1;
+      if (isNewQuery || index === -1) return count - 1;
+      return Math.min(index, count - 1);
+    });
+  }, [query, count]);
+
+  const match = matches[current] ?? null;
+  const matchRef = useRef(match);
+  matchRef.current = match;
+
+  // Scroll only when the user moved to a match, not on every new token
+  useEffect(() => {
+    const target = matchRef.current;
+    if (current === -1 || !target) return;
+    scrollToRow?.(target.row);
+
+    let frames = 0;
+    let frameId;
+    const reveal = () => {
+      const mark = containerRef.current?.querySelector(CURRENT_SELECTOR);
+      if (mark) {
+        mark.scrollIntoView({ block: "center", behavior: "smooth" });
+      } else if (++frames < MAX_RENDER_FRAMES) {
+        frameId = requestAnimationFrame(reveal);
+      }
+    };
+    frameId = requestAnimationFrame(reveal);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [current, query, containerRef, scrollToRow]);
+
+  const next = useCallback(
+    () => setCurrent((index) => (count ? (index + 1) % count : -1)),
+    [count]
+  );
+  const previous = useCallback(
+    () => setCurrent((index) => (count ? (index - 1 + count) % count : -1)),
+    [count]
+  );
+
+  return { count, current, match, next, previous };
+};
+
+export default useTranscriptSearch;
@@ -0,0 +1,177 @@
+// Name the server gives a session until it is renamed
+export const DEFAULT_SESSION_NAME = "Conversation Session";
+
+/**
+ * Title of a session in the sidebar: its name, else the name this device gave it,
+ * else the route it was planned for (when the trip inputs are remembered here),
+ * else "Untitled plan".
+ *
+ * @param {{ name?: string }} conversation
+ * @param {{ request?: { from?: string, stops?: Array<{ location }> }|null, title?: string|null }} local
+ */
+export const conversationLabel = (conversation, { request = null, title = null } = {}) => {
+  const name = conversation?.name?.trim();
+  if (name && name !== DEFAULT_SESSION_NAME) return name;
+  if (title) return title;
+
+  const places = [request?.from, ...(request?.stops ?? []).map((stop) => stop?.location)];
+  const route = places.filter(Boolean);
+  return route.length > 1 ? route.join(" → ") : "Untitled plan";
+};
+
+export const SESSION_STATUSES = ["planning", "summarized", "archived"];
+
+/**
+ * Destination, trip dates and status of a session for its sidebar item. Fields the
+ * server sends win; the trip form inputs and summary remembered here fill the gaps.
+ *
+ * @param {{ destination?, startDate?, endDate?, status?, archived?, hasSummary? }} conversation
+ * @param {{ request?: Object|null, summary?: { destination, startDate, endDate }|null,
+ *  archived?: boolean }} local - `archived` when listed under the Archived tab
+ * @returns {{ destination: string, startDate: string, endDate: string,
+ *  status: "planning"|"summarized"|"archived" }}
+ */
+export const conversationDetails = (
+  conversation,
+  { request = null, summary = null, archived = false } = {}
+) => {
+  const stops = (request?.stops ?? []).map((stop) => stop?.location).filter(Boolean);
+  const when = request?.when && !request.when.flexible ? request.when : {};
+
+  let status = "planning";
+  if (conversation?.archived || archived) status = "archived";
+  else if (SESSION_STATUSES.includes(conversation?.status)) status = conversation.status;
+  else if (conversation?.hasSummary || summary) status = "summarized";
+
+  return {
+    destination: conversation?.destination || stops[stops.length - 1] || summary?.destination || "",
+    startDate: conversation?.startDate || when.startDate || summary?.startDate || "",
+    endDate: conversation?.endDate || when.endDate || summary?.endDate || "",
+    status,
+  };
+};
+
+const shortDate = (iso) => {
+  const date = new Date(`${iso}T00:00:00`);
+  return Number.isNaN(date.getTime())
+    ? iso
+    : date.toLocaleDateString("en-GB", { day: "numeric", month: "short" });
+};
+
+/**
+ * "3 Jun – 8 Jun", "3 Jun" or "" for the trip dates of a session
+ */
+export const tripDatesLabel = ({ startDate, endDate }) => {
+  if (!startDate) return "";
+  return endDate && endDate !== startDate
+    ? `${shortDate(startDate)} – ${shortDate(endDate)}`
+    : shortDate(startDate);
+};
+
+export const DEFAULT_LIST_FILTERS = {
+  limit: 10,
+  archived: false,
+  search: "",
+  destination: "",
+  dateFrom: "",
+  dateTo: "",
+  hasSummary: false,
+};
+
+/**
+ * Sidebar list filters with defaults filled in and text trimmed
+ */
+export const normalizeListFilters = (filters = {}) => {
+  const merged = { ...DEFAULT_LIST_FILTERS, ...filters };
+  return {
+    limit: merged.limit,
+    archived: Boolean(merged.archived),
+    search: merged.search.trim(),
+    destination: merged.destination.trim(),
+    dateFrom: merged.dateFrom,
+    dateTo: merged.dateTo,
+    hasSummary: Boolean(merged.hasSummary),
+  };
+};
+
+/**
+ * How many of the optional filters (everything but the search and the archived tab) are set
+ */
+export const countActiveFilters = ({ destination, dateFrom, dateTo, hasSummary } = {}) =>
+  [destination?.trim(), dateFrom || dateTo, hasSummary].filter(Boolean).length;
+
+const DATE_GROUPS = ["Today", "Yesterday", "Last 7 days", "Older"];
+
+// Local midnight `daysAgo` days before `date`
+const startOfDay = (date, daysAgo = 0) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysAgo).getTime();
+
+/**
+ * Split sessions (newest first) under Today / Yesterday / Last 7 days / Older headers,
+ * by local calendar day of `createdAt`. Empty groups are left out.
+ *
+ * @returns {Array<{ label: string, items: Array }>}
+ */
+export const groupConversationsByDate = (conversations, now = new Date()) => {
+  const today = startOfDay(now);
+  const yesterday = startOfDay(now, 1);
+  const weekAgo = startOfDay(now, 6);
+  const groupOf = (createdAt) => {
+    const time = new Date(createdAt).getTime();
+    if (Number.isNaN(time) || time < weekAgo) return "Older";
+    if (time >= today) return "Today";
+    if (time >= yesterday) return "Yesterday";
+    return "Last 7 days";
+  };
+
+  const groups = new Map(DATE_GROUPS.map((label) => [label, []]));
+  conversations.forEach((item) => groups.get(groupOf(item.createdAt)).push(item));
+  return DATE_GROUPS.filter((label) => groups.get(label).length).map((label) => ({
+    label,
+    items: groups.get(label),
+  }));
+};
+
+/**
+ * Number of pages in a paginated list, undefined when the meta doesn't say.
+ */
+export const totalPagesOf = (meta) =>
+  meta?.totalPages ?? (meta?.total && meta?.limit ? Math.ceil(meta.total / meta.limit) : undefined);
+
+/**
+ * Drop repeated sessions (pages can overlap when sessions are added meanwhile), keeping the first
+ */
+export const uniqueConversations = (list) => {
+  const seen = new Set();
+  return list.filter((item) => {
+    const key = item?.id ?? item?.sessionId;
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Whether a list with these (normalized) filters shows a session that was just created
+ */
+export const listsNewSessions = (filters) =>
+  Boolean(filters) && !filters.archived && !filters.search && countActiveFilters(filters) === 0;
+
+/**
+ * Put a new session at the top of the first loaded page of the cached sessions list
+ */
+export const prependConversation = (old, conversation) => {
+  if (!old?.pages?.length) return old;
+  const [first, ...rest] = old.pages;
+  const data = uniqueConversations([conversation, ...(first.data ?? [])]);
+  return { ...old, pages: [{ ...first, data }, ...rest] };
+};
+
+/**
+ * Apply `update(list)` to every loaded page of the cached sessions list
+ * ({ pages: [{ data, meta }], pageParams }).
+ */
+export const mapConversationPages = (old, update) =>
+  old?.pages
+    ? { ...old, pages: old.pages.map((page) => ({ ...page, data: update(page.data ?? []) })) }
+    : old;
@@ -0,0 +1,68 @@
+import { unified } from "unified";
+import remarkParse from "remark-parse";
+import remarkGfm from "remark-gfm";
+import remarkRehype from "remark-rehype";
+import rehypeRaw from "rehype-raw";
+import rehypeSanitize, { defaultSchema } from "rehype-sanitize";
+
+/**
+ * GitHub's sanitize schema (no scripts, event handlers or inline styles, http(s) images only),
+ * also keeping the language class on code blocks and `<mark>` from the search highlighter.
+ */
+export const MARKDOWN_SCHEMA = {
+  ...defaultSchema,
+  tagNames: [...defaultSchema.tagNames, "mark"],
+  attributes: {
+    ...defaultSchema.attributes,
+    code: [...(defaultSchema.attributes.code ?? []), ["className", /^language-./]],
+  },
+};
+
+export const REMARK_PLUGINS = [remarkGfm];
+
+/**
+ * Embedded HTML is parsed, then sanitized; plugins added by callers run after sanitizing,
+ * so their markup (e.g. highlight classes) is kept.
+ */
+export const markdownRehypePlugins = (extra = []) => [
+  rehypeRaw,
+  [rehypeSanitize, MARKDOWN_SCHEMA],
+  ...extra,
+];
+
+/**
+ * True for http(s) links to another site; those open in a new tab.
+ */
+export const isExternalLink = (href) => {
+  if (!href) return false;
+  try {
+    const url = new URL(href, window.location.href);
+    return /^https?:$/.test(url.protocol) && url.origin !== window.location.origin;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Text of a hast element, leaving out nested lists (the sub-items of a list item).
+ */
+export const hastText = (node) => {
+  if (!node) return "";
+  if (node.type === "text") return node.value;
+  if (node.tagName === "ul" || node.tagName === "ol") return "";
+  return (node.children ?? []).map(hastText).join("");
+};
+
+// The pipeline `MarkdownContent` renders with (react-markdown keeps embedded HTML for rehype-raw)
+const processor = unified()
+  .use(remarkParse)
+  .use(REMARK_PLUGINS)
+  .use(remarkRehype, { allowDangerousHtml: true })
+  .use(markdownRehypePlugins());
+
+/**
+ * Sanitized hast tree of a Markdown string, as `MarkdownContent` renders it before
+ * caller plugins run.
+ */
+export const markdownToHast = (markdown) =>
+  processor.runSync(processor.parse(String(markdown ?? "")));
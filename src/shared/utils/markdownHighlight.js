@@ -0,0 +1,111 @@
+import { markdownToHast } from "./markdown";
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Case-insensitive regex for a search query, or null for a blank query.
+ */
+export const queryPattern = (query) => {
+  const trimmed = query?.trim();
+  return trimmed ? new RegExp(escapeRegExp(trimmed), "gi") : null;
+};
+
+export const countMatches = (text, query) => {
+  const pattern = queryPattern(query);
+  if (!pattern || typeof text !== "string") return 0;
+  return text.match(pattern)?.length ?? 0;
+};
+
+const SKIPPED_TAGS = new Set(["script", "style"]);
+const TEXT_CACHE_SIZE = 500;
+
+const collectText = (node, texts) => {
+  if (!Array.isArray(node.children) || SKIPPED_TAGS.has(node.tagName)) return texts;
+  node.children.forEach((child) => {
+    if (child.type === "text") texts.push(child.value);
+    else collectText(child, texts);
+  });
+  return texts;
+};
+
+// Transcripts re-render on every streamed token; parse each text once
+const textCache = new Map();
+
+/**
+ * Text nodes of rendered Markdown, the ones `rehypeHighlight` marks matches in.
+ * A match never spans two of them (e.g. "**Ba**li" has no match for "bali").
+ *
+ * @returns {string[]}
+ */
+export const renderedTexts = (markdown) => {
+  const key = typeof markdown === "string" ? markdown : "";
+  if (textCache.has(key)) return textCache.get(key);
+  const texts = collectText(markdownToHast(key), []);
+  if (textCache.size >= TEXT_CACHE_SIZE) textCache.delete(textCache.keys().next().value);
+  textCache.set(key, texts);
+  return texts;
+};
+
+/**
+ * Matches of `query` in Markdown as rendered, the same ones `rehypeHighlight` marks
+ * (link URLs, syntax and HTML tags are not searched).
+ */
+export const countRenderedMatches = (markdown, query) =>
+  queryPattern(query)
+    ? renderedTexts(markdown).reduce((sum, text) => sum + countMatches(text, query), 0)
+    : 0;
+
+const splitText = (node, pattern, mark) => {
+  const parts = [];
+  let lastIndex = 0;
+  node.value.replace(pattern, (match, offset) => {
+    if (offset > lastIndex)
+      parts.push({ type: "text", value: node.value.slice(lastIndex, offset) });
+    parts.push({
+      type: "element",
+      tagName: "mark",
+      properties: { className: mark() },
+      children: [{ type: "text", value: match }],
+    });
+    lastIndex = offset + match.length;
+    return match;
+  });
+  if (!parts.length) return [node];
+  if (lastIndex < node.value.length) {
+    parts.push({ type: "text", value: node.value.slice(lastIndex) });
+  }
+  return parts;
+};
+
+const highlightChildren = (node, pattern, mark) => {
+  if (!Array.isArray(node.children) || SKIPPED_TAGS.has(node.tagName)) return;
+  node.children = node.children.flatMap((child) => {
+    if (child.type === "text") return splitText(child, pattern, mark);
+    highlightChildren(child, pattern, mark);
+    return [child];
+  });
+};
+
+/**
+ * Rehype plugin wrapping every match of `query` in `<mark>`.
+ * The match at index `current` (document order) also gets `currentClassName`.
+ *
+ * Usage:
+ * <Markdown rehypePlugins={[[rehypeHighlight, { query }]]}>{text}</Markdown>
+ */
+export const rehypeHighlight = ({
+  query,
+  className = "search-match",
+  current = -1,
+  currentClassName = "search-match-current",
+} = {}) => {
+  const pattern = queryPattern(query);
+  return (tree) => {
+    if (!pattern) return;
+    let index = 0;
+    const mark = () => (index++ === current ? [className, currentClassName] : [className]);
+    highlightChildren(tree, pattern, mark);
+  };
+};
+
+export default rehypeHighlight;